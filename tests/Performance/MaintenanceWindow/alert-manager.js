@@ -0,0 +1,359 @@
+const EventEmitter = require('events');
+const { StorageAdapter } = require('./storage');
+const { parseTagMatchers, matchesTags } = require('./tag-matchers');
+
+const { formatTimestamp, toDate, toEpoch } = StorageAdapter;
+
+// States an alert moves through; pending and firing alerts are open
+const STATES = ['pending', 'firing', 'resolved'];
+const OPEN_STATES = ['pending', 'firing'];
+
+/**
+ * Alert lifecycle on top of the MetricsStore alerts table
+ *
+ * An alert is identified by its fingerprint: type, name and labels. While
+ * its condition holds, evaluations update the one open alert row instead
+ * of adding a row per breach:
+ *   pending  - breached, waiting out `pendingFor` seconds
+ *   firing   - breached for at least `pendingFor` seconds
+ *   resolved - condition cleared; the next breach opens a new alert
+ *
+ * Transitions and acknowledgements are recorded in alert_events. Silences
+ * mute alerts whose labels (plus `type` and `name`) match for a time
+ * window; silenced alerts still change state, but the events emitted for
+ * them carry `silenced: true` so notifiers can skip them.
+ *
+ * Emits 'pending', 'firing', 'resolved' and 'acknowledged' with
+ * { alert, silenced }.
+ */
+class AlertManager extends EventEmitter {
+    constructor(metricsStore, options = {}) {
+        super();
+        this.store = metricsStore;
+        this.pendingFor = options.pendingFor || 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Evaluate alert condition
+     *
+     * `breached` defaults to `value > threshold`. Opens, updates or resolves
+     * the alert for the fingerprint; returns the alert or null when there
+     * is no breach and nothing was open.
+     */
+    async evaluate({ type, name, value, threshold, labels = {}, breached = value > threshold, message = null, timestamp = new Date() }) {
+        return await this.enqueue(async () => {
+            const now = this.toTimestamp(timestamp);
+            const fingerprint = AlertManager.fingerprint(type, name, labels);
+            const [open] = await this.store.adapter.findAlerts({ fingerprint, states: OPEN_STATES });
+
+            if (!breached) {
+                return open ? await this.transition(open, 'resolved', { resolved_at: now }, { now, value, message }) : null;
+            }
+
+            if (!open) {
+                return await this.open({ type, name, value, threshold, labels, message, fingerprint, now });
+            }
+
+            const fields = {
+                last_seen: now,
+                actual_value: value,
+                threshold,
+                occurrences: open.occurrences + 1,
+                message: message ?? open.message
+            };
+
+            if (open.state === 'pending' && toEpoch(now) - toEpoch(open.timestamp) >= this.pendingFor) {
+                return await this.transition(open, 'firing', fields, { now, value, message });
+            }
+
+            await this.store.adapter.updateRow('alerts', open.id, fields);
+            return this.toAlert({ ...open, ...fields });
+        });
+    }
+
+    /**
+     * Resolve open alert by id or fingerprint
+     */
+    async resolve(alert, { message = null, timestamp = new Date() } = {}) {
+        return await this.enqueue(async () => {
+            const now = this.toTimestamp(timestamp);
+            const open = await this.findOpen(alert);
+
+            return await this.transition(open, 'resolved', { resolved_at: now }, { now, value: open.actual_value, message });
+        });
+    }
+
+    /**
+     * Acknowledge open alert by id or fingerprint
+     */
+    async acknowledge(alert, { by = null, comment = null, timestamp = new Date() } = {}) {
+        return await this.enqueue(async () => {
+            const now = this.toTimestamp(timestamp);
+            const open = await this.findOpen(alert);
+            const fields = { acknowledged_at: now, acknowledged_by: by };
+
+            const acknowledged = await this.store.adapter.transaction(async () => {
+                await this.store.adapter.updateRow('alerts', open.id, fields);
+                await this.recordEvent(open, 'acknowledged', { now, message: comment, actor: by });
+                return this.toAlert({ ...open, ...fields });
+            });
+
+            await this.notify('acknowledged', acknowledged, now);
+            return acknowledged;
+        });
+    }
+
+    /**
+     * Silence alerts matching tag matchers
+     *
+     * Needs `endsAt` (Date or ISO timestamp) or `duration` ('30m', '2h', '1d').
+     */
+    async silence(matchers, { startsAt = new Date(), endsAt = null, duration = null, by = null, comment = null } = {}) {
+        const parsed = parseTagMatchers(matchers);
+        if (!parsed.length) throw new Error('Silence needs at least one matcher');
+
+        const start = new Date(startsAt);
+        let end;
+        if (endsAt) {
+            end = new Date(endsAt);
+        } else if (duration) {
+            end = new Date(start.getTime() + this.store.parseInterval(duration) * 1000);
+        } else {
+            throw new Error('Silence needs endsAt or duration');
+        }
+
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+            throw new Error('Invalid silence window: endsAt must be after startsAt');
+        }
+
+        await this.store.initialize();
+        const row = {
+            timestamp: formatTimestamp(new Date()),
+            matchers: parsed.map(({ key, op, value }) => ({ key, op, value })),
+            starts_at: formatTimestamp(start),
+            ends_at: formatTimestamp(end),
+            created_by: by,
+            comment
+        };
+        const id = await this.store.adapter.insertSilence(row);
+
+        return { id, ...row };
+    }
+
+    /**
+     * End silence now, returns whether it existed
+     */
+    async expireSilence(id, { timestamp = new Date() } = {}) {
+        await this.store.initialize();
+        return await this.store.adapter.updateRow('alert_silences', id, { ends_at: this.toTimestamp(timestamp) });
+    }
+
+    /**
+     * Get silences, by default only those active now
+     */
+    async getSilences({ active = true, timestamp = new Date() } = {}) {
+        await this.store.initialize();
+        const rows = await this.store.adapter.findSilences({ activeAt: active ? this.toTimestamp(timestamp) : null });
+
+        return rows.map(row => ({ ...row, matchers: JSON.parse(row.matchers) }));
+    }
+
+    /**
+     * Get open (pending or firing) alerts, newest first
+     *
+     * Options: type, matchers (over labels plus type and name). Each alert
+     * carries `acknowledged` and `silenced` flags.
+     */
+    async getOpenAlerts({ type = null, matchers = null, timestamp = new Date() } = {}) {
+        await this.store.initialize();
+        const parsed = parseTagMatchers(matchers);
+        const silences = await this.getSilences({ timestamp });
+        const rows = await this.store.adapter.findAlerts({ type, states: OPEN_STATES });
+
+        return rows
+            .map(row => this.toAlert(row))
+            .filter(alert => matchesTags(this.getLabels(alert), parsed))
+            .map(alert => ({
+                ...alert,
+                acknowledged: Boolean(alert.acknowledged_at),
+                silenced: this.isSilenced(alert, silences)
+            }));
+    }
+
+    /**
+     * Get alerts raised in time range with their events, newest first
+     *
+     * Options: type, fingerprint, timeRange (relative or { start, end }).
+     * Returns { range, alerts }.
+     */
+    async getAlertHistory({ type = null, fingerprint = null, timeRange = '7d' } = {}) {
+        await this.store.initialize();
+        const range = this.store.resolveTimeRange(timeRange);
+        const rows = await this.store.adapter.findAlerts({
+            type,
+            fingerprint,
+            ...this.store.getWindow(range)
+        });
+
+        const alerts = [];
+        for (const row of rows) {
+            alerts.push({
+                ...this.toAlert(row),
+                events: await this.store.adapter.findAlertEvents({ alertId: row.id })
+            });
+        }
+
+        return { range, alerts };
+    }
+
+    /**
+     * Insert new alert in its initial state
+     */
+    async open({ type, name, value, threshold, labels, message, fingerprint, now }) {
+        const state = this.pendingFor > 0 ? 'pending' : 'firing';
+        const row = {
+            timestamp: now,
+            metric_type: type,
+            metric_name: name,
+            threshold,
+            actual_value: value,
+            message,
+            fingerprint,
+            labels,
+            state,
+            last_seen: now,
+            resolved_at: null,
+            occurrences: 1,
+            acknowledged_at: null,
+            acknowledged_by: null
+        };
+
+        const alert = await this.store.adapter.transaction(async () => {
+            const id = await this.store.adapter.insertAlert(row);
+            const created = this.toAlert({ ...row, id });
+            await this.recordEvent(created, state, { now, value, message });
+            return created;
+        });
+
+        await this.notify(state, alert, now);
+        return alert;
+    }
+
+    /**
+     * Move open alert to state, recording the event
+     */
+    async transition(open, state, fields, { now, value = null, message = null }) {
+        const alert = await this.store.adapter.transaction(async () => {
+            await this.store.adapter.updateRow('alerts', open.id, { ...fields, state });
+            await this.recordEvent(open, state, { now, value, message });
+            return this.toAlert({ ...open, ...fields, state });
+        });
+
+        await this.notify(state, alert, now);
+        return alert;
+    }
+
+    /**
+     * Insert alert event
+     */
+    async recordEvent(alert, event, { now, value = null, message = null, actor = null }) {
+        await this.store.adapter.insertAlertEvent({
+            timestamp: now,
+            alert_id: alert.id,
+            fingerprint: alert.fingerprint,
+            event,
+            value,
+            message,
+            actor
+        });
+    }
+
+    /**
+     * Emit lifecycle event with the alert's silence status
+     */
+    async notify(event, alert, now) {
+        if (!this.listenerCount(event)) return;
+
+        const silences = await this.getSilences({ timestamp: toDate(now) });
+        this.emit(event, { alert, silenced: this.isSilenced(alert, silences) });
+    }
+
+    /**
+     * Find open alert by id or fingerprint
+     */
+    async findOpen(alert) {
+        const query = typeof alert === 'number' ? { id: alert } : { fingerprint: String(alert) };
+        const [open] = await this.store.adapter.findAlerts({ ...query, states: OPEN_STATES });
+        if (!open) throw new Error(`No open alert: ${alert}`);
+
+        return open;
+    }
+
+    /**
+     * Check alert against active silences
+     */
+    isSilenced(alert, silences) {
+        const labels = this.getLabels(alert);
+        return silences.some(silence => matchesTags(labels, parseTagMatchers(silence.matchers)));
+    }
+
+    /**
+     * Labels silences and matchers see: alert labels plus type and name
+     */
+    getLabels(alert) {
+        return { ...alert.labels, type: alert.metric_type, name: alert.metric_name };
+    }
+
+    /**
+     * Convert stored row to alert (labels as object)
+     */
+    toAlert(row) {
+        return {
+            ...row,
+            labels: typeof row.labels === 'string' ? JSON.parse(row.labels || '{}') : { ...row.labels }
+        };
+    }
+
+    /**
+     * Convert Date or ISO timestamp to stored format
+     */
+    toTimestamp(timestamp) {
+        return formatTimestamp(timestamp instanceof Date ? timestamp : new Date(timestamp));
+    }
+
+    /**
+     * Run read-modify-write step after earlier ones
+     *
+     * Alert rows are written straight to the adapter, never through the
+     * store's write buffer, so steps read them without flushing samples.
+     */
+    enqueue(step) {
+        const run = this.queue.catch(() => {}).then(async () => {
+            await this.store.initialize();
+            return await step();
+        });
+
+        this.queue = run;
+        return run;
+    }
+}
+
+/**
+ * Fingerprint for alert type, name and labels, e.g. api/latency{env="prod"}
+ *
+ * Labels are sorted, so the same labels always give the same fingerprint.
+ */
+AlertManager.fingerprint = (type, name, labels = {}) => {
+    const pairs = Object.keys(labels || {})
+        .filter(key => labels[key] !== null && labels[key] !== undefined)
+        .sort()
+        .map(key => `${key}=${JSON.stringify(String(labels[key]))}`);
+
+    return `${type}/${name}${pairs.length ? `{${pairs.join(',')}}` : ''}`;
+};
+
+AlertManager.STATES = STATES;
+AlertManager.OPEN_STATES = OPEN_STATES;
+
+module.exports = AlertManager;
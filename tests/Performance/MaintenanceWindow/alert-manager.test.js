@@ -0,0 +1,143 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const MetricsStore = require('./metrics-store');
+const AlertManager = require('./alert-manager');
+
+describe.each(['sqlite', 'memory', 'ndjson'])('AlertManager (%s backend)', (backend) => {
+    let store;
+    let tempDir;
+    let alerts;
+
+    // SQLite stores stay in memory; ndjson ones are files in tempDir
+    const storePath = (file) => (backend === 'sqlite' ? ':memory:' : path.join(tempDir, file));
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-manager-test-'));
+        store = new MetricsStore(storePath('metrics.ndjson'), {
+            backend,
+            alerts: { pendingFor: 60 }
+        });
+        alerts = store.alerts;
+    });
+
+    afterEach(async () => {
+        await store.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const at = minutes => new Date(Date.UTC(2024, 2, 1, 10, minutes));
+    const latency = (value, minutes) => alerts.evaluate({
+        type: 'api',
+        name: 'latency',
+        labels: { env: 'prod' },
+        value,
+        threshold: 100,
+        timestamp: at(minutes)
+    });
+
+    test('leaves buffered samples in the write buffer', async () => {
+        await store.storeMetric('api', 'latency', 150);
+        await latency(150, 0);
+        await alerts.getOpenAlerts();
+
+        expect(store.buffer.size).toBe(1);
+    });
+
+    test('moves one alert through pending, firing and resolved', async () => {
+        const transitions = [];
+        ['pending', 'firing', 'resolved'].forEach(event => {
+            alerts.on(event, ({ alert }) => transitions.push([event, alert.id]));
+        });
+
+        expect(await latency(50, 0)).toBeNull();
+        expect(await latency(150, 1)).toMatchObject({ state: 'pending', fingerprint: 'api/latency{env="prod"}' });
+        expect(await latency(160, 1)).toMatchObject({ state: 'pending', occurrences: 2 });
+        expect(await latency(170, 2)).toMatchObject({ state: 'firing', occurrences: 3, actual_value: 170 });
+        expect(await latency(180, 3)).toMatchObject({ state: 'firing', occurrences: 4 });
+        expect(await latency(90, 4)).toMatchObject({ state: 'resolved', resolved_at: '2024-03-01 10:04:00' });
+
+        expect(transitions).toEqual([['pending', 1], ['firing', 1], ['resolved', 1]]);
+
+        const { alerts: history } = await alerts.getAlertHistory({
+            timeRange: { start: '2024-03-01T00:00:00Z', end: '2024-03-02T00:00:00Z' }
+        });
+        expect(history).toHaveLength(1);
+        expect(history[0].events.map(event => event.event)).toEqual(['pending', 'firing', 'resolved']);
+        expect(await alerts.getOpenAlerts()).toEqual([]);
+    });
+
+    test('opens a new alert after resolution', async () => {
+        await latency(150, 0);
+        await latency(90, 1);
+        await latency(150, 2);
+
+        const open = await alerts.getOpenAlerts();
+        expect(open).toHaveLength(1);
+        expect(open[0]).toMatchObject({ id: 2, timestamp: '2024-03-01 10:02:00', labels: { env: 'prod' } });
+    });
+
+    test('acknowledges and silences open alerts', async () => {
+        await latency(150, 0);
+        await latency(150, 1);
+
+        const acknowledged = await alerts.acknowledge('api/latency{env="prod"}', { by: 'oncall', comment: 'looking', timestamp: at(2) });
+        expect(acknowledged).toMatchObject({ acknowledged_at: '2024-03-01 10:02:00', acknowledged_by: 'oncall' });
+
+        const silence = await alerts.silence(['env=prod', 'name=~lat.*'], {
+            startsAt: at(0),
+            duration: '1h',
+            by: 'oncall'
+        });
+        expect(silence).toMatchObject({ starts_at: '2024-03-01 10:00:00', ends_at: '2024-03-01 11:00:00' });
+
+        expect(await alerts.getOpenAlerts({ timestamp: at(30) })).toEqual([
+            expect.objectContaining({ state: 'firing', acknowledged: true, silenced: true })
+        ]);
+        expect((await alerts.getOpenAlerts({ timestamp: at(61) }))[0].silenced).toBe(false);
+
+        await alerts.expireSilence(silence.id, { timestamp: at(10) });
+        expect(await alerts.getSilences({ timestamp: at(30) })).toEqual([]);
+
+        await expect(alerts.acknowledge(99)).rejects.toThrow('No open alert: 99');
+        await expect(alerts.silence('env=prod')).rejects.toThrow('Silence needs endsAt or duration');
+    });
+
+    test('de-duplicates storeAlert breaches', async () => {
+        const fresh = new MetricsStore(storePath('fresh.ndjson'), { backend });
+
+        try {
+            for (let i = 0; i < 5; i++) {
+                await fresh.storeAlert('api', 'latency', 100, 150 + i, 'too slow');
+            }
+
+            expect(await fresh.getAlerts('api', '1h')).toEqual([
+                expect.objectContaining({ state: 'firing', occurrences: 5, actual_value: 154, fingerprint: 'api/latency' })
+            ]);
+        } finally {
+            await fresh.close();
+        }
+    });
+
+    if (backend === 'ndjson') {
+        test('replays state changes on reopen', async () => {
+            await latency(150, 0);
+            await latency(150, 1);
+            await store.close();
+
+            store = new MetricsStore(path.join(tempDir, 'metrics.ndjson'), { backend });
+            expect(await store.alerts.getOpenAlerts()).toEqual([
+                expect.objectContaining({ state: 'firing', occurrences: 2 })
+            ]);
+        });
+    }
+});
+
+describe('AlertManager.fingerprint', () => {
+    test('is independent of label order', () => {
+        expect(AlertManager.fingerprint('api', 'latency', { region: 'eu', env: 'prod' }))
+            .toBe('api/latency{env="prod",region="eu"}');
+        expect(AlertManager.fingerprint('api', 'latency')).toBe('api/latency');
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Anomaly detectors for metric series
+ *
+ * - zscore: global mean and standard deviation (the original detector)
+ * - mad: modified z-score from the median and median absolute deviation,
+ *   which skewed latency data and the outliers themselves barely move
+ * - esd: seasonal-hybrid ESD; per-phase medians of the seasonal period
+ *   are removed and generalized ESD runs on the residuals with the median
+ *   and MAD in place of the mean and standard deviation
+ * - rolling: z-score against the mean and standard deviation of the
+ *   preceding window, which follows level changes and slow drifts
+ *
+ * Every anomaly is labeled with its `detector`, a `score` (the detector's
+ * test statistic) and a `severity`: the score divided by the threshold it
+ * had to exceed, so 1 is borderline and 2 is twice as far out.
+ */
+const stats = require('simple-statistics');
+
+const DEFAULTS = {
+    zscore: { threshold: 2 },
+    mad: { threshold: 3.5 },
+    esd: { alpha: 0.05, maxAnomalies: 0.1, period: null },
+    rolling: { threshold: 3, window: 24 }
+};
+
+// Scales the median absolute deviation to a normal standard deviation
+const MAD_SCALE = 1.4826;
+
+/**
+ * Anomaly record for a value
+ */
+function toAnomaly(detector, values, index, expected, score, threshold) {
+    return {
+        index,
+        value: values[index],
+        detector,
+        expected,
+        deviation: values[index] - expected,
+        score,
+        severity: score / threshold
+    };
+}
+
+/**
+ * Robust spread: scaled MAD, or scaled mean absolute deviation when more
+ * than half of the values equal the median
+ */
+function robustDeviation(values, center) {
+    const mad = stats.medianAbsoluteDeviation(values);
+    if (mad > 0) return mad * MAD_SCALE;
+
+    return stats.mean(values.map(value => Math.abs(value - center))) * 1.2533;
+}
+
+/**
+ * Global z-score detector
+ */
+function zscore(values, options = {}) {
+    const { threshold } = { ...DEFAULTS.zscore, ...options };
+    const mean = stats.mean(values);
+    const stdDev = stats.standardDeviation(values);
+    if (!(stdDev > 0)) return [];
+
+    return values
+        .map((value, index) => ({ index, score: Math.abs(value - mean) / stdDev }))
+        .filter(({ score }) => score > threshold)
+        .map(({ index, score }) => toAnomaly('zscore', values, index, mean, score, threshold));
+}
+
+/**
+ * Median/MAD (modified z-score) detector
+ */
+function mad(values, options = {}) {
+    const { threshold } = { ...DEFAULTS.mad, ...options };
+    const median = stats.median(values);
+    const deviation = robustDeviation(values, median);
+    if (!(deviation > 0)) return [];
+
+    return values
+        .map((value, index) => ({ index, score: Math.abs(value - median) / deviation }))
+        .filter(({ score }) => score > threshold)
+        .map(({ index, score }) => toAnomaly('mad', values, index, median, score, threshold));
+}
+
+/**
+ * Student t quantile (Cornish-Fisher expansion around the normal quantile)
+ */
+function tQuantile(p, degrees) {
+    const z = stats.probit(p);
+    const z3 = z ** 3;
+    const z5 = z ** 5;
+    const z7 = z ** 7;
+
+    return z
+        + (z3 + z) / (4 * degrees)
+        + (5 * z5 + 16 * z3 + 3 * z) / (96 * degrees ** 2)
+        + (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * degrees ** 3);
+}
+
+/**
+ * Seasonal-hybrid ESD detector
+ *
+ * `maxAnomalies` caps the number of anomalies as a fraction of the series
+ * (at most 0.49); `alpha` is the significance level of each ESD step.
+ */
+function esd(values, options = {}) {
+    const { alpha, maxAnomalies, period } = { ...DEFAULTS.esd, ...options };
+    const n = values.length;
+    if (n < 3) return [];
+
+    // Expected value per point: overall median plus its phase's seasonal offset
+    const median = stats.median(values);
+    const expected = values.map(() => median);
+    if (period && n >= period * 2) {
+        for (let phase = 0; phase < period; phase++) {
+            const indexes = values.map((_, i) => i).filter(i => i % period === phase);
+            const seasonal = stats.median(indexes.map(i => values[i]));
+            indexes.forEach(i => { expected[i] = seasonal; });
+        }
+    }
+
+    const residuals = values.map((value, i) => value - expected[i]);
+    const limit = Math.min(Math.floor(n * Math.min(maxAnomalies, 0.49)), n - 3);
+    let remaining = residuals.map((residual, index) => ({ index, residual }));
+    const candidates = [];
+    let found = 0;
+
+    for (let i = 1; i <= limit; i++) {
+        const center = stats.median(remaining.map(point => point.residual));
+        const deviation = robustDeviation(remaining.map(point => point.residual), center);
+        if (!(deviation > 0)) break;
+
+        const worst = remaining.reduce((max, point) => (
+            Math.abs(point.residual - center) > Math.abs(max.residual - center) ? point : max
+        ));
+        const score = Math.abs(worst.residual - center) / deviation;
+
+        const size = n - i + 1;
+        const t = tQuantile(1 - alpha / (2 * size), size - 2);
+        const critical = (size - 1) * t / Math.sqrt((size - 2 + t * t) * size);
+
+        candidates.push({ index: worst.index, score, critical });
+        if (score > critical) found = i;
+        remaining = remaining.filter(point => point !== worst);
+    }
+
+    return candidates
+        .slice(0, found)
+        .sort((a, b) => a.index - b.index)
+        .map(({ index, score, critical }) => toAnomaly('esd', values, index, expected[index], score, critical));
+}
+
+/**
+ * Rolling-window z-score detector
+ *
+ * Each value is scored against the `window` values before it, so the first
+ * `window` values are never flagged.
+ */
+function rolling(values, options = {}) {
+    const { threshold, window } = { ...DEFAULTS.rolling, ...options };
+    const anomalies = [];
+
+    for (let index = window; index < values.length; index++) {
+        const previous = values.slice(index - window, index);
+        const mean = stats.mean(previous);
+        const stdDev = stats.standardDeviation(previous);
+        if (!(stdDev > 0)) continue;
+
+        const score = Math.abs(values[index] - mean) / stdDev;
+        if (score > threshold) {
+            anomalies.push(toAnomaly('rolling', values, index, mean, score, threshold));
+        }
+    }
+
+    return anomalies;
+}
+
+const DETECTORS = { zscore, mad, esd, rolling };
+
+/**
+ * Run a detector by name
+ */
+function detect(values, detector = 'zscore', options = {}) {
+    if (!DETECTORS[detector]) {
+        throw new Error(`Unknown anomaly detector: ${detector}`);
+    }
+
+    return values.length ? DETECTORS[detector](values, options) : [];
+}
+
+module.exports = {
+    DEFAULTS,
+    DETECTORS,
+    detect,
+    esd,
+    mad,
+    rolling,
+    zscore
+};
@@ -0,0 +1,83 @@
+const { describe, expect, test } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const anomalyDetectors = require('./anomaly-detectors');
+const { noise } = require('./test-helpers');
+
+const indexes = result => result.anomalies.map(anomaly => anomaly.index);
+
+describe('MetricsAnalyzer.detectAnomalies', () => {
+    const analyzer = new MetricsAnalyzer(null);
+
+    test('seasonal ESD finds spikes that hide inside the daily swing', () => {
+        const values = Array.from({ length: 168 }, (_, i) => 100 + 30 * Math.sin(2 * Math.PI * i / 24) + 2 * noise(i));
+        values[30] += 15;
+        values[100] -= 12;
+
+        const result = analyzer.detectAnomalies(values, { detector: 'esd' });
+        expect(indexes(result)).toEqual([30, 100]);
+        result.anomalies.forEach(anomaly => {
+            expect(anomaly).toMatchObject({ detector: 'esd' });
+            expect(anomaly.severity).toBeGreaterThan(1);
+        });
+
+        expect(indexes(analyzer.detectAnomalies(values))).not.toContain(100);
+    });
+
+    test('median/MAD is not masked by a skewed tail', () => {
+        const values = Array.from({ length: 100 }, (_, i) => 10 + noise(i));
+        values[10] = 25;
+        for (let i = 80; i < 100; i++) values[i] = 200 + i;
+
+        expect(indexes(analyzer.detectAnomalies(values))).not.toContain(10);
+        expect(indexes(analyzer.detectAnomalies(values, { detector: 'mad' }))).toContain(10);
+    });
+
+    test('rolling windows follow level changes and sensitivity is configurable', () => {
+        const values = Array.from({ length: 60 }, (_, i) => (i < 30 ? 10 : 50) + noise(i));
+        values[45] = 58;
+
+        expect(indexes(analyzer.detectAnomalies(values, { detector: 'rolling', window: 10 }))).toEqual([30, 45]);
+        expect(indexes(analyzer.detectAnomalies(values, { detector: 'rolling', window: 10, threshold: 100 }))).toEqual([]);
+        expect(() => analyzer.detectAnomalies(values, { detector: 'iqr' })).toThrow('Unknown anomaly detector: iqr');
+    });
+});
+
+describe('anomalyDetectors.mad', () => {
+    test('scores constant series with a single outlier', () => {
+        const [anomaly] = anomalyDetectors.mad([5, 5, 5, 5, 5, 5, 9]);
+        expect(anomaly).toMatchObject({ index: 6, value: 9, expected: 5, deviation: 4, detector: 'mad' });
+    });
+});
+
+describe('MetricsAnalyzer.analyzeTrends anomalies', () => {
+    test('are found on the hourly series and keep their bucket time across gaps', async () => {
+        const store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        // A week of hourly samples without 03:00 and 04:00, one spike on the second day at 06:00
+        const start = Date.UTC(2024, 2, 1);
+        const hours = Array.from({ length: 168 }, (_, i) => i).filter(i => i % 24 !== 3 && i % 24 !== 4);
+        await store.adapter.importRows('metrics', hours.map(i => ({
+            timestamp: new Date(start + i * 3600000).toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: 100 + 30 * Math.sin(2 * Math.PI * i / 24) + 2 * noise(i) + (i === 30 ? 15 : 0),
+            tags: {}
+        })), 'append');
+
+        try {
+            const { anomalies } = await new MetricsAnalyzer(store).analyzeTrends('api', 'latency', {
+                start: '2024-03-01T00:00:00Z',
+                end: '2024-03-08T00:00:00Z'
+            }, { anomalies: { detector: 'esd' } });
+
+            expect(anomalies.anomalies.map(anomaly => [anomaly.index, anomaly.time]))
+                .toEqual([[30, store.formatBucket(start / 1000 + 30 * 3600)]]);
+            expect(anomalies.count).toBe(1);
+            expect(anomalies.percentage).toBeCloseTo(100 / hours.length, 10);
+        } finally {
+            await store.close();
+        }
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * Walk-forward (rolling-origin) forecast backtesting
+ *
+ * Replays a series: at every origin t each forecaster sees only the values
+ * before t (all of them, or the last `window` with a sliding window) and
+ * forecasts the next `horizon` values, which are compared with what was
+ * actually observed. Errors are pooled per horizon step across origins:
+ * MAE, MAPE (percent, over non-zero actuals), RMSE and the coverage of the
+ * 95% prediction intervals (share of actuals inside them).
+ *
+ * A forecaster is an async function (history, horizon) returning
+ * { values, confidence } like MetricsAnalyzer.generateForecast();
+ * `confidence` ({ lower, upper } per step) is optional.
+ */
+const stats = require('simple-statistics');
+const { fillGaps } = require('./series');
+
+const DEFAULTS = {
+    horizon: 24,
+    // Values before the first origin, half the series by default
+    initial: null,
+    // Distance between origins, the horizon by default
+    step: null,
+    // Sliding history window; null keeps every past value
+    window: null
+};
+
+// z-score of two-sided 95% intervals
+const Z_95 = 1.96;
+
+/**
+ * Naive baseline: every step repeats the last value
+ *
+ * Intervals widen with sqrt(h) from the spread of one-step changes.
+ */
+function naive() {
+    return async (history, horizon) => {
+        const last = history[history.length - 1];
+        const changes = history.slice(1).map((value, i) => value - history[i]);
+        const sigma = changes.length ? Math.sqrt(stats.mean(changes.map(change => change * change))) : 0;
+
+        return {
+            values: Array(horizon).fill(last),
+            confidence: Array.from({ length: horizon }, (_, i) => ({
+                lower: last - Z_95 * sigma * Math.sqrt(i + 1),
+                upper: last + Z_95 * sigma * Math.sqrt(i + 1)
+            }))
+        };
+    };
+}
+
+/**
+ * Seasonal naive baseline: every step repeats the value one period earlier
+ *
+ * Falls back to the naive forecast while the history is shorter than a period.
+ */
+function seasonalNaive(period) {
+    const fallback = naive();
+
+    return async (history, horizon) => {
+        const n = history.length;
+        if (n < period) return fallback(history, horizon);
+
+        const changes = history.slice(period).map((value, i) => value - history[i]);
+        const sigma = changes.length ? Math.sqrt(stats.mean(changes.map(change => change * change))) : 0;
+        const values = [];
+        const confidence = [];
+
+        for (let h = 1; h <= horizon; h++) {
+            const seasons = Math.floor((h - 1) / period) + 1;
+            const value = history[n - 1 + h - seasons * period];
+            values.push(value);
+            confidence.push({
+                lower: value - Z_95 * sigma * Math.sqrt(seasons),
+                upper: value + Z_95 * sigma * Math.sqrt(seasons)
+            });
+        }
+
+        return { values, confidence };
+    };
+}
+
+/**
+ * Scores from pooled forecast errors
+ */
+function score(errors) {
+    const count = errors.length;
+    if (!count) return { count, mae: null, mape: null, rmse: null, coverage: null };
+
+    const relative = errors.filter(error => error.actual !== 0);
+    const intervals = errors.filter(error => error.covered !== null);
+
+    return {
+        count,
+        mae: stats.mean(errors.map(error => Math.abs(error.error))),
+        mape: relative.length ? 100 * stats.mean(relative.map(error => Math.abs(error.error / error.actual))) : null,
+        rmse: Math.sqrt(stats.mean(errors.map(error => error.error ** 2))),
+        coverage: intervals.length ? intervals.filter(error => error.covered).length / intervals.length : null
+    };
+}
+
+/**
+ * Backtest forecasters ({ name: forecaster }) on a series
+ *
+ * Returns { horizon, initial, step, window, origins, models } where
+ * `origins` are the indexes forecasts started from and `models` holds
+ * { name, overall, horizons } per forecaster, `horizons` scoring each step
+ * ahead ({ horizon, count, mae, mape, rmse, coverage }). `values` are
+ * evenly spaced, null where missing: missing actuals are not scored and
+ * forecasters see gaps filled with the previous value.
+ */
+async function backtest(values, forecasters, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const { horizon, window } = settings;
+    const initial = settings.initial ?? Math.floor(values.length / 2);
+    const step = settings.step ?? horizon;
+    const counts = { horizon, step, initial, ...(window !== null && window !== undefined ? { window } : {}) };
+    Object.entries(counts).forEach(([option, value]) => {
+        if (!Number.isInteger(value) || value < 1) throw new Error(`Backtest ${option} must be a positive integer, got ${value}`);
+    });
+    if (initial < 2) throw new Error('Backtest needs at least 2 values before the first origin');
+
+    const origins = [];
+    for (let origin = initial; origin + horizon <= values.length; origin += step) origins.push(origin);
+
+    const models = [];
+    for (const [name, forecaster] of Object.entries(forecasters)) {
+        const errors = Array.from({ length: horizon }, () => []);
+
+        for (const origin of origins) {
+            const history = fillGaps(values.slice(window ? Math.max(origin - window, 0) : 0, origin));
+            const forecast = await forecaster(history, horizon);
+
+            for (let h = 0; h < horizon; h++) {
+                const actual = values[origin + h];
+                const predicted = forecast.values[h];
+                if (actual === null || actual === undefined || predicted === undefined) continue;
+
+                const interval = forecast.confidence?.[h];
+                errors[h].push({
+                    actual,
+                    error: actual - predicted,
+                    covered: interval ? actual >= interval.lower && actual <= interval.upper : null
+                });
+            }
+        }
+
+        models.push({
+            name,
+            overall: score(errors.flat()),
+            horizons: errors.map((stepErrors, h) => ({ horizon: h + 1, ...score(stepErrors) }))
+        });
+    }
+
+    return { horizon, initial, step, window, origins, models };
+}
+
+/**
+ * Side-by-side text summary of a backtest
+ *
+ * Overall scores per model, then `metrics` (MAE and coverage by default)
+ * for each horizon step.
+ */
+function formatBacktest(report, metrics = ['mae', 'coverage']) {
+    const labels = { mae: 'MAE', mape: 'MAPE', rmse: 'RMSE', coverage: 'Coverage' };
+    const format = (metric, value) => {
+        if (value === null) return 'n/a';
+        if (metric === 'coverage') return `${(value * 100).toFixed(1)}%`;
+        if (metric === 'mape') return `${value.toFixed(1)}%`;
+        return value.toFixed(2);
+    };
+    const width = Math.max(...report.models.map(model => model.name.length), 8) + 2;
+    const row = cells => cells.map((cell, i) => (i === 0 ? String(cell).padEnd(width) : String(cell).padStart(width))).join('');
+
+    const lines = [
+        `Backtest: ${report.origins.length} origins, horizon ${report.horizon}, step ${report.step}, ` +
+            `${report.window ? `window ${report.window}` : 'expanding window'} from ${report.initial} values`,
+        '',
+        row(['Model', 'MAE', 'MAPE', 'RMSE', 'Coverage']),
+        ...report.models.map(model => row([
+            model.name,
+            ...['mae', 'mape', 'rmse', 'coverage'].map(metric => format(metric, model.overall[metric]))
+        ]))
+    ];
+
+    metrics.forEach(metric => {
+        lines.push('', `${labels[metric]} by horizon:`, row(['h', ...report.models.map(model => model.name)]));
+        for (let h = 0; h < report.horizon; h++) {
+            lines.push(row([h + 1, ...report.models.map(model => format(metric, model.horizons[h][metric]))]));
+        }
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    naive,
+    seasonalNaive,
+    backtest,
+    formatBacktest
+};
@@ -0,0 +1,128 @@
+const { describe, expect, test, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const { naive, seasonalNaive, backtest, formatBacktest } = require('./backtest');
+
+describe('backtest', () => {
+    test('scores forecasts per horizon from walk-forward origins', async () => {
+        const values = Array.from({ length: 20 }, (_, i) => i + 1);
+        const seen = [];
+        const forecasters = {
+            // Always one too low
+            lagging: async (history, horizon) => {
+                seen.push(history.length);
+                const last = history[history.length - 1];
+                return {
+                    values: Array.from({ length: horizon }, (_, h) => last + h),
+                    confidence: Array.from({ length: horizon }, (_, h) => ({ lower: last + h - 0.5, upper: last + h + 1.5 }))
+                };
+            },
+            naive: naive()
+        };
+
+        const report = await backtest(values, forecasters, { horizon: 3, initial: 10, step: 2 });
+
+        expect(report.origins).toEqual([10, 12, 14, 16]);
+        expect(seen).toEqual([10, 12, 14, 16]);
+
+        const [lagging, flat] = report.models;
+        expect(lagging.overall).toMatchObject({ count: 12, mae: 1, rmse: 1, coverage: 1 });
+        expect(flat.horizons.map(h => h.mae)).toEqual([1, 2, 3]);
+        expect(flat.horizons[0].mape).toBeCloseTo(100 * (1 / 11 + 1 / 13 + 1 / 15 + 1 / 17) / 4, 10);
+
+        const windowed = await backtest(values, { lagging: forecasters.lagging }, { horizon: 3, initial: 10, window: 5 });
+        expect(windowed.origins).toEqual([10, 13, 16]);
+        expect(seen.slice(-3)).toEqual([5, 5, 5]);
+
+        const text = formatBacktest(report);
+        expect(text).toContain('Backtest: 4 origins, horizon 3, step 2, expanding window from 10 values');
+        expect(text).toMatch(/naive\s+2\.00\s+\S+%\s+2\.16/);
+    });
+
+    test('rejects origins that would not advance', async () => {
+        const values = Array.from({ length: 20 }, (_, i) => i);
+
+        await expect(backtest(values, { naive: naive() }, { step: 0 })).rejects.toThrow('Backtest step must be a positive integer, got 0');
+        await expect(backtest(values, { naive: naive() }, { horizon: 0 })).rejects.toThrow('Backtest horizon must be a positive integer');
+        await expect(backtest(values, { naive: naive() }, { initial: NaN })).rejects.toThrow('Backtest initial must be a positive integer, got NaN');
+    });
+
+    test('seasonal naive repeats the last period', async () => {
+        const history = [1, 2, 3, 4, 1, 2, 3, 4];
+        const forecast = await seasonalNaive(4)(history, 6);
+
+        expect(forecast.values).toEqual([1, 2, 3, 4, 1, 2]);
+        // A perfectly periodic history has no seasonal error
+        expect(forecast.confidence[5]).toEqual({ lower: 2, upper: 2 });
+    });
+});
+
+describe('MetricsAnalyzer.backtestForecasts', () => {
+    let store;
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('compares Holt-Winters with naive baselines on a stored series', async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        let seed = 1;
+        const noise = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648 - 0.5;
+        };
+        const start = Date.UTC(2024, 2, 1);
+        const rows = Array.from({ length: 24 * 14 }, (_, i) => ({
+            timestamp: new Date(start + i * 3600000 + 60000).toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: 100 + 20 * Math.sin((2 * Math.PI * i) / 24) + 6 * noise(),
+            tags: {}
+        }));
+        await store.adapter.importRows('metrics', rows, 'append');
+
+        const report = await new MetricsAnalyzer(store).backtestForecasts('api', 'latency', {
+            start: '2024-03-01T00:00:00Z',
+            end: '2024-03-15T00:00:00Z'
+        });
+
+        expect(report).toMatchObject({ metric: { type: 'api', name: 'latency' }, horizon: 24, initial: 168 });
+        expect(report.origins).toHaveLength(7);
+
+        const scores = Object.fromEntries(report.models.map(model => [model.name, model.overall]));
+        expect(Object.keys(scores)).toEqual(['holt-winters', 'naive', 'seasonal-naive']);
+        expect(scores['holt-winters'].mae).toBeLessThan(scores.naive.mae / 2);
+        expect(scores['holt-winters'].coverage).toBeGreaterThan(0.85);
+    });
+
+    test('keeps horizons in hours across gaps', async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        // 0, 1, 2, ... per hour with hours 30-39 missing
+        const start = Date.UTC(2024, 2, 1);
+        const rows = Array.from({ length: 60 }, (_, i) => ({
+            timestamp: new Date(start + i * 3600000 + 60000).toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: i,
+            tags: {}
+        })).filter((_, i) => i < 30 || i >= 40);
+        await store.adapter.importRows('metrics', rows, 'append');
+
+        const report = await new MetricsAnalyzer(store).backtestForecasts('api', 'latency', {
+            start: '2024-03-01T00:00:00Z',
+            end: '2024-03-05T00:00:00Z'
+        }, { horizon: 5, initial: 20, step: 10, period: 0 });
+
+        expect(report.origins).toEqual([20, 30, 40, 50]);
+        const naiveScores = report.models.find(model => model.name === 'naive');
+        // The origin inside the gap scores nothing; the one after it forecasts from hour 29
+        expect(naiveScores.overall.count).toBe(15);
+        expect(naiveScores.horizons.map(h => h.mae)).toEqual([
+            (1 + 11 + 1) / 3, (2 + 12 + 2) / 3, (3 + 13 + 3) / 3, (4 + 14 + 4) / 3, (5 + 15 + 5) / 3
+        ]);
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Change-point detection for metric series
+ *
+ * Change points are placed with PELT (Killick et al.) under a Gaussian
+ * mean-shift cost, so a series is split into segments of constant level.
+ * Each change point is then checked with a CUSUM bootstrap (Taylor's
+ * method) over its two neighbouring segments: the confidence is the share
+ * of shuffled segments whose CUSUM range is smaller than the observed one.
+ * Shuffles use a seeded generator, so results are reproducible.
+ */
+
+const DEFAULTS = {
+    // Penalty per change point in units of the noise variance; default 3 ln(n),
+    // a little above BIC so flat noisy series rarely yield change points
+    penalty: null,
+    minSegment: 3,
+    minConfidence: 0.9,
+    iterations: 1000,
+    seed: 42
+};
+
+/**
+ * Median of numbers
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Robust noise standard deviation from the MAD of first differences
+ *
+ * Differences cancel level shifts, so steps do not inflate the estimate.
+ */
+function estimateNoise(values) {
+    if (values.length < 3) return 0;
+
+    const diffs = values.slice(1).map((value, i) => Math.abs(value - values[i]));
+    return median(diffs) / (0.6745 * Math.SQRT2);
+}
+
+/**
+ * Change point indexes by PELT with a mean-shift cost
+ *
+ * An index i means the level changes between values[i - 1] and values[i].
+ */
+function pelt(values, options = {}) {
+    const { minSegment } = { ...DEFAULTS, ...options };
+    const n = values.length;
+    if (n < minSegment * 2) return [];
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const noise = estimateNoise(values) || 1e-9 * (Math.abs(mean) + 1);
+    const penalty = options.penalty ?? 3 * Math.log(n);
+
+    // Prefix sums of normalized values give O(1) segment costs
+    const sums = [0];
+    const squares = [0];
+    values.forEach((value, i) => {
+        const x = value / noise;
+        sums.push(sums[i] + x);
+        squares.push(squares[i] + x * x);
+    });
+
+    const cost = (from, to) => {
+        const sum = sums[to] - sums[from];
+        return squares[to] - squares[from] - sum * sum / (to - from);
+    };
+
+    const best = new Array(n + 1).fill(Infinity);
+    const previous = new Array(n + 1).fill(0);
+    best[0] = -penalty;
+    let candidates = [0];
+
+    for (let t = minSegment; t <= n; t++) {
+        candidates.forEach(s => {
+            if (t - s < minSegment) return;
+
+            const total = best[s] + cost(s, t) + penalty;
+            if (total < best[t]) {
+                best[t] = total;
+                previous[t] = s;
+            }
+        });
+
+        // Drop candidates that can never be optimal again
+        candidates = candidates.filter(s => t - s < minSegment || best[s] + cost(s, t) <= best[t]);
+        if (Number.isFinite(best[t])) candidates.push(t);
+    }
+
+    const changePoints = [];
+    for (let t = n; previous[t] > 0; t = previous[t]) {
+        changePoints.unshift(previous[t]);
+    }
+
+    return changePoints;
+}
+
+/**
+ * Range (max - min) of the CUSUM of deviations from the mean
+ */
+function cusumRange(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    let cusum = 0;
+    let min = 0;
+    let max = 0;
+
+    values.forEach(value => {
+        cusum += value - mean;
+        min = Math.min(min, cusum);
+        max = Math.max(max, cusum);
+    });
+
+    return max - min;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Bootstrap confidence that values contain a level change (0-1)
+ */
+function cusumConfidence(values, options = {}) {
+    const { iterations, seed } = { ...DEFAULTS, ...options };
+    const observed = cusumRange(values);
+    if (observed === 0) return 0;
+
+    const random = createRandom(seed);
+    const shuffled = [...values];
+    let below = 0;
+
+    for (let i = 0; i < iterations; i++) {
+        for (let j = shuffled.length - 1; j > 0; j--) {
+            const k = Math.floor(random() * (j + 1));
+            [shuffled[j], shuffled[k]] = [shuffled[k], shuffled[j]];
+        }
+
+        if (cusumRange(shuffled) < observed) below++;
+    }
+
+    return below / iterations;
+}
+
+/**
+ * Detect level changes in series values
+ *
+ * Options: penalty, minSegment, minConfidence, iterations, seed. Returns
+ * [{ index, before, after, shift, relativeShift, confidence }] where
+ * `before`/`after` are the means of the neighbouring segments and
+ * `relativeShift` is the shift as a fraction of `before` (null when 0).
+ */
+function detectChangePoints(values, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const indexes = pelt(values, settings);
+    const bounds = [0, ...indexes, values.length];
+    const average = segment => segment.reduce((sum, value) => sum + value, 0) / segment.length;
+
+    return indexes
+        .map((index, i) => {
+            const beforeSegment = values.slice(bounds[i], index);
+            const afterSegment = values.slice(index, bounds[i + 2]);
+            const before = average(beforeSegment);
+            const after = average(afterSegment);
+
+            return {
+                index,
+                before,
+                after,
+                shift: after - before,
+                relativeShift: before === 0 ? null : (after - before) / Math.abs(before),
+                confidence: cusumConfidence([...beforeSegment, ...afterSegment], settings)
+            };
+        })
+        .filter(change => change.confidence >= settings.minConfidence);
+}
+
+module.exports = {
+    cusumConfidence,
+    detectChangePoints,
+    estimateNoise,
+    pelt
+};
@@ -0,0 +1,100 @@
+const { describe, expect, test, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const { detectChangePoints, pelt } = require('./change-points');
+const { noise } = require('./test-helpers');
+
+const level = (value, length, offset = 0) => Array.from({ length }, (_, i) => value + noise(i + offset));
+
+describe('detectChangePoints', () => {
+    test('finds level shifts with their size and confidence', () => {
+        const values = [...level(100, 40), ...level(120, 30, 40), ...level(90, 30, 70)];
+        const changes = detectChangePoints(values);
+
+        expect(changes.map(change => change.index)).toEqual([40, 70]);
+        expect(changes[0].shift).toBeCloseTo(20, 0);
+        expect(changes[0].relativeShift).toBeCloseTo(0.2, 1);
+        expect(changes[1].shift).toBeCloseTo(-30, 0);
+        changes.forEach(change => expect(change.confidence).toBeGreaterThan(0.99));
+    });
+
+    test('reports nothing for a flat series', () => {
+        expect(detectChangePoints(level(100, 100))).toEqual([]);
+        expect(detectChangePoints([5, 5, 5, 5, 5, 5, 5])).toEqual([]);
+        expect(detectChangePoints([])).toEqual([]);
+    });
+
+    test('respects the minimum segment length', () => {
+        const values = [...level(10, 10), 50, 50, ...level(10, 10, 12)];
+
+        expect(pelt(values, { minSegment: 2 })).toEqual([10, 12]);
+        expect(pelt(values, { minSegment: 3 })).not.toContain(10);
+    });
+});
+
+describe('MetricsAnalyzer.detectChangePoints', () => {
+    let store;
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('reports p95 regressions by time bucket', async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        const rows = [];
+        for (let hour = 0; hour < 24; hour++) {
+            for (let i = 0; i < 20; i++) {
+                const base = hour < 14 ? 100 : 118;
+                rows.push({
+                    timestamp: `2024-03-01 ${String(hour).padStart(2, '0')}:${String(i).padStart(2, '0')}:00`,
+                    metric_type: 'api',
+                    metric_name: 'latency',
+                    value: base + noise(hour * 20 + i),
+                    tags: {}
+                });
+            }
+        }
+        await store.adapter.importRows('metrics', rows, 'append');
+
+        const analyzer = new MetricsAnalyzer(store);
+        const result = await analyzer.detectChangePoints('api', 'latency', {
+            start: '2024-03-01T00:00:00Z',
+            end: '2024-03-02T00:00:00Z'
+        }, { statistic: 'p95' });
+
+        expect(result.changePoints).toHaveLength(1);
+        expect(result.changePoints[0]).toMatchObject({
+            index: 14,
+            time: store.formatBucket(Date.UTC(2024, 2, 1, 14) / 1000)
+        });
+        expect(result.changePoints[0].description).toMatch(/^api\/latency p95 went up 1[78]% at /);
+
+        await expect(analyzer.detectChangePoints('api', 'latency', '1d', { statistic: 'median' }))
+            .rejects.toThrow('Invalid statistic');
+    });
+
+    test('reads pNN statistics as percentiles', async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+        await store.adapter.importRows('metrics', Array.from({ length: 100 }, (_, i) => ({
+            timestamp: `2024-03-01 10:${String(Math.floor(i / 2)).padStart(2, '0')}:00`,
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: i + 1,
+            tags: {}
+        })), 'append');
+
+        const analyzer = new MetricsAnalyzer(store);
+        const range = { start: '2024-03-01T00:00:00Z', end: '2024-03-02T00:00:00Z' };
+        const value = async statistic => (await analyzer.getSeries('api', 'latency', '1h', range, statistic))[0].value;
+
+        expect(await value('p5')).toBeCloseTo(5, 0);
+        expect(await value('p50')).toBeCloseTo(50, 0);
+        expect(await value('p100')).toBeCloseTo(100, 0);
+        expect(await value('p999')).toBeGreaterThan(98);
+        await expect(value('p0')).rejects.toThrow('Invalid percentile: p0');
+        await expect(value('p101')).rejects.toThrow('Invalid percentile: p101');
+    });
+});
@@ -7,6 +7,12 @@ const ora = require('ora');
 const path = require('path');
 const fs = require('fs');
 const PerformanceVisualizer = require('./visualize-performance');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const QueryEngine = require('./query-engine');
+const { formatReportDiff } = require('./report-diff');
+const { formatBacktest } = require('./backtest');
+const { BACKENDS } = require('./storage');
 
 program
     .version('1.0.0')
@@ -85,6 +91,212 @@ program
         }
     });
 
+/**
+ * Command to show stored metric percentiles
+ */
+program
+    .command('stats')
+    .description('Show statistics and percentiles for a stored metric')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-t, --type <type>', 'Metric type')
+    .option('-n, --name <name>', 'Metric name')
+    .option('-r, --range <range>', 'Time range (e.g. 24h, 7d)', '24h')
+    .option('--start <time>', 'Absolute range start (ISO timestamp, overrides --range)')
+    .option('--end <time>', 'Absolute range end (ISO timestamp, defaults to now)')
+    .option('--run <ids...>', 'Only samples from these benchmark runs')
+    .action(async (options) => {
+        try {
+            const config = await promptForStatsOptions(options);
+            await showStats(config);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('query <expression>')
+    .description('Evaluate a query expression over stored metrics, e.g. \'p95(metric{type="api"}) by (env)\'')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-r, --range <range>', 'Time range (e.g. 24h, 7d)', '1h')
+    .option('--start <time>', 'Absolute range start (ISO timestamp, overrides --range)')
+    .option('--end <time>', 'Absolute range end (ISO timestamp, defaults to now)')
+    .option('-s, --step <step>', 'Evaluation step (e.g. 30s, 5m, 1h)', '1m')
+    .option('--json', 'Print the raw result as JSON')
+    .action(async (expression, options) => {
+        try {
+            await runQuery(expression, options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Command to save an analyzer report
+ */
+program
+    .command('report')
+    .description('Generate an analyzer report for stored metrics as JSON')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-r, --range <range>', 'Time range (e.g. 24h, 7d, or start..end ISO timestamps)', '7d')
+    .option('--run <ids...>', 'Only samples from these benchmark runs')
+    .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+    .action(async (options) => {
+        try {
+            await saveReport(options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Command to compare two reports or time ranges
+ */
+program
+    .command('diff [before] [after]')
+    .description('Compare two saved reports, or the reports of two time ranges (--before/--after)')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('--before <range>', 'Baseline time range (e.g. start..end ISO timestamps)')
+    .option('--after <range>', 'Compared time range (e.g. 7d or start..end ISO timestamps)')
+    .option('--run <ids...>', 'Only samples from these benchmark runs')
+    .option('--alpha <alpha>', 'Significance level for percentile shifts', '0.05')
+    .option('--json', 'Print the diff as JSON')
+    .action(async (before, after, options) => {
+        try {
+            await diffReports(before, after, options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Command to backtest forecasts on a stored metric
+ */
+program
+    .command('backtest <type> <name>')
+    .description('Score forecasts of a stored metric by replaying its history (walk-forward)')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-r, --range <range>', 'Time range (e.g. 30d, or start..end ISO timestamps)', '30d')
+    .option('--run <ids...>', 'Only samples from these benchmark runs')
+    .option('--horizon <hours>', 'Hours forecast from each origin', '24')
+    .option('--step <hours>', 'Hours between origins (default: the horizon)')
+    .option('--initial <hours>', 'Hours of history before the first origin (default: half the range)')
+    .option('--window <hours>', 'Sliding history window (default: all history)')
+    .option('--ml', 'Include the LSTM (needs @tensorflow/tfjs-node)')
+    .option('--json', 'Print the report as JSON')
+    .action(async (type, name, options) => {
+        try {
+            await runBacktest(type, name, options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Command to show SLO compliance and error budgets
+ */
+program
+    .command('slo')
+    .description('Show SLO compliance, error budgets and burn rates from execution times')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-c, --config <file>', 'SLO config module (default: config/slos.js)')
+    .option('--run <ids...>', 'Only execution times from these benchmark runs')
+    .option('--alert', 'Raise and resolve burn-rate alerts')
+    .action(async (options) => {
+        try {
+            await showSlos(options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Commands to maintain the metrics store
+ */
+const storeCommand = program
+    .command('store')
+    .description('Maintain the metrics store');
+
+storeCommand
+    .command('migrate')
+    .description('Apply pending schema migrations to a metrics database')
+    .option('--db <path>', 'Metrics database path', 'metrics.db')
+    .option('--dry-run', 'List pending migrations without applying them')
+    .action(async (options) => {
+        try {
+            await migrateStore(options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+storeCommand
+    .command('export <file>')
+    .description('Export stored rows to JSON or NDJSON (.ndjson/.jsonl), keeping ids and timestamps')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-r, --range <range>', 'Only rows in relative time range (e.g. 24h, 7d)')
+    .option('--start <time>', 'Only rows from this ISO timestamp')
+    .option('--end <time>', 'Only rows before this ISO timestamp')
+    .option('-t, --type <type>', 'Only this metric type')
+    .option('-n, --name <name>', 'Only this metric name')
+    .option('--run <id>', 'Only this benchmark run and its samples')
+    .option('--tables <tables...>', 'Tables to export (metrics, execution_times, alerts, alert_events, alert_silences, runs)')
+    .option('--format <format>', 'File format (json or ndjson)')
+    .action(async (file, options) => {
+        try {
+            await exportStore(file, options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+storeCommand
+    .command('import <file>')
+    .description('Import rows from a JSON or NDJSON export')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-m, --mode <mode>', 'Existing ids: skip, overwrite or append', 'skip')
+    .option('--format <format>', 'File format (json or ndjson)')
+    .action(async (file, options) => {
+        try {
+            await importStore(file, options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+storeCommand
+    .command('runs')
+    .description('List registered benchmark runs')
+    .option('--db <path>', 'Metrics database or NDJSON file path', 'metrics.db')
+    .option('-b, --backend <backend>', `Storage backend (${BACKENDS.join(', ')})`, 'sqlite')
+    .option('-r, --range <range>', 'Only runs started in relative time range (e.g. 24h, 7d)', '30d')
+    .option('--branch <branch>', 'Only runs of this branch')
+    .option('--sha <sha>', 'Only runs of this commit')
+    .action(async (options) => {
+        try {
+            await listRuns(options);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
 /**
  * Prompt for missing visualization options
  */
@@ -226,6 +438,32 @@ async function promptForWatchOptions(options) {
     return { ...options, ...answers };
 }
 
+/**
+ * Prompt for stats options
+ */
+async function promptForStatsOptions(options) {
+    const questions = [];
+
+    if (!options.type) {
+        questions.push({
+            type: 'input',
+            name: 'type',
+            message: 'Enter metric type:'
+        });
+    }
+
+    if (!options.name) {
+        questions.push({
+            type: 'input',
+            name: 'name',
+            message: 'Enter metric name:'
+        });
+    }
+
+    const answers = await inquirer.prompt(questions);
+    return { ...options, ...answers };
+}
+
 /**
  * Generate visualizations
  */
@@ -310,6 +548,305 @@ async function compareResults(config) {
     }
 }
 
+/**
+ * Show metric statistics
+ */
+async function showStats(config) {
+    const spinner = ora('Loading metric statistics...').start();
+    const store = new MetricsStore(config.db, { backend: config.backend });
+
+    try {
+        const timeRange = config.start ? { start: config.start, end: config.end } : config.range;
+        const stats = await store.getMetricStats(config.type, config.name, timeRange, { runs: config.run });
+
+        spinner.succeed(chalk.green('Statistics loaded'));
+
+        console.log(chalk.blue(`\n${config.type}/${config.name} (${stats.range.start} to ${stats.range.end}):`));
+        console.log(`  Count: ${stats.count}`);
+
+        if (!stats.count) return;
+
+        const format = value => (value === null ? 'n/a' : value.toFixed(2));
+        console.log(`  Min: ${format(stats.minimum)}`);
+        console.log(`  Max: ${format(stats.maximum)}`);
+        console.log(`  Avg: ${format(stats.average)}`);
+        console.log(`  p50: ${format(stats.percentile_50)}`);
+        console.log(`  p90: ${format(stats.percentile_90)}`);
+        console.log(`  p99: ${format(stats.percentile_99)}`);
+        console.log(`  p99.9: ${format(stats.percentile_999)}`);
+    } catch (error) {
+        spinner.fail(chalk.red('Failed to load statistics'));
+        throw error;
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Parse relative ('7d') or 'start..end' range option
+ */
+function parseRange(value) {
+    if (!value.includes('..')) return value;
+
+    const [start, end] = value.split('..');
+    return { start, end: end || null };
+}
+
+/**
+ * Generate and save report
+ */
+async function saveReport(config) {
+    const store = new MetricsStore(config.db, { backend: config.backend });
+
+    try {
+        const analyzer = new MetricsAnalyzer(store, { runs: config.run });
+        const report = JSON.stringify(await analyzer.generateReport(parseRange(config.range)), null, 2);
+
+        if (config.output) {
+            fs.writeFileSync(config.output, report);
+            console.log(chalk.green(`Report written to ${config.output}`));
+        } else {
+            console.log(report);
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Compare saved reports or time ranges
+ */
+async function diffReports(beforeFile, afterFile, config) {
+    const readReport = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+    const before = beforeFile ? readReport(beforeFile) : config.before && parseRange(config.before);
+    const after = afterFile ? readReport(afterFile) : config.after && parseRange(config.after);
+
+    if (!before || !after) {
+        throw new Error('Give two report files or --before and --after time ranges');
+    }
+
+    const store = new MetricsStore(config.db, { backend: config.backend });
+
+    try {
+        const analyzer = new MetricsAnalyzer(store, { runs: config.run });
+        const diff = await analyzer.compareReports(before, after, { alpha: Number(config.alpha) });
+
+        console.log(config.json ? JSON.stringify(diff, null, 2) : formatReportDiff(diff));
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Backtest forecasts and print the report
+ */
+async function runBacktest(type, name, config) {
+    const store = new MetricsStore(config.db, { backend: config.backend });
+    const hours = value => (value === undefined ? undefined : Number(value));
+
+    try {
+        // The ML analyzer loads TensorFlow, only require it when asked for
+        const Analyzer = config.ml ? require('./ml-analyzer') : MetricsAnalyzer;
+        const analyzer = new Analyzer(store, { runs: config.run });
+        const report = await analyzer.backtestForecasts(type, name, parseRange(config.range), {
+            horizon: hours(config.horizon),
+            step: hours(config.step),
+            initial: hours(config.initial),
+            window: hours(config.window)
+        });
+
+        console.log(config.json ? JSON.stringify(report, null, 2) : formatBacktest(report));
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Show SLO status
+ */
+async function showSlos(config) {
+    const store = new MetricsStore(config.db, { backend: config.backend });
+    const analyzer = new MetricsAnalyzer(store, { runs: config.run });
+    const sloConfig = require(config.config ? path.resolve(config.config) : './config/slos');
+
+    try {
+        const options = { burnRateAlerts: sloConfig.burnRateAlerts };
+        const results = config.alert
+            ? await analyzer.checkSloAlerts(sloConfig.objectives, options)
+            : await analyzer.analyzeSlos(sloConfig.objectives, options);
+
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+
+        results.forEach(result => {
+            const color = result.compliant ? chalk.green : chalk.red;
+            console.log(color(`\n${result.name}`) + chalk.gray(` (${result.operation}, ${result.window})`));
+            console.log(`  SLI: ${percent(result.sli)} of ${result.total} runs (objective ${percent(result.objective)})`);
+            console.log(`  Error budget remaining: ${percent(result.errorBudget.remaining)}`);
+
+            result.burnRates.forEach(burnRate => {
+                const line = `  Burn rate ${burnRate.longWindow}/${burnRate.shortWindow}: ` +
+                    `${burnRate.long.toFixed(2)}x/${burnRate.short.toFixed(2)}x (alert at ${burnRate.burnRate}x, ${burnRate.severity})`;
+                console.log(burnRate.firing ? chalk.red(line) : line);
+            });
+        });
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Evaluate query expression
+ */
+async function runQuery(expression, config) {
+    const store = new MetricsStore(config.db, { backend: config.backend });
+    const engine = new QueryEngine(store);
+
+    try {
+        const timeRange = config.start ? { start: config.start, end: config.end } : config.range;
+        const result = await engine.query(expression, { timeRange, step: config.step });
+
+        if (config.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        console.log(chalk.blue(`\n${expression} (${result.range.start} to ${result.range.end}, step ${result.step}s):`));
+
+        if (result.resultType === 'scalar') {
+            console.log(`  ${result.value}`);
+            return;
+        }
+
+        if (!result.series.length) {
+            console.log(chalk.gray('  No data'));
+            return;
+        }
+
+        const format = value => (value === null ? 'n/a' : value.toFixed(2));
+        result.series.forEach(series => {
+            const labels = Object.entries(series.labels).map(([key, value]) => `${key}="${value}"`).join(', ');
+            console.log(chalk.yellow(`  {${labels}}`));
+            series.points.forEach(point => {
+                console.log(`    ${point.time}  ${format(point.value)}`);
+            });
+        });
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Migrate metrics database schema
+ */
+async function migrateStore(config) {
+    const spinner = ora(`Migrating ${config.db}...`).start();
+    const store = new MetricsStore(config.db, { migrate: false });
+
+    try {
+        const result = await store.migrate({ dryRun: config.dryRun });
+
+        if (!result.applied.length) {
+            spinner.succeed(chalk.green(`Schema is up to date (version ${result.from})`));
+            return;
+        }
+
+        spinner.succeed(chalk.green(config.dryRun
+            ? `${result.applied.length} pending migration(s) from version ${result.from}`
+            : `Migrated from version ${result.from} to ${result.to}`));
+
+        result.applied.forEach(migration => {
+            console.log(`  ${migration.version}: ${migration.description}`);
+        });
+    } catch (error) {
+        spinner.fail(chalk.red('Migration failed'));
+        throw error;
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Export metrics store
+ */
+async function exportStore(file, config) {
+    const spinner = ora(`Exporting to ${file}...`).start();
+    const store = new MetricsStore(config.db, { backend: config.backend });
+    const timeRange = config.start ? { start: config.start, end: config.end } : config.range;
+
+    try {
+        const counts = await store.exportToJson(file, {
+            format: config.format,
+            timeRange,
+            type: config.type,
+            name: config.name,
+            run: config.run,
+            tables: config.tables
+        });
+
+        spinner.succeed(chalk.green(`Exported to ${file}`));
+        Object.entries(counts).forEach(([table, count]) => {
+            console.log(`  ${table}: ${count}`);
+        });
+    } catch (error) {
+        spinner.fail(chalk.red('Export failed'));
+        throw error;
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Import into metrics store
+ */
+async function importStore(file, config) {
+    const spinner = ora(`Importing ${file}...`).start();
+    const store = new MetricsStore(config.db, { backend: config.backend });
+
+    try {
+        const counts = await store.importFromJson(file, {
+            format: config.format,
+            mode: config.mode
+        });
+
+        spinner.succeed(chalk.green(`Imported ${file}`));
+        Object.entries(counts).forEach(([table, count]) => {
+            console.log(`  ${table}: ${count.inserted} inserted, ${count.skipped} skipped, ${count.replaced} replaced`);
+        });
+    } catch (error) {
+        spinner.fail(chalk.red('Import failed'));
+        throw error;
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * List benchmark runs
+ */
+async function listRuns(config) {
+    const store = new MetricsStore(config.db, { backend: config.backend });
+
+    try {
+        const runs = await store.runs.list({ timeRange: config.range, branch: config.branch, gitSha: config.sha });
+
+        if (!runs.length) {
+            console.log(chalk.gray('No runs'));
+            return;
+        }
+
+        runs.forEach(run => {
+            const commit = run.git_sha ? run.git_sha.slice(0, 12) : 'unknown';
+            console.log(chalk.yellow(run.run_id));
+            console.log(`  Started: ${run.timestamp}${run.ended_at ? `, ended: ${run.ended_at}` : ''}`);
+            console.log(`  Commit: ${commit}${run.branch ? ` (${run.branch})` : ''}`);
+            console.log(`  Host: ${run.host.cpu_model || 'unknown CPU'} x${run.host.cpu_count ?? '?'}, Node ${run.host.node_version || '?'} [${run.host_fingerprint}]`);
+            if (run.config_hash) console.log(`  Config: ${run.config_hash}`);
+        });
+    } finally {
+        await store.close();
+    }
+}
+
 /**
  * Watch for new results
  */
@@ -0,0 +1,19 @@
+/**
+ * Maintenance windows
+ *
+ * Used as the "inside maintenance window" calendar feature of multivariate
+ * forecasts (forecast-features.js). Recurring windows open at `start`
+ * (local 'HH:MM', like bucket labels) on each of `weekdays` (0 = Sunday)
+ * and last `duration`; one-off windows give ISO `start` and `end` instead.
+ */
+module.exports = {
+    windows: [
+        {
+            name: 'weekly',
+            description: 'Sunday night patching',
+            weekdays: [0],
+            start: '02:00',
+            duration: '4h'
+        }
+    ]
+};
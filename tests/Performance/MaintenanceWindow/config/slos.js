@@ -0,0 +1,28 @@
+/**
+ * Service level objectives over execution_times
+ *
+ * An operation run is good when it succeeded and, if `threshold` (ms) is
+ * set, finished within it. `objective` is the share of good runs required
+ * over the rolling `window`; the rest is the error budget.
+ */
+module.exports = {
+    objectives: [
+        {
+            name: 'extend-latency',
+            description: '99% of extend operations succeed under 500ms over 28d',
+            operation: 'extend',
+            objective: 0.99,
+            threshold: 500,
+            window: '28d'
+        }
+    ],
+
+    // Multi-window burn-rate alerts: an alert fires while the error budget
+    // burns at least `burnRate` times faster than sustainable over both the
+    // long and the short window (the short one confirms it is still going on)
+    burnRateAlerts: [
+        { severity: 'page', longWindow: '1h', shortWindow: '5m', burnRate: 14.4 },
+        { severity: 'page', longWindow: '6h', shortWindow: '30m', burnRate: 6 },
+        { severity: 'ticket', longWindow: '3d', shortWindow: '6h', burnRate: 1 }
+    ]
+};
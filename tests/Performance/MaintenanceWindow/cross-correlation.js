@@ -0,0 +1,66 @@
+/**
+ * Lagged cross-correlation of bucket-aligned series
+ *
+ * Series are arrays over the same time buckets with null where a bucket
+ * has no samples. At lag k the candidate's bucket i is paired with the
+ * target's bucket i + k, so a positive best lag means the candidate moves
+ * k buckets before the target: a leading indicator.
+ */
+const stats = require('simple-statistics');
+
+const DEFAULTS = {
+    maxLag: 6,
+    minOverlap: 4
+};
+
+/**
+ * Pearson correlation at each lag from -maxLag to maxLag
+ *
+ * Returns [{ lag, correlation, overlap }] for lags with at least
+ * `minOverlap` paired buckets and a defined correlation.
+ */
+function crossCorrelate(target, candidate, options = {}) {
+    const { maxLag, minOverlap } = { ...DEFAULTS, ...options };
+    const results = [];
+
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+        const x = [];
+        const y = [];
+
+        candidate.forEach((value, i) => {
+            const paired = target[i + lag];
+            if (value === null || paired === null || paired === undefined) return;
+            x.push(value);
+            y.push(paired);
+        });
+
+        if (x.length < Math.max(minOverlap, 2)) continue;
+
+        const correlation = stats.sampleCorrelation(x, y);
+        if (Number.isFinite(correlation)) {
+            results.push({ lag, correlation, overlap: x.length });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Lag with the strongest correlation, preferring the smallest lag on ties
+ */
+function bestLag(target, candidate, options = {}) {
+    return crossCorrelate(target, candidate, options).reduce((best, result) => {
+        if (!best) return result;
+
+        const strength = Math.abs(result.correlation);
+        const bestStrength = Math.abs(best.correlation);
+        if (strength > bestStrength + 1e-12) return result;
+        if (Math.abs(strength - bestStrength) <= 1e-12 && Math.abs(result.lag) < Math.abs(best.lag)) return result;
+        return best;
+    }, null);
+}
+
+module.exports = {
+    bestLag,
+    crossCorrelate
+};
@@ -0,0 +1,60 @@
+const { describe, expect, test, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const { bestLag } = require('./cross-correlation');
+const { noise } = require('./test-helpers');
+
+// Irregular load with occasional bursts
+const load = (i) => 50 + 20 * Math.sin(i / 5) + (i % 17 < 3 ? 40 : 0) + noise(i);
+
+describe('bestLag', () => {
+    test('finds the shift between series and skips missing buckets', () => {
+        const candidate = Array.from({ length: 60 }, (_, i) => load(i));
+        const target = candidate.map((_, i) => (i >= 3 ? 2 * candidate[i - 3] : null));
+        target[20] = null;
+
+        expect(bestLag(target, candidate, { maxLag: 5 })).toMatchObject({ lag: 3, overlap: 56 });
+        expect(bestLag(target, candidate, { maxLag: 5 }).correlation).toBeCloseTo(1, 6);
+        expect(bestLag(target, candidate, { maxLag: 0 }).correlation).toBeLessThan(0.9);
+    });
+});
+
+describe('MetricsAnalyzer.findCorrelations', () => {
+    let store;
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('reports leading metrics on shared time buckets', async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        const start = Date.UTC(2024, 2, 1);
+        const timestamp = minutes => new Date(start + minutes * 60000).toISOString().slice(0, 19).replace('T', ' ');
+        const rows = [];
+        for (let i = 0; i < 96; i++) {
+            rows.push({ timestamp: timestamp(i * 5), metric_type: 'system', metric_name: 'memory', value: load(i), tags: {} });
+            // Latency follows memory three 5m buckets later and skips some buckets
+            if (i >= 3 && i % 10 !== 0) {
+                rows.push({ timestamp: timestamp(i * 5 + 1), metric_type: 'api', metric_name: 'latency', value: 3 * load(i - 3) + noise(i), tags: {} });
+            }
+            rows.push({ timestamp: timestamp(i * 5), metric_type: 'api', metric_name: 'errors', value: noise(i * 31), tags: {} });
+        }
+        await store.adapter.importRows('metrics', rows, 'append');
+
+        const analyzer = new MetricsAnalyzer(store);
+        const range = { start: '2024-03-01T00:00:00Z', end: '2024-03-01T08:00:00Z' };
+        const correlations = await analyzer.findCorrelations('api', 'latency', range, { interval: '5m', maxLag: '30m' });
+
+        expect(correlations).toHaveLength(1);
+        expect(correlations[0]).toMatchObject({
+            metric_type: 'system',
+            metric_name: 'memory',
+            lag: 3,
+            lagSeconds: 900,
+            description: 'system/memory leads api/latency by 15m'
+        });
+        expect(correlations[0].correlation).toBeGreaterThan(0.95);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * DDSketch quantile sketch
+ *
+ * Values are counted in logarithmically sized buckets so that every quantile
+ * estimate is within `relativeAccuracy` of the true value. Sketches with the
+ * same accuracy can be merged losslessly, which lets us keep one per time
+ * bucket and combine them for any time range.
+ */
+class DDSketch {
+    constructor(relativeAccuracy = 0.01) {
+        if (!(relativeAccuracy > 0 && relativeAccuracy < 1)) {
+            throw new Error('Relative accuracy must be between 0 and 1');
+        }
+
+        this.relativeAccuracy = relativeAccuracy;
+        this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+        this.logGamma = Math.log(this.gamma);
+        this.positive = new Map();
+        this.negative = new Map();
+        this.zeroCount = 0;
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    /**
+     * Add value to sketch
+     */
+    add(value, weight = 1) {
+        if (!Number.isFinite(value)) return this;
+
+        if (value > 0) {
+            this.increment(this.positive, this.keyFor(value), weight);
+        } else if (value < 0) {
+            this.increment(this.negative, this.keyFor(-value), weight);
+        } else {
+            this.zeroCount += weight;
+        }
+
+        this.count += weight;
+        this.sum += value * weight;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+
+        return this;
+    }
+
+    /**
+     * Merge another sketch into this one
+     */
+    merge(other) {
+        if (other.relativeAccuracy !== this.relativeAccuracy) {
+            throw new Error('Cannot merge sketches with different relative accuracy');
+        }
+
+        other.positive.forEach((count, key) => this.increment(this.positive, key, count));
+        other.negative.forEach((count, key) => this.increment(this.negative, key, count));
+        this.zeroCount += other.zeroCount;
+        this.count += other.count;
+        this.sum += other.sum;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+
+        return this;
+    }
+
+    /**
+     * Get value at quantile (0..1)
+     */
+    quantile(q) {
+        if (this.count === 0) return null;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+
+        const rank = q * (this.count - 1);
+        let seen = 0;
+
+        // Negative values ordered from the largest magnitude down
+        const negativeKeys = [...this.negative.keys()].sort((a, b) => b - a);
+        for (const key of negativeKeys) {
+            seen += this.negative.get(key);
+            if (seen > rank) return this.clamp(-this.valueFor(key));
+        }
+
+        seen += this.zeroCount;
+        if (seen > rank) return 0;
+
+        const positiveKeys = [...this.positive.keys()].sort((a, b) => a - b);
+        for (const key of positiveKeys) {
+            seen += this.positive.get(key);
+            if (seen > rank) return this.clamp(this.valueFor(key));
+        }
+
+        return this.max;
+    }
+
+    /**
+     * Get values for several quantiles
+     */
+    quantiles(qs) {
+        return qs.map(q => this.quantile(q));
+    }
+
+    /**
+     * Bucket key for a positive value
+     */
+    keyFor(value) {
+        return Math.ceil(Math.log(value) / this.logGamma);
+    }
+
+    /**
+     * Representative value for a bucket key
+     */
+    valueFor(key) {
+        return 2 * Math.pow(this.gamma, key) / (1 + this.gamma);
+    }
+
+    /**
+     * Keep estimates inside the observed range
+     */
+    clamp(value) {
+        return Math.min(this.max, Math.max(this.min, value));
+    }
+
+    /**
+     * Increment bucket count
+     */
+    increment(store, key, count) {
+        store.set(key, (store.get(key) || 0) + count);
+    }
+
+    /**
+     * Serialize sketch to plain object
+     */
+    toJSON() {
+        return {
+            relativeAccuracy: this.relativeAccuracy,
+            positive: Object.fromEntries(this.positive),
+            negative: Object.fromEntries(this.negative),
+            zeroCount: this.zeroCount,
+            count: this.count,
+            sum: this.sum,
+            min: this.count ? this.min : null,
+            max: this.count ? this.max : null
+        };
+    }
+
+    /**
+     * Restore sketch from serialized form
+     */
+    static fromJSON(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const sketch = new DDSketch(parsed.relativeAccuracy);
+
+        Object.entries(parsed.positive || {}).forEach(([key, count]) => {
+            sketch.positive.set(Number(key), count);
+        });
+        Object.entries(parsed.negative || {}).forEach(([key, count]) => {
+            sketch.negative.set(Number(key), count);
+        });
+
+        sketch.zeroCount = parsed.zeroCount || 0;
+        sketch.count = parsed.count || 0;
+        sketch.sum = parsed.sum || 0;
+        sketch.min = parsed.min ?? Infinity;
+        sketch.max = parsed.max ?? -Infinity;
+
+        return sketch;
+    }
+
+    /**
+     * Build sketch from array of values
+     */
+    static fromValues(values, relativeAccuracy = 0.01) {
+        const sketch = new DDSketch(relativeAccuracy);
+        values.forEach(value => sketch.add(value));
+        return sketch;
+    }
+}
+
+module.exports = DDSketch;
@@ -0,0 +1,62 @@
+const { describe, expect, test } = require('@jest/globals');
+const DDSketch = require('./dd-sketch');
+
+describe('DDSketch', () => {
+    const exactQuantile = (values, q) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(q * (sorted.length - 1))];
+    };
+
+    describe('Quantiles', () => {
+        test('estimates quantiles within relative accuracy', () => {
+            const values = Array.from({ length: 10000 }, (_, i) => 1 + (i * 7919) % 5000);
+            const sketch = DDSketch.fromValues(values, 0.01);
+
+            [0.5, 0.9, 0.95, 0.99, 0.999].forEach(q => {
+                const exact = exactQuantile(values, q);
+                expect(Math.abs(sketch.quantile(q) - exact) / exact).toBeLessThanOrEqual(0.01);
+            });
+        });
+
+        test('handles zero and negative values', () => {
+            const sketch = DDSketch.fromValues([-10, -5, 0, 0, 5, 10]);
+
+            expect(sketch.quantile(0)).toBe(-10);
+            expect(sketch.quantile(0.5)).toBe(0);
+            expect(sketch.quantile(1)).toBe(10);
+        });
+
+        test('returns null for empty sketch', () => {
+            expect(new DDSketch().quantile(0.5)).toBeNull();
+        });
+    });
+
+    describe('Merging', () => {
+        test('merged sketch matches sketch of all values', () => {
+            const first = DDSketch.fromValues([1, 2, 3, 4, 5]);
+            const second = DDSketch.fromValues([100, 200, 300]);
+            const combined = DDSketch.fromValues([1, 2, 3, 4, 5, 100, 200, 300]);
+
+            first.merge(second);
+
+            expect(first.count).toBe(8);
+            expect(first.quantiles([0.25, 0.5, 0.9])).toEqual(combined.quantiles([0.25, 0.5, 0.9]));
+        });
+
+        test('rejects sketches with different accuracy', () => {
+            expect(() => new DDSketch(0.01).merge(new DDSketch(0.05))).toThrow(/relative accuracy/);
+        });
+    });
+
+    describe('Serialization', () => {
+        test('round-trips through JSON', () => {
+            const sketch = DDSketch.fromValues([0, 1.5, 20, 300, -4]);
+            const restored = DDSketch.fromJSON(JSON.stringify(sketch));
+
+            expect(restored.count).toBe(sketch.count);
+            expect(restored.min).toBe(-4);
+            expect(restored.max).toBe(300);
+            expect(restored.quantiles([0.1, 0.5, 0.9])).toEqual(sketch.quantiles([0.1, 0.5, 0.9]));
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Input features of multivariate forecasts
+ *
+ * A feature row describes one time bucket: the target value first, then
+ * one value per covariate metric, then calendar features (hour of day and
+ * weekday as sine/cosine pairs, so 23:00 sits next to 00:00, and 1 inside a
+ * maintenance window, 0 outside). Times are local, like bucket labels.
+ *
+ * Forecasts predict the target one bucket ahead from a window of rows. A
+ * covariate that leads the target by `lag` buckets (findCorrelations())
+ * is most informative `lag` buckets before the predicted bucket, so the row
+ * for bucket t carries its value at t - shift with shift = max(lag - 1, 0).
+ * Beyond the last observed bucket a covariate repeats its last value.
+ */
+const { fillGaps } = require('./series');
+
+const DEFAULTS = {
+    // Covariates picked from the strongest correlations
+    maxFeatures: 3,
+    minCorrelation: 0.5,
+    maxLag: 6
+};
+
+const CALENDAR_FEATURES = ['hour_sin', 'hour_cos', 'weekday_sin', 'weekday_cos', 'maintenance'];
+
+const DURATION_UNITS = { m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse duration (e.g. 30m, 4h, 1d) into seconds
+ */
+function parseDuration(duration) {
+    const matches = String(duration).match(/^(\d+)([mhd])$/);
+    if (!matches) throw new Error(`Invalid maintenance window duration: ${duration}`);
+
+    return Number(matches[1]) * DURATION_UNITS[matches[2]];
+}
+
+/**
+ * Whether an epoch (seconds) falls inside any maintenance window
+ */
+function inMaintenanceWindow(epoch, windows = []) {
+    const time = epoch * 1000;
+
+    return windows.some(window => {
+        if (!window.weekdays) {
+            return time >= new Date(window.start).getTime() && time < new Date(window.end).getTime();
+        }
+
+        // Check openings on this and the previous days a long window may span
+        const [hours, minutes] = window.start.split(':').map(Number);
+        const duration = parseDuration(window.duration) * 1000;
+        const days = Math.ceil(duration / 86400000);
+
+        for (let back = 0; back <= days; back++) {
+            const opening = new Date(time);
+            opening.setDate(opening.getDate() - back);
+            opening.setHours(hours, minutes, 0, 0);
+
+            if (window.weekdays.includes(opening.getDay()) && time >= opening.getTime() && time < opening.getTime() + duration) {
+                return true;
+            }
+        }
+
+        return false;
+    });
+}
+
+/**
+ * Calendar features of a bucket starting at `epoch` (seconds)
+ */
+function calendarFeatures(epoch, maintenanceWindows = []) {
+    const date = new Date(epoch * 1000);
+    const hour = (date.getHours() + date.getMinutes() / 60) / 24;
+    const weekday = date.getDay() / 7;
+
+    return [
+        Math.sin(2 * Math.PI * hour),
+        Math.cos(2 * Math.PI * hour),
+        Math.sin(2 * Math.PI * weekday),
+        Math.cos(2 * Math.PI * weekday),
+        inMaintenanceWindow(epoch, maintenanceWindows) ? 1 : 0
+    ];
+}
+
+/**
+ * Row offset of a covariate leading the target by `lag` buckets
+ */
+function featureShift(lag) {
+    return Math.max(lag - 1, 0);
+}
+
+/**
+ * Feature row of bucket `index`
+ *
+ * `target` is the target value of the bucket; covariates ({ values, shift })
+ * read observed values, repeating the last one past the end.
+ */
+function featureRow(index, target, covariates, epoch, maintenanceWindows) {
+    return [
+        target,
+        ...covariates.map(({ values, shift }) => values[Math.max(Math.min(index - shift, values.length - 1), 0)]),
+        ...calendarFeatures(epoch, maintenanceWindows)
+    ];
+}
+
+/**
+ * Feature rows of an observed history
+ *
+ * `target` and covariate `values` are aligned on the buckets starting at
+ * `epochs`; gaps are filled (series.js fillGaps()).
+ */
+function buildFeatureRows({ target, covariates = [], epochs, maintenanceWindows = [] }) {
+    const filledTarget = fillGaps(target);
+    const filled = covariates.map(covariate => ({ ...covariate, values: fillGaps(covariate.values) }));
+
+    return filledTarget.map((value, i) => featureRow(i, value, filled, epochs[i], maintenanceWindows));
+}
+
+/**
+ * Per-feature min/max of feature rows
+ */
+function fitScaling(rows) {
+    const columns = rows[0].map((_, j) => rows.map(row => row[j]));
+
+    return {
+        min: columns.map(column => Math.min(...column)),
+        max: columns.map(column => Math.max(...column))
+    };
+}
+
+/**
+ * Scale a feature row to [0, 1]; constant features become 0
+ */
+function scaleRow(row, { min, max }) {
+    return row.map((value, j) => (max[j] > min[j] ? (value - min[j]) / (max[j] - min[j]) : 0));
+}
+
+module.exports = {
+    DEFAULTS,
+    CALENDAR_FEATURES,
+    inMaintenanceWindow,
+    calendarFeatures,
+    featureShift,
+    featureRow,
+    buildFeatureRows,
+    fitScaling,
+    scaleRow
+};
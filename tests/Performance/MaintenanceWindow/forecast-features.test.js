@@ -0,0 +1,69 @@
+const { describe, expect, test } = require('@jest/globals');
+const {
+    inMaintenanceWindow,
+    calendarFeatures,
+    featureShift,
+    buildFeatureRows,
+    fitScaling,
+    scaleRow
+} = require('./forecast-features');
+
+// Local time, like bucket labels; 2024-03-03 is a Sunday
+const epoch = (...args) => new Date(2024, 2, ...args).getTime() / 1000;
+
+describe('maintenance windows', () => {
+    test('recurring windows open on their weekdays and may span midnight', () => {
+        const windows = [{ weekdays: [6], start: '22:00', duration: '4h' }];
+
+        expect(inMaintenanceWindow(epoch(2, 21, 59), windows)).toBe(false);
+        expect(inMaintenanceWindow(epoch(2, 22), windows)).toBe(true);
+        expect(inMaintenanceWindow(epoch(3, 1, 30), windows)).toBe(true);
+        expect(inMaintenanceWindow(epoch(3, 2), windows)).toBe(false);
+        // Friday night is not a window
+        expect(inMaintenanceWindow(epoch(1, 23), windows)).toBe(false);
+    });
+
+    test('one-off windows cover their start to end', () => {
+        const windows = [{ start: new Date(2024, 2, 5, 10).toISOString(), end: new Date(2024, 2, 5, 12).toISOString() }];
+
+        expect(inMaintenanceWindow(epoch(5, 10), windows)).toBe(true);
+        expect(inMaintenanceWindow(epoch(5, 12), windows)).toBe(false);
+    });
+
+    test('calendar features encode hour, weekday and maintenance', () => {
+        const [hourSin, hourCos, weekdaySin, weekdayCos, maintenance] = calendarFeatures(
+            epoch(3, 6),
+            [{ weekdays: [0], start: '02:00', duration: '4h' }]
+        );
+
+        expect(hourSin).toBeCloseTo(1, 10);
+        expect(hourCos).toBeCloseTo(0, 10);
+        expect([weekdaySin, weekdayCos]).toEqual([0, 1]);
+        expect(maintenance).toBe(0);
+        expect(calendarFeatures(epoch(3, 5), [{ weekdays: [0], start: '02:00', duration: '4h' }])[4]).toBe(1);
+    });
+});
+
+describe('feature rows', () => {
+    test('fill gaps and read leading covariates shifted back', () => {
+        expect([0, 1, 3].map(featureShift)).toEqual([0, 0, 2]);
+
+        const epochs = [0, 1, 2, 3].map(i => epoch(4, i));
+        const rows = buildFeatureRows({
+            target: [10, null, 30, 40],
+            covariates: [{ values: [1, 2, 3, 4], shift: 2 }],
+            epochs
+        });
+
+        expect(rows.map(row => row.slice(0, 2))).toEqual([[10, 1], [10, 1], [30, 1], [40, 2]]);
+        expect(rows[0]).toHaveLength(2 + 5);
+    });
+
+    test('scale each feature by its training range', () => {
+        const rows = [[0, 5, 1], [10, 5, 3]];
+        const scaling = fitScaling(rows);
+
+        expect(scaling).toEqual({ min: [0, 5, 1], max: [10, 5, 3] });
+        expect(scaleRow([5, 7, 2], scaling)).toEqual([0.5, 0, 0.5]);
+    });
+});
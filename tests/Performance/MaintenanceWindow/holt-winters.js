@@ -0,0 +1,189 @@
+/**
+ * Holt-Winters (triple exponential smoothing) forecasting
+ *
+ * Level, trend and an additive or multiplicative seasonal component are
+ * smoothed with alpha, beta and gamma. Without a seasonal period the model
+ * reduces to Holt's linear trend method. Smoothing parameters are chosen by
+ * grid search on a holdout: each candidate is fitted on the series minus
+ * its tail and scored by how well it forecasts that tail, then the winner
+ * is refitted on the whole series.
+ */
+
+const DEFAULTS = {
+    // Seasonal period in points; null fits a trend-only model
+    period: null,
+    // 'additive', 'multiplicative' or 'auto' (whichever forecasts the holdout better)
+    seasonality: 'auto',
+    // Holdout length in points; defaults to one period (20% of the series without one)
+    holdout: null,
+    grid: [0.05, 0.15, 0.25, 0.35, 0.45, 0.55, 0.65, 0.75, 0.85, 0.95]
+};
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Initial level, trend and seasonal indexes
+ *
+ * The level is the mean of the first season and the trend the change
+ * between the first two season means, so 2 * period points are required.
+ * The level is moved back to the point before the series starts.
+ */
+function initialState(values, period, seasonality) {
+    if (!period) {
+        return { level: values[0], trend: values[1] - values[0], seasonals: [], start: 1 };
+    }
+
+    const first = mean(values.slice(0, period));
+    const trend = (mean(values.slice(period, period * 2)) - first) / period;
+    const seasonals = values.slice(0, period).map(value => (
+        seasonality === 'multiplicative' ? value / first : value - first
+    ));
+
+    return { level: first - trend * (period + 1) / 2, trend, seasonals, start: 0 };
+}
+
+/**
+ * Fit a model with fixed smoothing parameters
+ *
+ * Returns the final state plus one-step-ahead residuals and their sum of
+ * squares, which the prediction intervals are based on.
+ */
+function fit(values, { period = null, seasonality = 'additive', alpha, beta, gamma = 0 }) {
+    const multiplicative = seasonality === 'multiplicative';
+    let { level, trend, seasonals, start } = initialState(values, period, seasonality);
+    seasonals = [...seasonals];
+    const residuals = [];
+
+    for (let t = start; t < values.length; t++) {
+        const value = values[t];
+        const base = level + trend;
+        const seasonal = period ? seasonals[t % period] : (multiplicative ? 1 : 0);
+        const predicted = multiplicative ? base * seasonal : base + seasonal;
+        residuals.push(value - predicted);
+
+        const previousLevel = level;
+        level = alpha * (multiplicative ? value / seasonal : value - seasonal) + (1 - alpha) * base;
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+
+        if (period) {
+            seasonals[t % period] = gamma * (multiplicative ? value / level : value - level)
+                + (1 - gamma) * seasonal;
+        }
+    }
+
+    return {
+        period,
+        seasonality: period ? seasonality : null,
+        alpha,
+        beta,
+        gamma: period ? gamma : null,
+        level,
+        trend,
+        seasonals,
+        length: values.length,
+        residuals,
+        sse: residuals.reduce((sum, residual) => sum + residual * residual, 0)
+    };
+}
+
+/**
+ * Point forecasts and their standard errors for the next `horizon` points
+ *
+ * The h-step error variance is sigma^2 * (1 + sum of c_j^2 for j < h) with
+ * c_j = alpha * (1 + j * beta) + gamma * (1 - alpha) on whole seasons, so
+ * intervals widen with the horizon. For multiplicative seasonality this is
+ * the usual additive approximation.
+ */
+function forecast(model, horizon) {
+    const { period, alpha, beta, gamma, level, trend, seasonals, length, residuals } = model;
+    const multiplicative = model.seasonality === 'multiplicative';
+    const parameters = period ? 3 : 2;
+    const sigma = Math.sqrt(model.sse / Math.max(residuals.length - parameters, 1));
+
+    const values = [];
+    const standardErrors = [];
+    let variance = 0;
+
+    for (let h = 1; h <= horizon; h++) {
+        const base = level + h * trend;
+        const seasonal = period ? seasonals[(length + h - 1) % period] : null;
+        values.push(period ? (multiplicative ? base * seasonal : base + seasonal) : base);
+
+        const j = h - 1;
+        if (j > 0) {
+            const c = alpha * (1 + j * beta) + (period && j % period === 0 ? gamma * (1 - alpha) : 0);
+            variance += c * c;
+        }
+        standardErrors.push(sigma * Math.sqrt(1 + variance));
+    }
+
+    return { values, standardErrors };
+}
+
+/**
+ * Mean squared error of forecasting the last `holdout` points
+ */
+function holdoutError(values, holdout, parameters) {
+    const training = values.slice(0, values.length - holdout);
+    const actual = values.slice(values.length - holdout);
+    const predicted = forecast(fit(training, parameters), holdout).values;
+
+    return mean(actual.map((value, i) => (value - predicted[i]) ** 2));
+}
+
+/**
+ * Fit a model with smoothing parameters chosen on a holdout
+ *
+ * Falls back to in-sample one-step error when the series is too short to
+ * leave a holdout after the 2 * period initialization window, and to a
+ * trend-only model when it is too short for the seasonal period at all.
+ * Multiplicative seasonality requires positive values.
+ */
+function optimize(values, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const minimum = settings.period ? settings.period * 2 : 2;
+    const period = values.length >= minimum ? settings.period : null;
+    const required = period ? minimum : 2;
+
+    const defaultHoldout = period || Math.max(1, Math.round(values.length * 0.2));
+    const holdout = Math.max(0, Math.min(settings.holdout ?? defaultHoldout, values.length - required));
+
+    let seasonalities = [settings.seasonality];
+    if (period && settings.seasonality === 'multiplicative' && !values.every(value => value > 0)) {
+        throw new Error('Multiplicative seasonality needs positive values; use additive or auto seasonality');
+    }
+
+    if (!period) {
+        seasonalities = ['additive'];
+    } else if (settings.seasonality === 'auto') {
+        seasonalities = values.every(value => value > 0) ? ['additive', 'multiplicative'] : ['additive'];
+    }
+
+    const gammas = period ? settings.grid : [0];
+    let best = null;
+
+    seasonalities.forEach(seasonality => {
+        settings.grid.forEach(alpha => settings.grid.forEach(beta => gammas.forEach(gamma => {
+            const parameters = { period, seasonality, alpha, beta, gamma };
+            const error = holdout > 0 ? holdoutError(values, holdout, parameters) : fit(values, parameters).sse;
+
+            if (Number.isFinite(error) && (!best || error < best.error)) {
+                best = { parameters, error };
+            }
+        })));
+    });
+
+    if (!best) throw new Error('No smoothing parameters fit the series with a finite error');
+
+    return {
+        ...fit(values, best.parameters),
+        holdout,
+        holdoutError: holdout > 0 ? best.error : null
+    };
+}
+
+module.exports = {
+    fit,
+    forecast,
+    optimize
+};
@@ -0,0 +1,79 @@
+const { describe, expect, test } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const holtWinters = require('./holt-winters');
+const { noise } = require('./test-helpers');
+
+const additive = (i) => 100 + 0.1 * i + 20 * Math.sin(2 * Math.PI * i / 24);
+const multiplicative = (i) => (100 + 0.5 * i) * (1 + 0.3 * Math.sin(2 * Math.PI * i / 24));
+const series = (length, fn, withNoise = true) => Array.from({ length }, (_, i) => fn(i) + (withNoise ? noise(i) : 0));
+
+describe('holtWinters.optimize', () => {
+    test('picks the seasonality that forecasts the holdout better', () => {
+        expect(holtWinters.optimize(series(168, additive), { period: 24 }))
+            .toMatchObject({ seasonality: 'additive', holdout: 24 });
+        expect(holtWinters.optimize(series(168, multiplicative, false), { period: 24 }))
+            .toMatchObject({ seasonality: 'multiplicative', holdout: 24 });
+    });
+
+    test('refuses multiplicative seasonality on series with zeros', () => {
+        const values = series(96, additive, false).map((value, i) => (i % 24 === 0 ? 0 : value));
+
+        expect(() => new MetricsAnalyzer(null).generateForecast(values, 3, { period: 24, seasonality: 'multiplicative' }))
+            .toThrow('Multiplicative seasonality needs positive values');
+        expect(holtWinters.optimize(values, { period: 24 })).toMatchObject({ seasonality: 'additive' });
+    });
+
+    test('falls back to a trend-only model for short series', () => {
+        const model = holtWinters.optimize([1, 2, 3, 4, 5, 6], { period: 24 });
+        expect(model).toMatchObject({ period: null, seasonality: null, gamma: null });
+        expect(holtWinters.forecast(model, 2).values.map(Math.round)).toEqual([7, 8]);
+    });
+});
+
+describe('MetricsAnalyzer.generateForecast', () => {
+    test('follows the detected season with widening intervals', () => {
+        const analyzer = new MetricsAnalyzer(null);
+        const forecast = analyzer.generateForecast(series(168, additive), 48);
+
+        expect(forecast.model).toMatchObject({ method: 'holt-winters', period: 24 });
+        forecast.values.forEach((value, h) => expect(Math.abs(value - additive(168 + h))).toBeLessThan(2));
+
+        const widths = forecast.confidence.map(({ lower, upper }) => upper - lower);
+        expect(widths[47]).toBeGreaterThan(widths[0]);
+        forecast.confidence.forEach(({ lower, upper }, h) => {
+            expect(lower).toBeLessThan(forecast.values[h]);
+            expect(upper).toBeGreaterThan(forecast.values[h]);
+        });
+    });
+});
+
+describe('MetricsAnalyzer.analyzeTrends', () => {
+    test('keeps hours in place across missing buckets', async () => {
+        const store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        // A week of hourly samples without 03:00 and 04:00
+        const start = Date.UTC(2024, 2, 1);
+        const hours = Array.from({ length: 168 }, (_, i) => i).filter(i => i % 24 !== 3 && i % 24 !== 4);
+        await store.adapter.importRows('metrics', hours.map(i => ({
+            timestamp: new Date(start + i * 3600000).toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: additive(i) + noise(i),
+            tags: {}
+        })), 'append');
+
+        try {
+            const trends = await new MetricsAnalyzer(store)
+                .analyzeTrends('api', 'latency', { start: '2024-03-01T00:00:00Z', end: '2024-03-08T00:00:00Z' });
+
+            expect(trends.seasonality.period).toBe(24);
+            expect(trends.forecast.model).toMatchObject({ method: 'holt-winters', period: 24 });
+            // The daily peak is at 06:00
+            expect(trends.forecast.values.indexOf(Math.max(...trends.forecast.values))).toBe(6);
+        } finally {
+            await store.close();
+        }
+    });
+});
@@ -0,0 +1,388 @@
+/**
+ * Random and Bayesian hyperparameter search
+ *
+ * Both search the discrete space declared in config/hyperparameters.js:
+ * every list of candidate values under the searched sections is one
+ * dimension, named by its path (e.g. `lstm.dropout`,
+ * `lstm.kernelRegularizer.l2`, `architecture.windowSize`). The objective is
+ * an async function from nested parameters to a validation loss, lower
+ * being better, or to { loss, ...details } to record details per trial.
+ *
+ * Bayesian optimization fits a Gaussian process (RBF kernel on the encoded
+ * parameters, standardized losses) to the evaluated trials and picks the
+ * next one by expected improvement among random candidates and the
+ * neighbours of the best trial (points one value away). Numeric
+ * dimensions are encoded by their position in the declared, ascending
+ * list (so log-spaced learning rates stay evenly spaced), the others
+ * one-hot; the kernel length scale maximizes the marginal likelihood.
+ *
+ * Searches return { best, history } where `history` holds every trial as
+ * { trial, params, loss, best } with `best` the lowest loss so far, i.e.
+ * the convergence curve. Trials with a non-finite loss count as failed:
+ * `best` is null when every trial failed.
+ */
+const stats = require('simple-statistics');
+
+const DEFAULTS = {
+    // Sections of the hyperparameter config that hold candidate lists
+    sections: ['lstm', 'optimizer', 'training', 'architecture'],
+    trials: 50,
+    seed: 42,
+    iterations: 30,
+    initPoints: 5,
+    // Expected improvement margin, in standard deviations of the losses
+    explorationFactor: 0.1,
+    // Random candidates scored by expected improvement per iteration
+    candidates: 500,
+    // RBF kernel length scales tried, relative to the square root of the
+    // number of encoded features, and observation noise on standardized losses
+    lengthScales: [0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1],
+    noise: 1e-4
+};
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Search dimensions declared in a hyperparameter config ([{ name, values }])
+ */
+function searchSpace(config, options = {}) {
+    const { sections } = { ...DEFAULTS, ...options };
+    const space = [];
+
+    const collect = (value, name) => {
+        if (Array.isArray(value)) {
+            if (value.length) space.push({ name, values: value });
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, child]) => collect(child, `${name}.${key}`));
+        }
+    };
+    sections.forEach(section => collect(config[section], section));
+
+    return space;
+}
+
+/**
+ * Nested parameters from { 'lstm.units': 50, ... }
+ */
+function toParams(values) {
+    const params = {};
+
+    Object.entries(values).forEach(([name, value]) => {
+        const keys = name.split('.');
+        let target = params;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+
+    return params;
+}
+
+/**
+ * Random point of the space as value indexes per dimension
+ */
+function samplePoint(space, random) {
+    return space.map(dimension => Math.floor(random() * dimension.values.length));
+}
+
+/**
+ * Nested parameters of a point
+ */
+function pointParams(space, point) {
+    return toParams(Object.fromEntries(space.map((dimension, i) => [dimension.name, dimension.values[point[i]]])));
+}
+
+/**
+ * Number of distinct points in the space
+ */
+function spaceSize(space) {
+    return space.reduce((size, dimension) => size * dimension.values.length, 1);
+}
+
+/**
+ * Feature vector of a point for the Gaussian process
+ */
+function encode(space, point) {
+    const features = [];
+
+    space.forEach((dimension, i) => {
+        const { values } = dimension;
+        if (values.length < 2) return;
+
+        if (values.every(value => typeof value === 'number')) {
+            features.push(point[i] / (values.length - 1));
+        } else {
+            values.forEach((_, j) => features.push(j === point[i] ? 1 : 0));
+        }
+    });
+
+    return features;
+}
+
+/**
+ * Squared-exponential kernel
+ */
+function rbf(a, b, lengthScale) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) distance += (a[i] - b[i]) ** 2;
+
+    return Math.exp(-distance / (2 * lengthScale ** 2));
+}
+
+/**
+ * Lower-triangular Cholesky factor of a symmetric positive-definite matrix
+ */
+function cholesky(matrix) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            L[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / L[j][j];
+        }
+    }
+
+    return L;
+}
+
+/**
+ * Solve L x = b for lower-triangular L
+ */
+function solveLower(L, b) {
+    const x = new Array(b.length);
+    for (let i = 0; i < b.length; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) sum -= L[i][k] * x[k];
+        x[i] = sum / L[i][i];
+    }
+
+    return x;
+}
+
+/**
+ * Solve L^T x = b for lower-triangular L
+ */
+function solveUpper(L, b) {
+    const n = b.length;
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+        x[i] = sum / L[i][i];
+    }
+
+    return x;
+}
+
+/**
+ * Gaussian process posterior for a fixed length scale
+ */
+function fitGaussianProcess(X, targets, lengthScale, noise) {
+    const K = X.map((a, i) => X.map((b, j) => rbf(a, b, lengthScale) + (i === j ? noise : 0)));
+    const L = cholesky(K);
+    const alpha = solveUpper(L, solveLower(L, targets));
+
+    // log p(y | X) up to a constant
+    const logLikelihood = -0.5 * targets.reduce((sum, value, i) => sum + value * alpha[i], 0) -
+        L.reduce((sum, row, i) => sum + Math.log(row[i]), 0);
+
+    return { L, alpha, lengthScale, logLikelihood };
+}
+
+/**
+ * Fit a Gaussian process to observations
+ *
+ * Returns predict(x) -> { mean, stdDev } in the units of `y`.
+ */
+function gaussianProcess(X, y, options = {}) {
+    const { lengthScales, noise } = { ...DEFAULTS, ...options };
+    const mean = stats.mean(y);
+    const scale = stats.standardDeviation(y) || 1;
+    const targets = y.map(value => (value - mean) / scale);
+    const features = Math.sqrt(Math.max(X[0].length, 1));
+
+    const { L, alpha, lengthScale } = lengthScales
+        .map(relative => fitGaussianProcess(X, targets, relative * features, noise))
+        .reduce((best, fit) => (fit.logLikelihood > best.logLikelihood ? fit : best));
+
+    return (x) => {
+        const k = X.map(point => rbf(point, x, lengthScale));
+        const v = solveLower(L, k);
+        const variance = Math.max(1 + noise - v.reduce((sum, value) => sum + value * value, 0), 0);
+
+        return {
+            mean: mean + scale * k.reduce((sum, value, i) => sum + value * alpha[i], 0),
+            stdDev: scale * Math.sqrt(variance)
+        };
+    };
+}
+
+/**
+ * Points one value away from `point` in one dimension
+ */
+function neighbours(space, point) {
+    const result = [];
+
+    space.forEach((dimension, i) => {
+        [point[i] - 1, point[i] + 1]
+            .filter(index => index >= 0 && index < dimension.values.length)
+            .forEach(index => result.push(point.map((value, j) => (j === i ? index : value))));
+    });
+
+    return result;
+}
+
+/**
+ * Expected improvement below `best` of a normal prediction
+ */
+function expectedImprovement({ mean, stdDev }, best, margin) {
+    if (stdDev === 0) return Math.max(best - mean - margin, 0);
+
+    const z = (best - mean - margin) / stdDev;
+    const cdf = 0.5 * (1 + stats.errorFunction(z / Math.SQRT2));
+    const pdf = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+    return (best - mean - margin) * cdf + stdDev * pdf;
+}
+
+/**
+ * Evaluate a point and record it in the history
+ *
+ * Failed trials (non-finite loss, e.g. a diverged model) never become the
+ * running best, which stays null until a trial succeeds.
+ */
+async function evaluate(objective, space, point, history, extra = {}) {
+    const params = pointParams(space, point);
+    const result = await objective(params);
+    const { loss, ...details } = typeof result === 'number' ? { loss: result } : result;
+    const previous = history.length ? history[history.length - 1].best : null;
+    const best = Number.isFinite(loss) && (previous === null || loss < previous) ? loss : previous;
+
+    history.push({ trial: history.length + 1, ...extra, ...details, params, loss, best });
+
+    return loss;
+}
+
+/**
+ * Best trial of a history, null when every trial failed
+ */
+function bestTrial(history) {
+    return history
+        .filter(trial => Number.isFinite(trial.loss))
+        .reduce((best, trial) => (!best || trial.loss < best.loss ? trial : best), null);
+}
+
+/**
+ * Seeded random search over distinct points
+ */
+async function randomSearch(objective, space, options = {}) {
+    const { trials, seed } = { ...DEFAULTS, ...options };
+    const random = createRandom(seed);
+    const total = Math.min(trials, spaceSize(space));
+    const seen = new Set();
+    const history = [];
+
+    while (history.length < total) {
+        const point = samplePoint(space, random);
+        const key = point.join(',');
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        await evaluate(objective, space, point, history);
+    }
+
+    return { best: bestTrial(history), history };
+}
+
+/**
+ * Gaussian-process Bayesian optimization
+ *
+ * Evaluates `initPoints` random points, then `iterations` points chosen by
+ * expected improvement; trials record `acquisition` ('random' or 'ei').
+ */
+async function bayesianSearch(objective, space, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const random = createRandom(settings.seed);
+    const total = Math.min(settings.initPoints + settings.iterations, spaceSize(space));
+    const seen = new Set();
+    const points = [];
+    const history = [];
+
+    const run = async (point, acquisition) => {
+        seen.add(point.join(','));
+        points.push(point);
+        await evaluate(objective, space, point, history, { acquisition });
+    };
+
+    while (history.length < Math.min(settings.initPoints, total)) {
+        const point = samplePoint(space, random);
+        if (!seen.has(point.join(','))) await run(point, 'random');
+    }
+
+    while (history.length < total) {
+        // Failed trials (non-finite loss) are kept out of the model
+        const observed = history.map((trial, i) => ({ x: encode(space, points[i]), loss: trial.loss }))
+            .filter(observation => Number.isFinite(observation.loss));
+        const losses = observed.map(observation => observation.loss);
+
+        let next = null;
+        let acquisition = 'random';
+        if (observed.length >= 2) {
+            const predict = gaussianProcess(observed.map(observation => observation.x), losses, settings);
+            const best = Math.min(...losses);
+            const margin = settings.explorationFactor * (stats.standardDeviation(losses) || 1);
+            const incumbent = points[history.findIndex(trial => trial.loss === best)];
+            const candidates = [
+                ...neighbours(space, incumbent),
+                ...Array.from({ length: settings.candidates }, () => samplePoint(space, random))
+            ];
+            let bestScore = -Infinity;
+
+            for (const candidate of candidates) {
+                if (seen.has(candidate.join(','))) continue;
+
+                const score = expectedImprovement(predict(encode(space, candidate)), best, margin);
+                if (score > bestScore) {
+                    bestScore = score;
+                    next = candidate;
+                    acquisition = 'ei';
+                }
+            }
+        }
+
+        // Fall back to a random unseen point when no candidate was new
+        while (!next) {
+            const candidate = samplePoint(space, random);
+            if (!seen.has(candidate.join(','))) next = candidate;
+        }
+
+        await run(next, acquisition);
+    }
+
+    return { best: bestTrial(history), history };
+}
+
+module.exports = {
+    searchSpace,
+    toParams,
+    gaussianProcess,
+    randomSearch,
+    bayesianSearch
+};
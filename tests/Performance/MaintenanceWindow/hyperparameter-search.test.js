@@ -0,0 +1,84 @@
+const { describe, expect, test } = require('@jest/globals');
+const hyperparameters = require('./config/hyperparameters');
+const { searchSpace, gaussianProcess, randomSearch, bayesianSearch } = require('./hyperparameter-search');
+
+describe('hyperparameter search', () => {
+    const space = searchSpace({
+        lstm: { units: [16, 32, 50, 64, 96, 128, 256], dropout: [0, 0.1, 0.2, 0.3, 0.4, 0.5] },
+        optimizer: { learningRate: [0.00001, 0.0001, 0.001, 0.01, 0.1], type: ['adam', 'sgd'] }
+    });
+    // Minimal (0) at 64 units, dropout 0.2, learning rate 0.001 with adam
+    const objective = async params => (Math.log10(params.optimizer.learningRate) + 3) ** 2 +
+        20 * (params.lstm.dropout - 0.2) ** 2 +
+        ((params.lstm.units - 64) / 64) ** 2 +
+        (params.optimizer.type === 'adam' ? 0 : 1);
+
+    test('reads every declared dimension', () => {
+        const names = searchSpace(hyperparameters).map(dimension => dimension.name);
+
+        expect(names).toEqual(expect.arrayContaining([
+            'lstm.units', 'lstm.layers', 'lstm.dropout', 'lstm.kernelRegularizer.l2',
+            'optimizer.type', 'optimizer.learningRate', 'training.batchSize', 'architecture.windowSize'
+        ]));
+        expect(names).not.toContain('search.random.trials');
+    });
+
+    test('random search is seeded and reports its convergence', async () => {
+        const result = await randomSearch(objective, space, { trials: 20, seed: 7 });
+
+        expect(result.history).toHaveLength(20);
+        expect(await randomSearch(objective, space, { trials: 20, seed: 7 })).toEqual(result);
+        expect(new Set(result.history.map(trial => JSON.stringify(trial.params))).size).toBe(20);
+        result.history.forEach((trial, i) => {
+            expect(trial.best).toBe(Math.min(...result.history.slice(0, i + 1).map(t => t.loss)));
+        });
+        expect(result.best.loss).toBe(result.history[19].best);
+    });
+
+    test('diverged trials are failures, not the best', async () => {
+        // High learning rates diverge
+        const diverging = async params => (params.optimizer.learningRate >= 0.01 ? NaN : objective(params));
+
+        for (const search of [randomSearch, bayesianSearch]) {
+            const { best, history } = await search(diverging, space, { trials: 15, initPoints: 5, iterations: 10, seed: 6 });
+            const succeeded = history.filter(trial => Number.isFinite(trial.loss));
+
+            // The first trial diverges
+            expect(history[0]).toMatchObject({ loss: NaN, best: null });
+            expect(best.loss).toBe(Math.min(...succeeded.map(trial => trial.loss)));
+            expect(history[history.length - 1].best).toBe(best.loss);
+            history.forEach(trial => expect(Number.isNaN(trial.best)).toBe(false));
+        }
+
+        const failed = await randomSearch(async () => NaN, space, { trials: 3 });
+        expect(failed.best).toBeNull();
+        expect(failed.history.map(trial => trial.best)).toEqual([null, null, null]);
+    });
+
+    test('bayesian optimization beats random search on the same budget', async () => {
+        const seeds = [1, 2, 3, 4, 5];
+        const randomLosses = [];
+        const bayesianLosses = [];
+        for (const seed of seeds) {
+            randomLosses.push((await randomSearch(objective, space, { trials: 20, seed })).best.loss);
+            bayesianLosses.push((await bayesianSearch(objective, space, { initPoints: 5, iterations: 15, seed })).best.loss);
+        }
+        const mean = losses => losses.reduce((sum, loss) => sum + loss, 0) / losses.length;
+
+        expect(mean(bayesianLosses)).toBeLessThan(mean(randomLosses) / 2);
+
+        const { history } = await bayesianSearch(objective, space, { initPoints: 5, iterations: 15, seed: 1 });
+        expect(history.map(trial => trial.acquisition)).toEqual([...Array(5).fill('random'), ...Array(15).fill('ei')]);
+    });
+
+    test('gaussian process interpolates observations', () => {
+        const X = [[0], [0.25], [0.5], [0.75], [1]];
+        const y = X.map(([x]) => Math.sin(3 * x));
+        const predict = gaussianProcess(X, y);
+
+        expect(predict([0.5]).mean).toBeCloseTo(y[2], 2);
+        expect(predict([0.5]).stdDev).toBeLessThan(0.05);
+        expect(predict([0.6]).mean).toBeCloseTo(Math.sin(1.8), 1);
+        expect(predict([3]).stdDev).toBeGreaterThan(predict([0.6]).stdDev);
+    });
+});
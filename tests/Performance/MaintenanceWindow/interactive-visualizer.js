@@ -2,13 +2,16 @@ const fs = require('fs');
 const path = require('path');
 const express = require('express');
 const open = require('open');
+const QueryEngine = require('./query-engine');
 
 /**
  * Interactive performance visualization server
  */
 class InteractiveVisualizer {
-    constructor(port = 3000) {
+    constructor(port = 3000, metricsStore = null) {
         this.port = port;
+        this.store = metricsStore;
+        this.queryEngine = metricsStore ? new QueryEngine(metricsStore) : null;
         this.app = express();
         this.setupServer();
     }
@@ -28,6 +31,23 @@ class InteractiveVisualizer {
         this.app.get('/api/trends', (req, res) => {
             res.json(this.calculateTrends());
         });
+
+        // Query language over the metrics store, e.g. /api/query?q=rate(execution_times[5m])&range=24h&step=5m
+        this.app.get('/api/query', async (req, res) => {
+            if (!this.queryEngine) {
+                res.status(503).json({ error: 'No metrics store configured' });
+                return;
+            }
+
+            try {
+                res.json(await this.queryEngine.query(String(req.query.q || ''), {
+                    timeRange: req.query.range || '1h',
+                    step: req.query.step || '1m'
+                }));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
     }
 
     /**
@@ -97,6 +117,13 @@ class InteractiveVisualizer {
                             font-size: 14px;
                             color: #666;
                         }
+                        #queryExpression {
+                            width: 60%;
+                            font-family: monospace;
+                        }
+                        #queryError {
+                            color: #c0392b;
+                        }
                     </style>
                 </head>
                 <body>
@@ -208,6 +235,35 @@ class InteractiveVisualizer {
                             </div>
                             <div id="trendChart"></div>
                         </div>
+
+                        <div class="chart-container full-width">
+                            <h2>Metrics Query</h2>
+                            <div class="controls">
+                                <label>
+                                    Expression:
+                                    <input id="queryExpression" type="text" placeholder='p95(metric{type="api"}) by (env)'>
+                                </label>
+                                <label>
+                                    Range:
+                                    <select id="queryRange">
+                                        <option value="1h">Last Hour</option>
+                                        <option value="24h">Last 24 Hours</option>
+                                        <option value="7d">Last 7 Days</option>
+                                    </select>
+                                </label>
+                                <label>
+                                    Step:
+                                    <select id="queryStep">
+                                        <option value="1m">1m</option>
+                                        <option value="5m">5m</option>
+                                        <option value="1h">1h</option>
+                                    </select>
+                                </label>
+                                <button id="queryRun">Run</button>
+                                <div id="queryError"></div>
+                            </div>
+                            <div id="queryChart"></div>
+                        </div>
                     </div>
 
                     <script>
@@ -372,6 +428,41 @@ class InteractiveVisualizer {
                             return data.map((_, i) => slope * i + intercept);
                         }
 
+                        // Run query and plot one line per series
+                        async function runQuery() {
+                            const params = new URLSearchParams({
+                                q: document.getElementById('queryExpression').value,
+                                range: document.getElementById('queryRange').value,
+                                step: document.getElementById('queryStep').value
+                            });
+                            const response = await fetch('/api/query?' + params);
+                            const result = await response.json();
+                            const error = document.getElementById('queryError');
+
+                            if (!response.ok) {
+                                error.textContent = result.error;
+                                return;
+                            }
+
+                            error.textContent = '';
+                            const series = result.resultType === 'scalar'
+                                ? [{ labels: {}, points: [{ time: result.range.end, value: result.value }] }]
+                                : result.series;
+
+                            const data = series.map(s => ({
+                                x: s.points.map(p => p.time),
+                                y: s.points.map(p => p.value),
+                                type: 'scatter',
+                                mode: 'lines+markers',
+                                name: Object.entries(s.labels).map(([k, v]) => k + '="' + v + '"').join(', ') || result.expression
+                            }));
+
+                            Plotly.newPlot('queryChart', data, {
+                                title: result.expression,
+                                xaxis: { title: 'Time' }
+                            });
+                        }
+
                         // Setup event listeners
                         function setupEventListeners(results) {
                             // Time range change
@@ -411,6 +502,12 @@ class InteractiveVisualizer {
                                 const metric = e.target.value;
                                 updateTrendMetric(metric, results);
                             });
+
+                            // Query run
+                            document.getElementById('queryRun').addEventListener('click', runQuery);
+                            document.getElementById('queryExpression').addEventListener('keydown', (e) => {
+                                if (e.key === 'Enter') runQuery();
+                            });
                         }
 
                         // Initialize on load
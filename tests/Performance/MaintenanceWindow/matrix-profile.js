@@ -0,0 +1,246 @@
+/**
+ * Matrix profile motifs and discords
+ *
+ * The matrix profile holds, for every subsequence of length `window`, the
+ * z-normalized Euclidean distance to its nearest non-trivial neighbour.
+ * It is computed STOMP-style: the dot products of one row are updated from
+ * the previous row in O(1) each, so the whole profile takes O(n^2) time and
+ * O(n) memory for any window. Z-normalization compares shapes, independent
+ * of the series' level and scale.
+ *
+ * Motifs are the subsequences with the smallest profile values (recurring
+ * shapes); discords are those with the largest (windows unlike any other).
+ */
+
+const DEFAULTS = {
+    window: 24,
+    k: 3
+};
+
+/**
+ * Sliding mean and standard deviation of every subsequence
+ */
+function slidingStats(values, window) {
+    const count = values.length - window + 1;
+    const means = new Float64Array(count);
+    const stdDevs = new Float64Array(count);
+    let sum = 0;
+    let squares = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        squares += values[i] * values[i];
+        if (i >= window) {
+            sum -= values[i - window];
+            squares -= values[i - window] * values[i - window];
+        }
+        if (i >= window - 1) {
+            const mean = sum / window;
+            means[i - window + 1] = mean;
+            stdDevs[i - window + 1] = Math.sqrt(Math.max(squares / window - mean * mean, 0));
+        }
+    }
+
+    return { means, stdDevs };
+}
+
+/**
+ * Z-normalized distance from a dot product
+ *
+ * Flat subsequences (zero deviation) are at distance 0 from each other and
+ * sqrt(window) from anything else.
+ */
+function distance(dot, window, i, j, { means, stdDevs }) {
+    const flat = 1e-8 * (Math.abs(means[i]) + Math.abs(means[j]) + 1);
+    if (stdDevs[i] < flat || stdDevs[j] < flat) {
+        return stdDevs[i] < flat && stdDevs[j] < flat ? 0 : Math.sqrt(window);
+    }
+
+    const correlation = (dot - window * means[i] * means[j]) / (window * stdDevs[i] * stdDevs[j]);
+    return Math.sqrt(Math.max(2 * window * (1 - Math.min(correlation, 1)), 0));
+}
+
+/**
+ * Distance cutoff: two standard deviations below the mean distance, but at
+ * least the smallest one, so only clearly closer than usual pairs count
+ */
+function cutoff(distances) {
+    const finite = Array.from(distances).filter(Number.isFinite);
+    if (!finite.length) return -Infinity;
+
+    const mean = finite.reduce((sum, value) => sum + value, 0) / finite.length;
+    const variance = finite.reduce((sum, value) => sum + (value - mean) ** 2, 0) / finite.length;
+    return Math.max(mean - 2 * Math.sqrt(variance), Math.min(...finite));
+}
+
+/**
+ * Trivial matches are subsequences that overlap too much to count as repeats
+ */
+function exclusionZone(window) {
+    return Math.ceil(window / 4);
+}
+
+/**
+ * Distances from the subsequence at `index` to every subsequence
+ */
+function distanceProfile(values, window, index, sliding) {
+    const count = values.length - window + 1;
+    const distances = new Float64Array(count);
+
+    for (let j = 0; j < count; j++) {
+        let dot = 0;
+        for (let k = 0; k < window; k++) dot += values[index + k] * values[j + k];
+        distances[j] = distance(dot, window, index, j, sliding);
+    }
+
+    return distances;
+}
+
+/**
+ * Matrix profile and profile index of values
+ *
+ * Returns { profile, index } where profile[i] is the distance from
+ * subsequence i to its nearest neighbour index[i] outside the exclusion
+ * zone (Infinity when the series is too short to have one).
+ */
+function compute(values, window) {
+    const count = values.length - window + 1;
+    if (window < 2 || count < 2) {
+        return { profile: new Float64Array(Math.max(count, 0)).fill(Infinity), index: new Int32Array(Math.max(count, 0)).fill(-1) };
+    }
+
+    const sliding = slidingStats(values, window);
+    const zone = exclusionZone(window);
+    const profile = new Float64Array(count).fill(Infinity);
+    const index = new Int32Array(count).fill(-1);
+
+    // Dot products of row 0, also the first column by symmetry
+    const first = new Float64Array(count);
+    for (let j = 0; j < count; j++) {
+        let dot = 0;
+        for (let k = 0; k < window; k++) dot += values[k] * values[j + k];
+        first[j] = dot;
+    }
+
+    let dots = Float64Array.from(first);
+    for (let i = 0; i < count; i++) {
+        if (i > 0) {
+            // Row i from row i - 1, updating along the diagonals from the end
+            for (let j = count - 1; j > 0; j--) {
+                dots[j] = dots[j - 1] - values[i - 1] * values[j - 1] + values[i + window - 1] * values[j + window - 1];
+            }
+            dots[0] = first[i];
+        }
+
+        // Only the upper triangle; each distance updates both ends
+        for (let j = i + zone + 1; j < count; j++) {
+            const d = distance(dots[j], window, i, j, sliding);
+            if (d < profile[i]) {
+                profile[i] = d;
+                index[i] = j;
+            }
+            if (d < profile[j]) {
+                profile[j] = d;
+                index[j] = i;
+            }
+        }
+    }
+
+    return { profile, index };
+}
+
+/**
+ * Top-k motifs: recurring shapes with every position they occur at
+ *
+ * Motif seeds are taken in order of profile distance while they are below
+ * the profile's cutoff; members are the non-overlapping windows below the
+ * cutoff of the seed's distance profile. Returns [{ positions,
+ * occurrences, distance, sequence }] where `distance` is the z-normalized
+ * distance of the closest pair and `sequence` the values of the first
+ * occurrence.
+ */
+function findMotifs(values, options = {}) {
+    const { window, k } = { ...DEFAULTS, ...options };
+    const { profile } = options.matrixProfile || compute(values, window);
+    const sliding = slidingStats(values, window);
+    const zone = exclusionZone(window);
+    const seedLimit = cutoff(profile);
+    const used = new Uint8Array(profile.length);
+    const motifs = [];
+
+    while (motifs.length < k) {
+        let best = -1;
+        profile.forEach((value, i) => {
+            if (!used[i] && value <= seedLimit && (best < 0 || value < profile[best])) best = i;
+        });
+        if (best < 0) break;
+
+        const distances = distanceProfile(values, window, best, sliding);
+        for (let j = Math.max(0, best - zone); j <= Math.min(distances.length - 1, best + zone); j++) {
+            if (j !== best) distances[j] = Infinity;
+        }
+        const limit = Math.max(cutoff(distances), profile[best]);
+        const candidates = Array.from(distances.keys())
+            .filter(j => !used[j] && distances[j] <= limit)
+            .sort((a, b) => distances[a] - distances[b]);
+
+        // Keep non-overlapping members, closest first
+        const positions = [];
+        candidates.forEach(j => {
+            if (positions.every(p => Math.abs(p - j) > zone)) positions.push(j);
+        });
+
+        positions.forEach(p => {
+            for (let j = Math.max(0, p - zone); j <= Math.min(profile.length - 1, p + zone); j++) used[j] = 1;
+        });
+        used[best] = 1;
+
+        if (positions.length > 1) {
+            positions.sort((a, b) => a - b);
+            motifs.push({
+                positions,
+                occurrences: positions.length,
+                distance: profile[best],
+                sequence: values.slice(positions[0], positions[0] + window)
+            });
+        }
+    }
+
+    return motifs;
+}
+
+/**
+ * Top-k discords: the windows farthest from any other window
+ *
+ * Returns [{ position, distance, neighbour, sequence }], most unusual first;
+ * `neighbour` is the position of the closest other window.
+ */
+function findDiscords(values, options = {}) {
+    const { window, k } = { ...DEFAULTS, ...options };
+    const { profile, index } = options.matrixProfile || compute(values, window);
+    const zone = exclusionZone(window);
+    const order = Array.from(profile.keys())
+        .filter(i => Number.isFinite(profile[i]))
+        .sort((a, b) => profile[b] - profile[a]);
+    const discords = [];
+
+    for (const i of order) {
+        if (discords.length >= k) break;
+        if (discords.some(discord => Math.abs(discord.position - i) <= zone)) continue;
+
+        discords.push({
+            position: i,
+            distance: profile[i],
+            neighbour: index[i],
+            sequence: values.slice(i, i + window)
+        });
+    }
+
+    return discords;
+}
+
+module.exports = {
+    compute,
+    findDiscords,
+    findMotifs
+};
@@ -0,0 +1,55 @@
+const { describe, expect, test } = require('@jest/globals');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const matrixProfile = require('./matrix-profile');
+
+// Deterministic, non-repeating noise in (-1, 1)
+const noise = (i) => (Math.sin(i * 12.9898) * 43758.5453) % 1;
+// Spike followed by a dip, 24 points long
+const shape = Array.from({ length: 24 }, (_, k) => 30 * Math.exp(-((k - 8) ** 2) / 10) - 15 * Math.exp(-((k - 16) ** 2) / 6));
+
+const zNormalize = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    return values.map(value => (value - mean) / stdDev);
+};
+
+describe('matrixProfile.compute', () => {
+    test('matches brute-force nearest neighbour distances', () => {
+        const values = Array.from({ length: 80 }, (_, i) => 10 * Math.sin(i / 3) + 3 * noise(i));
+        const window = 8;
+        const { profile } = matrixProfile.compute(values, window);
+
+        profile.forEach((distance, i) => {
+            const a = zNormalize(values.slice(i, i + window));
+            let nearest = Infinity;
+            for (let j = 0; j < profile.length; j++) {
+                if (Math.abs(i - j) <= 2) continue;
+                const b = zNormalize(values.slice(j, j + window));
+                nearest = Math.min(nearest, Math.sqrt(a.reduce((sum, value, k) => sum + (value - b[k]) ** 2, 0)));
+            }
+            expect(distance).toBeCloseTo(nearest, 8);
+        });
+    });
+});
+
+describe('MetricsAnalyzer.findPatterns', () => {
+    test('finds a recurring shape at any scale and the most unusual window', () => {
+        const values = Array.from({ length: 720 }, (_, i) => 100 + 5 * noise(i));
+        [50, 200, 330, 480, 650].forEach((position, n) => {
+            shape.forEach((value, k) => { values[position + k] += value * (n + 1); });
+        });
+        for (let i = 560; i < 584; i++) values[i] += 40 * ((i % 3) - 1);
+
+        const patterns = new MetricsAnalyzer(null).findPatterns(values);
+
+        expect(patterns.window).toBe(24);
+        expect(patterns.motifs[0].occurrences).toBe(5);
+        expect(patterns.motifs[0].positions.map(position => position % 10)).toEqual([5, 5, 5, 5, 5]);
+        expect(patterns.discords[0].position).toBeGreaterThan(536);
+        expect(patterns.discords[0].position).toBeLessThan(584);
+    });
+
+    test('returns nothing for series shorter than a few windows', () => {
+        expect(new MetricsAnalyzer(null).findPatterns([1, 2, 3, 4, 5, 6, 7, 8])).toEqual({ window: 2, motifs: [], discords: [] });
+    });
+});
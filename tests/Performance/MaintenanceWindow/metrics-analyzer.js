@@ -1,26 +1,83 @@
 const MetricsStore = require('./metrics-store');
 const stats = require('simple-statistics');
+const DDSketch = require('./dd-sketch');
+const { StorageAdapter } = require('./storage');
+const changePoints = require('./change-points');
+const holtWinters = require('./holt-winters');
+const anomalyDetectors = require('./anomaly-detectors');
+const crossCorrelation = require('./cross-correlation');
+const matrixProfile = require('./matrix-profile');
+const periodicity = require('./periodicity');
+const sloConfig = require('./config/slos');
+const reportDiff = require('./report-diff');
+const backtesting = require('./backtest');
+const { fillGaps } = require('./series');
+
+// Series statistics read from getTimeSeries(); pNN percentiles are computed from raw samples
+const SERIES_STATISTICS = ['average', 'minimum', 'maximum', 'count'];
+
+/**
+ * Quantile of a pNN statistic, null for other statistics
+ *
+ * Digits are a percentage (p5 = 0.05, p95 = 0.95, p100 = 1), except p999
+ * for the 99.9th percentile.
+ */
+function parsePercentile(statistic) {
+    const match = String(statistic).match(/^p(\d+)$/);
+    if (!match) return null;
+
+    const q = match[1] === '999' ? 0.999 : Number(match[1]) / 100;
+    if (!(q > 0 && q <= 1)) throw new Error(`Invalid percentile: ${statistic} (expected p1 to p100 or p999)`);
+
+    return q;
+}
 
 /**
  * Performance metrics analyzer
+ *
+ * `options.runs` (run id or ids, see run-registry.js) scopes every
+ * analysis to samples written by those runs; by default all runs are
+ * mixed.
  */
 class MetricsAnalyzer {
-    constructor(metricsStore) {
+    constructor(metricsStore, options = {}) {
         this.store = metricsStore;
+        this.runs = options.runs ?? null;
+        this.scope = this.runs === null ? {} : { runs: this.runs };
     }
 
     /**
      * Analyze performance trends
+     *
+     * Like every entry point, accepts a relative or `{ start, end }` time
+     * range and echoes the resolved range back as `range`. `options.anomalies`
+     * selects the anomaly detector, see detectAnomalies(). Every analysis
+     * reads the hourly series with gaps filled, so periods and horizons stay
+     * in hours; anomalies carry the `time` of their bucket and are only
+     * reported for buckets with samples.
      */
-    async analyzeTrends(type, name, timeRange = '7d') {
-        const data = await this.store.getTimeSeries(type, name, '1h', timeRange);
-        const values = data.map(d => d.average);
+    async analyzeTrends(type, name, timeRange = '7d', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const { times, values } = await this.getHourlySeries(type, name, range);
+        const filled = values.length ? fillGaps(values) : [];
+        const detected = this.detectAnomalies(filled, options.anomalies);
+        // Filled buckets only repeat the sample before them
+        const anomalies = detected.anomalies
+            .filter(anomaly => values[anomaly.index] !== null)
+            .map(anomaly => ({ ...anomaly, time: times[anomaly.index] }));
+        const observed = values.filter(value => value !== null).length;
 
         return {
-            trend: this.calculateTrend(values),
-            seasonality: this.detectSeasonality(values),
-            anomalies: this.detectAnomalies(values),
-            forecast: this.generateForecast(values)
+            range,
+            trend: this.calculateTrend(filled),
+            seasonality: this.detectSeasonality(filled),
+            anomalies: {
+                ...detected,
+                anomalies,
+                count: anomalies.length,
+                percentage: observed ? (anomalies.length / observed) * 100 : 0
+            },
+            forecast: this.generateForecast(filled)
         };
     }
 
@@ -46,18 +103,20 @@ class MetricsAnalyzer {
 
     /**
      * Detect seasonality in data
+     *
+     * The seasonal `period` is the dominant one from detectCycles(), with
+     * its average `pattern`; `periods` lists every significant period.
+     * Values may contain nulls for missing buckets.
      */
-    detectSeasonality(values) {
-        // Analyze daily patterns (24 points for hourly data)
-        const dailyPattern = this.analyzePattern(values, 24);
-
-        // Analyze weekly patterns (168 points for hourly data)
-        const weeklyPattern = this.analyzePattern(values, 168);
+    detectSeasonality(values, options = {}) {
+        const periods = this.detectCycles(values, options);
+        const period = periods.length ? periods[0].period : null;
 
         return {
-            daily: dailyPattern,
-            weekly: weeklyPattern,
-            hasSeasonality: dailyPattern.strength > 0.6 || weeklyPattern.strength > 0.6
+            hasSeasonality: period !== null,
+            period,
+            ...(period ? this.analyzePattern(values, period) : { strength: 0, pattern: [] }),
+            periods
         };
     }
 
@@ -69,249 +128,548 @@ class MetricsAnalyzer {
             return { strength: 0, pattern: [] };
         }
 
-        // Calculate average pattern
+        // Calculate average pattern, skipping missing buckets
         const pattern = Array(period).fill(0);
         const counts = Array(period).fill(0);
 
         for (let i = 0; i < values.length; i++) {
+            if (values[i] === null) continue;
             const index = i % period;
             pattern[index] += values[i];
             counts[index]++;
         }
 
-        const avgPattern = pattern.map((sum, i) => sum / counts[i]);
+        const avgPattern = pattern.map((sum, i) => (counts[i] ? sum / counts[i] : null));
 
         // Calculate pattern strength (correlation between actual and pattern)
+        const actual = [];
         const patternValues = [];
         for (let i = 0; i < values.length; i++) {
+            if (values[i] === null) continue;
+            actual.push(values[i]);
             patternValues.push(avgPattern[i % period]);
         }
 
-        const correlation = stats.sampleCorrelation(values, patternValues);
+        const correlation = stats.sampleCorrelation(actual, patternValues);
 
         return {
-            strength: Math.abs(correlation),
+            strength: Math.abs(correlation) || 0,
             pattern: avgPattern
         };
     }
 
     /**
      * Detect anomalies in data
+     *
+     * `options.detector` is 'zscore' (default), 'mad', 'esd' or 'rolling';
+     * the other options tune its sensitivity (threshold, alpha, window, see
+     * anomaly-detectors.js). The seasonal ESD detector removes the period
+     * from detectSeasonality() unless `options.period` is given.
      */
-    detectAnomalies(values) {
-        const mean = stats.mean(values);
-        const stdDev = stats.standardDeviation(values);
-        const threshold = 2; // Number of standard deviations
-
-        const anomalies = values.map((value, index) => {
-            const zScore = Math.abs(value - mean) / stdDev;
-            return zScore > threshold ? {
-                index,
-                value,
-                zScore,
-                deviation: value - mean
-            } : null;
-        }).filter(Boolean);
+    detectAnomalies(values, options = {}) {
+        const { detector = 'zscore', ...settings } = options;
+        if (detector === 'esd' && settings.period === undefined) {
+            settings.period = this.detectSeasonality(values).period;
+        }
+
+        const anomalies = anomalyDetectors.detect(values, detector, settings);
 
         return {
+            detector,
             anomalies,
             count: anomalies.length,
-            percentage: (anomalies.length / values.length) * 100
+            percentage: values.length ? (anomalies.length / values.length) * 100 : 0
         };
     }
 
     /**
-     * Generate performance forecast
+     * Detect level changes (change points) in a stored series
+     *
+     * Options: interval ('1h'), statistic ('average', 'minimum', 'maximum',
+     * 'count' or a percentile like 'p95') and the change-points.js options
+     * (penalty, minSegment, minConfidence, iterations, seed). Each change
+     * point carries the `time` bucket the new level starts at, the level
+     * shift and its confidence.
+     */
+    async detectChangePoints(type, name, timeRange = '7d', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const { interval = '1h', statistic = 'average', ...settings } = options;
+        const series = await this.getSeries(type, name, interval, range, statistic);
+        const changes = changePoints.detectChangePoints(series.map(point => point.value), settings);
+
+        return {
+            range,
+            interval,
+            statistic,
+            changePoints: changes.map(change => {
+                const time = series[change.index].time;
+                const size = change.relativeShift === null
+                    ? `by ${Math.abs(change.shift).toFixed(2)}`
+                    : `${Math.round(Math.abs(change.relativeShift) * 100)}%`;
+
+                return {
+                    time,
+                    ...change,
+                    description: `${type}/${name} ${statistic} went ${change.shift > 0 ? 'up' : 'down'} ${size} at ${time}`
+                };
+            })
+        };
+    }
+
+    /**
+     * Get bucketed series of one statistic ({ time, value } points)
      */
-    generateForecast(values, periods = 24) {
-        if (values.length < 2) return [];
+    async getSeries(type, name, interval, timeRange, statistic) {
+        const q = parsePercentile(statistic);
 
-        // Simple exponential smoothing
-        const alpha = 0.3; // Smoothing factor
-        const forecast = [];
-        let lastValue = values[values.length - 1];
+        if (q === null) {
+            if (!SERIES_STATISTICS.includes(statistic)) {
+                throw new Error(`Invalid statistic: ${statistic} (expected ${SERIES_STATISTICS.join(', ')} or pNN)`);
+            }
 
-        for (let i = 0; i < periods; i++) {
-            lastValue = alpha * values[values.length - 1] + (1 - alpha) * lastValue;
-            forecast.push(lastValue);
+            const data = await this.store.getTimeSeries(type, name, interval, timeRange, this.scope);
+            return data.map(d => ({ time: d.time_bucket, value: d[statistic] }));
         }
 
+        // Rollup sketches are not bucketed finely enough, so read raw samples
+        const seconds = this.store.parseInterval(interval);
+        const rows = await this.store.getMetrics(type, name, timeRange, this.scope);
+        const buckets = new Map();
+
+        rows.forEach(row => {
+            const bucket = Math.floor(StorageAdapter.toEpoch(row.timestamp) / seconds) * seconds;
+            if (!buckets.has(bucket)) buckets.set(bucket, new DDSketch(this.store.sketchAccuracy));
+            buckets.get(bucket).add(row.value);
+        });
+
+        return Array.from(buckets.entries()).map(([bucket, sketch]) => ({
+            time: this.store.formatBucket(bucket),
+            value: sketch.quantile(q)
+        }));
+    }
+
+    /**
+     * Generate performance forecast
+     *
+     * Holt-Winters with the seasonal period from detectSeasonality() (a
+     * trend-only model when there is none); smoothing parameters are fitted
+     * on a holdout, see holt-winters.js for the options. Returns point
+     * forecasts with 95% prediction intervals that widen with the horizon.
+     */
+    generateForecast(values, periods = 24, options = {}) {
+        if (values.length < 2) return { values: [], confidence: [] };
+
+        const period = options.period !== undefined ? options.period : this.detectSeasonality(values).period;
+        const model = holtWinters.optimize(values, { ...options, period });
+        const { values: forecast, standardErrors } = holtWinters.forecast(model, periods);
+
         return {
             values: forecast,
-            confidence: this.calculateConfidenceIntervals(values, forecast)
+            confidence: this.calculateConfidenceIntervals(forecast, standardErrors),
+            model: {
+                method: model.period ? 'holt-winters' : 'holt',
+                period: model.period,
+                seasonality: model.seasonality,
+                alpha: model.alpha,
+                beta: model.beta,
+                gamma: model.gamma,
+                holdout: model.holdout,
+                holdoutError: model.holdoutError
+            }
         };
     }
 
     /**
      * Calculate confidence intervals
      */
-    calculateConfidenceIntervals(historical, forecast) {
-        const errors = [];
-        for (let i = 1; i < historical.length; i++) {
-            errors.push(historical[i] - historical[i - 1]);
-        }
+    calculateConfidenceIntervals(forecast, standardErrors) {
+        return forecast.map((value, i) => {
+            const confidence = 1.96 * standardErrors[i]; // 95% prediction interval
+
+            return {
+                lower: value - confidence,
+                upper: value + confidence
+            };
+        });
+    }
 
-        const errorStdDev = stats.standardDeviation(errors);
-        const confidence = 1.96 * errorStdDev; // 95% confidence interval
+    /**
+     * Backtest forecasts on a stored series
+     *
+     * Replays the hourly series of `timeRange` with walk-forward origins
+     * (`options.horizon`, `initial`, `step`, `window`, see backtest.js) and
+     * scores each forecaster from getBacktestForecasters() per horizon.
+     * Values are aligned on hourly buckets (getHourlySeries()), so horizons
+     * and steps stay in hours across gaps.
+     */
+    async backtestForecasts(type, name, timeRange = '30d', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const { values } = await this.getHourlySeries(type, name, range);
+        if (!values.length) throw new Error(`No samples of ${type}/${name} in time range`);
 
-        return forecast.map(value => ({
-            lower: value - confidence,
-            upper: value + confidence
-        }));
+        const initial = options.initial ?? Math.floor(values.length / 2);
+        const forecasters = await this.getBacktestForecasters(fillGaps(values.slice(0, initial)), options);
+
+        return {
+            range,
+            metric: { type, name },
+            ...await backtesting.backtest(values, forecasters, { ...options, initial })
+        };
+    }
+
+    /**
+     * Forecasters compared by backtestForecasts()
+     *
+     * generateForecast() (Holt-Winters) against the naive and, when
+     * `options.period` is given or detected on the values before the first
+     * origin, seasonal naive baselines.
+     */
+    async getBacktestForecasters(initialValues, options = {}) {
+        const period = options.period ?? this.detectSeasonality(initialValues).period;
+        const forecasters = {
+            'holt-winters': async (history, horizon) => this.generateForecast(history, horizon),
+            naive: backtesting.naive()
+        };
+        if (period) forecasters['seasonal-naive'] = backtesting.seasonalNaive(period);
+
+        return forecasters;
+    }
+
+    /**
+     * Analyze value distribution using stored percentile sketches
+     */
+    async analyzeDistribution(type, name, timeRange = '7d') {
+        const range = this.store.resolveTimeRange(timeRange);
+        const percentiles = await this.store.getPercentiles(
+            type,
+            name,
+            [0.5, 0.9, 0.95, 0.99, 0.999],
+            range,
+            this.scope
+        );
+
+        const p50 = percentiles[0.5];
+        const p99 = percentiles[0.99];
+
+        return {
+            range,
+            percentiles,
+            // How much slower the tail is than the typical case
+            tailRatio: p50 ? p99 / p50 : null
+        };
     }
 
     /**
      * Analyze performance patterns
+     *
+     * `options.window` (default 24 buckets, one day of hourly data) and
+     * `options.k` configure findPatterns().
      */
-    async analyzePatterns(type, name, timeRange = '30d') {
-        const data = await this.store.getTimeSeries(type, name, '1h', timeRange);
+    async analyzePatterns(type, name, timeRange = '30d', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const data = await this.store.getTimeSeries(type, name, '1h', range, this.scope);
         const values = data.map(d => d.average);
 
         return {
-            patterns: this.findPatterns(values),
-            cycles: this.detectCycles(values),
-            correlations: await this.findCorrelations(type, name, timeRange)
+            range,
+            patterns: this.findPatterns(values, options),
+            // Periods need evenly spaced buckets, so gaps stay in as nulls
+            cycles: this.detectCycles(this.alignSeries(data, this.getBucketGrid('1h', range))),
+            correlations: await this.findCorrelations(type, name, range)
         };
     }
 
     /**
-     * Find patterns in data
+     * Find motifs (top-k recurring shapes) and discords (most unusual
+     * windows) with the matrix profile of z-normalized subsequences
+     *
+     * The window shrinks to a quarter of short series. Positions are
+     * indexes into `values`; see matrix-profile.js.
      */
-    findPatterns(values) {
-        const patterns = [];
-        const minPatternLength = 3;
-        const maxPatternLength = Math.floor(values.length / 2);
-
-        for (let len = minPatternLength; len <= maxPatternLength; len++) {
-            const potentialPatterns = this.findRepeatingSequences(values, len);
-            patterns.push(...potentialPatterns);
-        }
+    findPatterns(values, options = {}) {
+        const window = Math.min(options.window ?? 24, Math.floor(values.length / 4));
+        if (window < 3) return { window, motifs: [], discords: [] };
 
-        return patterns.sort((a, b) => b.occurrences - a.occurrences).slice(0, 5);
+        const k = options.k ?? 3;
+        const profile = matrixProfile.compute(values, window);
+
+        return {
+            window,
+            motifs: matrixProfile.findMotifs(values, { window, k, matrixProfile: profile }),
+            discords: matrixProfile.findDiscords(values, { window, k, matrixProfile: profile })
+        };
     }
 
     /**
-     * Find repeating sequences
+     * Detect cycles in data
+     *
+     * Dominant periods (in buckets) from the periodogram, validated and
+     * refined on the autocorrelation function, strongest first with their
+     * `significance`; see periodicity.js for the options. Values may contain
+     * nulls for missing buckets.
      */
-    findRepeatingSequences(values, length) {
-        const sequences = new Map();
-        const tolerance = 0.1; // 10% variation allowed
-
-        for (let i = 0; i <= values.length - length; i++) {
-            const sequence = values.slice(i, i + length);
-            const key = sequence.map(v => Math.round(v / tolerance) * tolerance).join(',');
-
-            if (!sequences.has(key)) {
-                sequences.set(key, {
-                    sequence,
-                    positions: [],
-                    occurrences: 0
-                });
-            }
+    detectCycles(values, options = {}) {
+        return periodicity.detectPeriods(values, options);
+    }
 
-            sequences.get(key).positions.push(i);
-            sequences.get(key).occurrences++;
+    /**
+     * Bucket labels of `interval` buckets covering a range, mapped to their index
+     */
+    getBucketGrid(interval, range) {
+        const seconds = this.store.parseInterval(interval);
+        const { since, until } = this.store.getSeriesWindow(interval, range);
+        const grid = new Map();
+        const end = StorageAdapter.toDate(until).getTime() / 1000;
+
+        for (let epoch = StorageAdapter.toDate(since).getTime() / 1000; epoch < end; epoch += seconds) {
+            grid.set(this.store.formatBucket(epoch), grid.size);
         }
 
-        return Array.from(sequences.values())
-            .filter(s => s.occurrences > 1);
+        return grid;
     }
 
     /**
-     * Detect cycles in data
+     * Hourly bucket averages from the first to the last sample in a range
+     *
+     * `times` are the bucket labels; `values` hold null for buckets without
+     * samples. Both are empty when the range has no samples.
      */
-    detectCycles(values) {
-        const cycles = [];
-        const maxPeriod = Math.floor(values.length / 2);
-
-        for (let period = 2; period <= maxPeriod; period++) {
-            const correlation = this.calculateCycleStrength(values, period);
-            if (correlation > 0.6) {
-                cycles.push({
-                    period,
-                    strength: correlation
-                });
-            }
-        }
+    async getHourlySeries(type, name, range) {
+        const data = await this.store.getTimeSeries(type, name, '1h', range, this.scope);
+        const grid = this.getBucketGrid('1h', range);
+        const aligned = this.alignSeries(data, grid);
+        const first = aligned.findIndex(value => value !== null);
+        if (first === -1) return { times: [], values: [] };
 
-        return cycles.sort((a, b) => b.strength - a.strength);
+        const last = aligned.length - 1 - [...aligned].reverse().findIndex(value => value !== null);
+
+        return {
+            times: [...grid.keys()].slice(first, last + 1),
+            values: aligned.slice(first, last + 1)
+        };
     }
 
     /**
-     * Calculate cycle strength
+     * Bucket averages on a bucket grid, null where there are no samples
      */
-    calculateCycleStrength(values, period) {
-        const segments = [];
-        for (let i = 0; i < values.length - period; i += period) {
-            segments.push(values.slice(i, i + period));
-        }
+    alignSeries(series, grid) {
+        const values = new Array(grid.size).fill(null);
+        series.forEach(bucket => {
+            if (grid.has(bucket.time_bucket)) values[grid.get(bucket.time_bucket)] = bucket.average;
+        });
 
-        if (segments.length < 2) return 0;
+        return values;
+    }
 
+    /**
+     * Find metrics that correlate with a metric, including leading ones
+     *
+     * All series are read in one query and aligned on shared `interval`
+     * buckets (default '1h'). Each candidate is cross-correlated with the
+     * target over lags up to `maxLag` buckets either way (a number, or a
+     * duration like '30m'; default 6 buckets) and reported at its strongest
+     * lag. A positive `lag` means the candidate moves first, e.g.
+     * "system/memory leads api/latency by 15m". Only correlations of at
+     * least `minCorrelation` (0.5) in magnitude are returned.
+     */
+    async findCorrelations(type, name, timeRange, options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const interval = options.interval || '1h';
+        const seconds = this.store.parseInterval(interval);
+        const maxLag = typeof options.maxLag === 'string'
+            ? Math.floor(this.store.parseInterval(options.maxLag) / seconds)
+            : options.maxLag ?? 6;
+        const minCorrelation = options.minCorrelation ?? 0.5;
+
+        const metrics = await this.store.getTimeSeriesByMetric(interval, range, this.scope);
+        const target = metrics.find(metric => metric.metric_type === type && metric.metric_name === name);
+        if (!target) return [];
+
+        // Shared bucket grid over the range, null where a metric has no samples
+        const grid = this.getBucketGrid(interval, range);
+        const targetValues = this.alignSeries(target.series, grid);
         const correlations = [];
-        for (let i = 1; i < segments.length; i++) {
-            correlations.push(
-                stats.sampleCorrelation(segments[i - 1], segments[i])
-            );
+
+        for (const metric of metrics) {
+            if (metric === target) continue;
+
+            const best = crossCorrelation.bestLag(targetValues, this.alignSeries(metric.series, grid), {
+                maxLag,
+                minOverlap: options.minOverlap
+            });
+            if (!best || Math.abs(best.correlation) < minCorrelation) continue;
+
+            correlations.push({
+                metric_type: metric.metric_type,
+                metric_name: metric.metric_name,
+                correlation: best.correlation,
+                lag: best.lag,
+                lagSeconds: best.lag * seconds,
+                overlap: best.overlap,
+                description: this.describeLag(metric, target, best.lag * seconds)
+            });
         }
 
-        return stats.mean(correlations);
+        return correlations.sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
     }
 
     /**
-     * Find correlations with other metrics
+     * Describe how one metric moves relative to another
      */
-    async findCorrelations(type, name, timeRange) {
-        const targetData = await this.store.getTimeSeries(type, name, '1h', timeRange);
-        const targetValues = targetData.map(d => d.average);
+    describeLag(metric, target, lagSeconds) {
+        const subject = `${metric.metric_type}/${metric.metric_name}`;
+        const other = `${target.metric_type}/${target.metric_name}`;
+        if (lagSeconds === 0) return `${subject} moves with ${other}`;
 
-        const allMetrics = await this.store.all(`
-            SELECT DISTINCT metric_type, metric_name
-            FROM metrics
-            WHERE timestamp >= datetime('now', ?)
-        `, [this.store.getTimeConstraint(timeRange)]);
+        const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+        const [unit, size] = units.find(([, size]) => Math.abs(lagSeconds) % size === 0);
+        const duration = `${Math.abs(lagSeconds) / size}${unit}`;
 
-        const correlations = [];
+        return `${subject} ${lagSeconds > 0 ? 'leads' : 'lags'} ${other} by ${duration}`;
+    }
 
-        for (const metric of allMetrics) {
-            if (metric.metric_type === type && metric.metric_name === name) continue;
+    /**
+     * Analyze service level objectives over execution_times
+     *
+     * SLOs default to config/slos.js. For each returns the SLI (share of
+     * good runs) over its window, whether it meets the objective, the error
+     * budget (`consumed` and `remaining` as fractions, negative when
+     * overspent) and the burn rate over each alert rule's long and short
+     * window. A burn rate of 1 spends exactly the budget over the window.
+     * Options: timestamp (evaluation time), burnRateAlerts.
+     */
+    async analyzeSlos(slos = sloConfig.objectives, options = {}) {
+        const now = options.timestamp ? new Date(options.timestamp) : new Date();
+        const rules = options.burnRateAlerts || sloConfig.burnRateAlerts;
+        const results = [];
+
+        for (const slo of slos) {
+            this.validateSlo(slo);
+
+            const counts = await this.countSloRuns(slo, slo.window, now);
+            const allowed = 1 - slo.objective;
+            const sli = counts.total ? counts.good / counts.total : null;
+            const consumed = counts.total ? (counts.total - counts.good) / counts.total / allowed : 0;
+
+            const burnRates = [];
+            for (const rule of rules) {
+                const long = this.calculateBurnRate(await this.countSloRuns(slo, rule.longWindow, now), allowed);
+                const short = this.calculateBurnRate(await this.countSloRuns(slo, rule.shortWindow, now), allowed);
+
+                burnRates.push({
+                    ...rule,
+                    long,
+                    short,
+                    firing: long >= rule.burnRate && short >= rule.burnRate
+                });
+            }
 
-            const data = await this.store.getTimeSeries(
-                metric.metric_type,
-                metric.metric_name,
-                '1h',
-                timeRange
-            );
+            results.push({
+                ...slo,
+                range: this.getSloRange(slo.window, now),
+                total: counts.total,
+                good: counts.good,
+                sli,
+                compliant: sli === null || sli >= slo.objective,
+                errorBudget: {
+                    allowed: allowed * counts.total,
+                    consumed,
+                    remaining: 1 - consumed
+                },
+                burnRates
+            });
+        }
+
+        return results;
+    }
 
-            const values = data.map(d => d.average);
-            if (values.length === targetValues.length) {
-                const correlation = stats.sampleCorrelation(targetValues, values);
-                correlations.push({
-                    metric_type: metric.metric_type,
-                    metric_name: metric.metric_name,
-                    correlation: correlation
+    /**
+     * Analyze SLOs and raise or resolve their burn-rate alerts
+     *
+     * Each SLO and burn-rate rule is one alert (type 'slo', the SLO name,
+     * `severity` and `window` labels) managed by store.alerts, so it stays
+     * open while the rule fires and resolves once it stops. Burn rates carry
+     * the resulting `alert` (null when nothing was open).
+     */
+    async checkSloAlerts(slos = sloConfig.objectives, options = {}) {
+        const timestamp = options.timestamp ? new Date(options.timestamp) : new Date();
+        const results = await this.analyzeSlos(slos, { ...options, timestamp });
+
+        for (const result of results) {
+            for (const burnRate of result.burnRates) {
+                burnRate.alert = await this.store.alerts.evaluate({
+                    type: 'slo',
+                    name: result.name,
+                    labels: { severity: burnRate.severity, window: `${burnRate.longWindow}/${burnRate.shortWindow}` },
+                    value: burnRate.long,
+                    threshold: burnRate.burnRate,
+                    breached: burnRate.firing,
+                    message: `${result.name} error budget burning ${burnRate.long.toFixed(1)}x over ${burnRate.longWindow} ` +
+                        `(${burnRate.short.toFixed(1)}x over ${burnRate.shortWindow})`,
+                    timestamp
                 });
             }
         }
 
-        return correlations
-            .filter(c => Math.abs(c.correlation) > 0.5)
-            .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+        return results;
+    }
+
+    /**
+     * Validate SLO definition
+     */
+    validateSlo(slo) {
+        if (!slo || !slo.name || !slo.operation) {
+            throw new Error('SLO requires a name and an operation');
+        }
+        if (!(slo.objective > 0 && slo.objective < 1)) {
+            throw new Error(`Invalid SLO objective for ${slo.name}: must be between 0 and 1`);
+        }
+        this.store.parseInterval(slo.window);
+    }
+
+    /**
+     * Window of `duration` (e.g. 28d, 1h) ending at `now`
+     */
+    getSloRange(duration, now) {
+        const seconds = this.store.parseInterval(duration);
+        return {
+            start: new Date(now.getTime() - seconds * 1000).toISOString(),
+            end: now.toISOString()
+        };
+    }
+
+    /**
+     * Count an SLO's runs and good runs over a window ending at `now`
+     */
+    async countSloRuns(slo, duration, now) {
+        return await this.store.countExecutionTimes(slo.operation, this.getSloRange(duration, now), {
+            ...this.scope,
+            threshold: slo.threshold ?? null
+        });
+    }
+
+    /**
+     * Error rate relative to the allowed error rate (0 without runs)
+     */
+    calculateBurnRate({ total, good }, allowed) {
+        return total ? (total - good) / total / allowed : 0;
     }
 
     /**
      * Generate performance report
+     *
+     * `runs` lists the runs in scope, or those started in the range when
+     * the analyzer is not scoped.
      */
     async generateReport(timeRange = '7d') {
-        const metrics = await this.store.all(`
-            SELECT DISTINCT metric_type, metric_name
-            FROM metrics
-            WHERE timestamp >= datetime('now', ?)
-        `, [this.store.getTimeConstraint(timeRange)]);
+        const range = this.store.resolveTimeRange(timeRange);
+        const metrics = await this.store.listMetrics(range, this.scope);
 
         const report = {
             timeRange,
+            range,
             timestamp: new Date().toISOString(),
+            runs: await this.store.runs.list(this.runs === null ? { timeRange: range } : { runs: this.runs }),
             metrics: []
         };
 
@@ -319,19 +677,34 @@ class MetricsAnalyzer {
             const analysis = await this.analyzeTrends(
                 metric.metric_type,
                 metric.metric_name,
-                timeRange
+                range
             );
 
             const stats = await this.store.getMetricStats(
                 metric.metric_type,
                 metric.metric_name,
-                timeRange
+                range,
+                this.scope
             );
 
             const patterns = await this.analyzePatterns(
                 metric.metric_type,
                 metric.metric_name,
-                timeRange
+                range
+            );
+
+            const distribution = await this.analyzeDistribution(
+                metric.metric_type,
+                metric.metric_name,
+                range
+            );
+
+            // Tail latency regressions show up in p95 before the average
+            const changes = await this.detectChangePoints(
+                metric.metric_type,
+                metric.metric_name,
+                range,
+                { statistic: 'p95' }
             );
 
             report.metrics.push({
@@ -339,12 +712,28 @@ class MetricsAnalyzer {
                 name: metric.metric_name,
                 stats,
                 analysis,
-                patterns
+                patterns,
+                distribution,
+                changes
             });
         }
 
         return report;
     }
+
+    /**
+     * Compare two reports, or the reports of two time ranges
+     *
+     * `before` and `after` are reports from generateReport() or time ranges
+     * to generate them for. Returns the report-diff.js diff: trend flips,
+     * new anomalies and percentile shifts with significance
+     * (options: alpha).
+     */
+    async compareReports(before, after, options = {}) {
+        const toReport = async report => (Array.isArray(report?.metrics) ? report : await this.generateReport(report));
+
+        return reportDiff.diffReports(await toReport(before), await toReport(after), options);
+    }
 }
 
 module.exports = MetricsAnalyzer;
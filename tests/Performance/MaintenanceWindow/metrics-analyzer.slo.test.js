@@ -0,0 +1,77 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+
+describe('MetricsAnalyzer SLOs', () => {
+    let store;
+    let analyzer;
+
+    const now = Date.UTC(2024, 2, 29);
+    const timestamp = minutesAgo => new Date(now - minutesAgo * 60000).toISOString().slice(0, 19).replace('T', ' ');
+    const slo = { name: 'extend-latency', operation: 'extend', objective: 0.99, threshold: 500, window: '28d' };
+    const rules = [
+        { severity: 'page', longWindow: '1h', shortWindow: '5m', burnRate: 14.4 },
+        { severity: 'ticket', longWindow: '3d', shortWindow: '6h', burnRate: 1 }
+    ];
+
+    beforeEach(async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+        analyzer = new MetricsAnalyzer(store);
+
+        // 1000 runs spread over 28 days: 3 failures and 2 slow runs
+        const rows = Array.from({ length: 1000 }, (_, i) => ({
+            timestamp: timestamp(120 + i * 40),
+            operation: 'extend',
+            duration: i === 10 || i === 20 ? 900 : 120,
+            success: ![30, 40, 50].includes(i)
+        }));
+        // A burst of failures over the last hour, most of them in the last 5 minutes
+        for (let i = 0; i < 100; i++) {
+            rows.push({ timestamp: timestamp((i + 1) * 0.5), operation: 'extend', duration: 100, success: i >= 20 });
+        }
+        rows.push({ timestamp: timestamp(30), operation: 'transform', duration: 5000, success: false });
+        await store.adapter.importRows('execution_times', rows, 'append');
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('computes compliance, error budget and burn rates', async () => {
+        const [result] = await analyzer.analyzeSlos([slo], { timestamp: now, burnRateAlerts: rules });
+
+        expect(result).toMatchObject({ name: 'extend-latency', total: 1100, good: 1075, compliant: false });
+        expect(result.sli).toBeCloseTo(1075 / 1100, 10);
+        expect(result.errorBudget.consumed).toBeCloseTo(25 / 1100 / 0.01, 10);
+        // The burst overspent the budget
+        expect(result.errorBudget.remaining).toBeCloseTo(1 - 25 / 1100 / 0.01, 10);
+        expect(result.errorBudget.remaining).toBeLessThan(0);
+
+        const [page, ticket] = result.burnRates;
+        expect(page).toMatchObject({ severity: 'page', firing: true });
+        expect(page.long).toBeCloseTo(20 / 100 / 0.01, 10);
+        expect(page.short).toBeCloseTo(10 / 10 / 0.01, 10);
+        expect(ticket.firing).toBe(true);
+    });
+
+    test('raises burn-rate alerts and resolves them when the burn stops', async () => {
+        const [result] = await analyzer.checkSloAlerts([slo], { timestamp: now, burnRateAlerts: rules });
+
+        expect(result.burnRates[0].alert).toMatchObject({
+            metric_type: 'slo',
+            metric_name: 'extend-latency',
+            labels: { severity: 'page', window: '1h/5m' },
+            state: 'firing'
+        });
+        expect((await store.alerts.getOpenAlerts({ type: 'slo', timestamp: now })).length).toBe(2);
+
+        const [later] = await analyzer.checkSloAlerts([slo], { timestamp: now + 2 * 3600000, burnRateAlerts: rules });
+        expect(later.burnRates[0].alert.state).toBe('resolved');
+        expect(later.burnRates[1].alert.state).toBe('firing');
+    });
+
+    test('rejects invalid objectives', async () => {
+        await expect(analyzer.analyzeSlos([{ ...slo, objective: 99 }])).rejects.toThrow('Invalid SLO objective');
+    });
+});
@@ -1,80 +1,136 @@
 const fs = require('fs');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
+const readline = require('readline');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const AlertManager = require('./alert-manager');
+const DDSketch = require('./dd-sketch');
+const RunRegistry = require('./run-registry');
+const Span = require('./span');
+const { createAdapter, StorageAdapter, WriteBuffer } = require('./storage');
+const { parseTagMatchers, parseGroupBy } = require('./tag-matchers');
+const { resolveTimeRange } = require('./time-range');
+
+const { ROLLUPS, formatTimestamp } = StorageAdapter;
+
+const PERCENTILES = {
+    percentile_50: 0.5,
+    percentile_90: 0.9,
+    percentile_95: 0.95,
+    percentile_99: 0.99,
+    percentile_999: 0.999
+};
+
+// Retention in days for raw samples and each rollup tier
+const DEFAULT_RETENTION = {
+    raw: 30,
+    '1m': 7,
+    '1h': 90,
+    '1d': 730
+};
+
+// Export file key for each table
+const EXPORT_KEYS = {
+    metrics: 'metrics',
+    execution_times: 'executionTimes',
+    alerts: 'alerts',
+    alert_events: 'alertEvents',
+    alert_silences: 'alertSilences',
+    runs: 'runs'
+};
+
+// Timestamp columns besides `timestamp`, normalized on import
+const TIMESTAMP_COLUMNS = {
+    alerts: ['last_seen', 'resolved_at', 'acknowledged_at'],
+    alert_silences: ['starts_at', 'ends_at'],
+    runs: ['ended_at']
+};
+
+// What importFromJson does with rows whose id already exists
+const MERGE_MODES = ['skip', 'overwrite', 'append'];
+
+// Rows per export page and import batch
+const EXPORT_PAGE_SIZE = 1000;
 
 /**
  * Performance metrics storage
+ *
+ * Storage is delegated to an adapter (see storage/): SQLite by default,
+ * or `{ backend: 'memory' }` / `{ backend: 'ndjson' }`. A ready adapter
+ * instance can be passed as `options.adapter`.
+ *
+ * Writes are buffered and inserted in batches (see storage/write-buffer.js);
+ * tune with `options.buffer` ({ batchSize, flushInterval, maxPending }) or
+ * pass `buffer: false` to insert every row immediately. Reads flush the
+ * buffer first, and close() flushes before closing.
+ *
+ * Every `timeRange` is either relative ('24h', '7d', ...) or absolute
+ * `{ start, end }` ISO timestamps (see time-range.js). Pass the result of
+ * resolveTimeRange() to pin a relative range for reproducible queries.
+ *
+ * SQLite databases are migrated to the current schema on open; pass
+ * `migrate: false` to leave that to migrate() (`cli.js store migrate`).
+ *
+ * Alerts have a lifecycle managed by `store.alerts` (see alert-manager.js);
+ * `options.alerts` is passed to it, e.g. { pendingFor: 60 }.
+ *
+ * Metrics and execution times carry the id of the benchmark run that
+ * wrote them (see run-registry.js, `store.runs`); `options.run` is passed
+ * to the registry, e.g. { runId } to write into an existing run. Reads
+ * take a `runs` option (run id or ids) to scope them to runs.
  */
 class MetricsStore {
-    constructor(dbPath = 'metrics.db') {
+    constructor(dbPath = 'metrics.db', options = {}) {
         this.dbPath = dbPath;
-        this.db = null;
+        this.backend = options.backend || 'sqlite';
+        this.sketchAccuracy = options.sketchAccuracy || 0.01;
+        this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+        this.adapter = options.adapter || createAdapter(this.backend, dbPath, {
+            sketchAccuracy: this.sketchAccuracy,
+            migrate: options.migrate
+        });
+        this.buffer = options.buffer === false
+            ? null
+            : new WriteBuffer(entries => this.adapter.insertBatch(entries), options.buffer);
+        this.alerts = new AlertManager(this, options.alerts);
+        this.runs = new RunRegistry(this, options.run);
         this.initialized = false;
+        this.initializing = null;
     }
 
     /**
-     * Initialize database
+     * Initialize storage
      */
     async initialize() {
         if (this.initialized) return;
 
-        return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database(this.dbPath, async (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-
-                try {
-                    await this.createTables();
+        if (!this.initializing) {
+            this.initializing = this.adapter.open()
+                .then(() => {
                     this.initialized = true;
-                    resolve();
-                } catch (error) {
-                    reject(error);
-                }
-            });
-        });
+                })
+                .finally(() => {
+                    this.initializing = null;
+                });
+        }
+
+        return this.initializing;
     }
 
     /**
-     * Create database tables
-     */
-    async createTables() {
-        const queries = [
-            `CREATE TABLE IF NOT EXISTS metrics (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                metric_type TEXT NOT NULL,
-                metric_name TEXT NOT NULL,
-                value REAL NOT NULL,
-                tags TEXT
-            )`,
-            `CREATE TABLE IF NOT EXISTS execution_times (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                operation TEXT NOT NULL,
-                duration REAL NOT NULL,
-                success BOOLEAN DEFAULT 1,
-                error_message TEXT
-            )`,
-            `CREATE TABLE IF NOT EXISTS alerts (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                metric_type TEXT NOT NULL,
-                metric_name TEXT NOT NULL,
-                threshold REAL NOT NULL,
-                actual_value REAL NOT NULL,
-                message TEXT
-            )`,
-            `CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics(timestamp)`,
-            `CREATE INDEX IF NOT EXISTS idx_metrics_type_name ON metrics(metric_type, metric_name)`,
-            `CREATE INDEX IF NOT EXISTS idx_execution_times_timestamp ON execution_times(timestamp)`,
-            `CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp)`
-        ];
+     * Get applied schema version
+     */
+    async getSchemaVersion() {
+        await this.initialize();
+        return await this.adapter.getSchemaVersion();
+    }
 
-        for (const query of queries) {
-            await this.run(query);
-        }
+    /**
+     * Apply pending schema migrations ({ dryRun })
+     */
+    async migrate(options = {}) {
+        await this.flush();
+        return await this.adapter.migrate(options);
     }
 
     /**
@@ -82,313 +138,811 @@ class MetricsStore {
      */
     async storeMetric(type, name, value, tags = {}) {
         await this.initialize();
-        const query = `
-            INSERT INTO metrics (metric_type, metric_name, value, tags)
-            VALUES (?, ?, ?, ?)
-        `;
-        await this.run(query, [type, name, value, JSON.stringify(tags)]);
+        await this.write('metrics', {
+            timestamp: formatTimestamp(new Date()),
+            metric_type: type,
+            metric_name: name,
+            value,
+            tags,
+            run_id: await this.runs.ensure()
+        });
     }
 
     /**
      * Store execution time
+     *
+     * `span` ({ traceId, spanId, parentSpanId, attributes, startTime }) links
+     * the row into a trace; see startSpan()/trace().
      */
-    async storeExecutionTime(operation, duration, success = true, errorMessage = null) {
+    async storeExecutionTime(operation, duration, success = true, errorMessage = null, span = null) {
         await this.initialize();
-        const query = `
-            INSERT INTO execution_times (operation, duration, success, error_message)
-            VALUES (?, ?, ?, ?)
-        `;
-        await this.run(query, [operation, duration, success ? 1 : 0, errorMessage]);
+        await this.write('execution_times', {
+            timestamp: formatTimestamp(new Date()),
+            operation,
+            duration,
+            success,
+            error_message: errorMessage,
+            trace_id: span ? span.traceId : null,
+            span_id: span ? span.spanId : null,
+            parent_span_id: span ? span.parentSpanId : null,
+            attributes: span ? span.attributes : {},
+            start_time: span ? span.startTime : null,
+            run_id: await this.runs.ensure()
+        });
     }
 
     /**
-     * Store alert
+     * Start span ({ traceId, parentSpanId, attributes }); a new trace unless traceId is given
      */
-    async storeAlert(type, name, threshold, value, message = null) {
-        await this.initialize();
-        const query = `
-            INSERT INTO alerts (metric_type, metric_name, threshold, actual_value, message)
-            VALUES (?, ?, ?, ?, ?)
-        `;
-        await this.run(query, [type, name, threshold, value, message]);
+    startSpan(operation, options = {}) {
+        return new Span(this, operation, options);
     }
 
     /**
-     * Get metrics by type
+     * Run callback in a new span, storing its duration and outcome
      */
-    async getMetrics(type, name = null, timeRange = '24h') {
-        await this.initialize();
-        const timeConstraint = this.getTimeConstraint(timeRange);
-        const params = [type];
-        let query = `
-            SELECT * FROM metrics
-            WHERE metric_type = ?
-            AND timestamp >= datetime('now', ?)
-        `;
-
-        if (name) {
-            query += ' AND metric_name = ?';
-            params.push(name);
-        }
+    async trace(operation, callback, options = {}) {
+        return await Span.run(this.startSpan(operation, options), callback);
+    }
 
-        query += ' ORDER BY timestamp ASC';
-        params.unshift(timeConstraint);
+    /**
+     * Record threshold breach
+     *
+     * Repeated breaches update the open alert for the same type, name and
+     * labels instead of adding rows; returns the alert.
+     */
+    async storeAlert(type, name, threshold, value, message = null, labels = {}) {
+        return await this.alerts.evaluate({ type, name, threshold, value, message, labels, breached: true });
+    }
 
-        return await this.all(query, params);
+    /**
+     * Queue row for insertion, or insert it directly when unbuffered
+     */
+    async write(table, row) {
+        if (this.buffer) {
+            await this.buffer.push(table, row);
+        } else {
+            await this.adapter[StorageAdapter.INSERTS[table]](row);
+        }
     }
 
     /**
-     * Get execution times
+     * Write buffered rows
      */
-    async getExecutionTimes(operation = null, timeRange = '24h') {
+    async flush() {
         await this.initialize();
-        const timeConstraint = this.getTimeConstraint(timeRange);
-        const params = [];
-        let query = `
-            SELECT * FROM execution_times
-            WHERE timestamp >= datetime('now', ?)
-        `;
-
-        if (operation) {
-            query += ' AND operation = ?';
-            params.push(operation);
+        if (this.buffer) await this.buffer.flush();
+    }
+
+    /**
+     * Get metrics by type (null for all types)
+     *
+     * Options:
+     * - tags: tag matchers, e.g. ['env=prod', 'operation=~extend.*']
+     * - groupBy: tag keys; returns [{ labels, rows }] instead of rows
+     * - runs: run id or ids; only samples written by those runs
+     */
+    async getMetrics(type, name = null, timeRange = '24h', options = {}) {
+        await this.flush();
+        const rows = await this.adapter.findMetrics({
+            type,
+            name,
+            ...this.getWindow(timeRange),
+            matchers: parseTagMatchers(options.tags),
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
+
+        const groupBy = parseGroupBy(options.groupBy);
+        if (!groupBy.length) return rows;
+
+        const grouped = new Map();
+        for (const row of rows) {
+            const tags = JSON.parse(row.tags || '{}');
+            const labels = {};
+            groupBy.forEach(key => {
+                labels[key] = tags[key] === undefined ? null : String(tags[key]);
+            });
+
+            const key = JSON.stringify(labels);
+            if (!grouped.has(key)) grouped.set(key, { labels, rows: [] });
+            grouped.get(key).rows.push(row);
         }
 
-        query += ' ORDER BY timestamp ASC';
-        params.unshift(timeConstraint);
+        return Array.from(grouped.values());
+    }
 
-        return await this.all(query, params);
+    /**
+     * Get execution times (options: runs)
+     */
+    async getExecutionTimes(operation = null, timeRange = '24h', options = {}) {
+        await this.flush();
+        return await this.adapter.findExecutionTimes({
+            operation,
+            ...this.getWindow(timeRange),
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
+    }
+
+    /**
+     * Count execution times of an operation and the good ones
+     *
+     * Good runs succeeded and took at most `options.threshold` ms when it is
+     * set; returns { total, good } (options: threshold, runs).
+     */
+    async countExecutionTimes(operation, timeRange = '24h', options = {}) {
+        await this.flush();
+        return await this.adapter.countExecutionTimes({
+            operation,
+            ...this.getWindow(timeRange),
+            threshold: options.threshold ?? null,
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
+    }
+
+    /**
+     * Get trace as span tree
+     *
+     * Returns { traceId, spans } where spans are the root spans with nested
+     * `children` and each span's `self_time`, or null for unknown traces.
+     */
+    async getTrace(traceId) {
+        await this.flush();
+        const rows = await this.adapter.findExecutionTimes({ traceId });
+        if (!rows.length) return null;
+
+        return { traceId, spans: Span.buildTree(rows) };
+    }
+
+    /**
+     * Aggregate span self-time by operation
+     *
+     * Self-time is the part of a span's duration not spent in child spans;
+     * rows without spans count whole. Options: operation, runs. Returns
+     * { range, operations } with operations sorted by total self-time.
+     */
+    async getSelfTimeByOperation(timeRange = '24h', options = {}) {
+        await this.flush();
+        const range = this.resolveTimeRange(timeRange);
+        const rows = await this.adapter.findExecutionTimes({
+            ...this.getWindow(range),
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
+        const totals = new Map();
+
+        const visit = (span) => {
+            span.children.forEach(visit);
+            if (options.operation && span.operation !== options.operation) return;
+
+            if (!totals.has(span.operation)) {
+                totals.set(span.operation, { operation: span.operation, count: 0, total_time: 0, self_time: 0 });
+            }
+
+            const entry = totals.get(span.operation);
+            entry.count++;
+            entry.total_time += span.duration;
+            entry.self_time += span.self_time;
+        };
+
+        Span.buildTree(rows).forEach(visit);
+
+        return {
+            range,
+            operations: Array.from(totals.values())
+                .map(entry => ({ ...entry, average_self_time: entry.self_time / entry.count }))
+                .sort((a, b) => b.self_time - a.self_time)
+        };
     }
 
     /**
      * Get alerts
      */
     async getAlerts(type = null, timeRange = '24h') {
-        await this.initialize();
-        const timeConstraint = this.getTimeConstraint(timeRange);
-        const params = [];
-        let query = `
-            SELECT * FROM alerts
-            WHERE timestamp >= datetime('now', ?)
-        `;
-
-        if (type) {
-            query += ' AND metric_type = ?';
-            params.push(type);
+        await this.flush();
+        return await this.adapter.findAlerts({
+            type,
+            ...this.getWindow(timeRange)
+        });
+    }
+
+    /**
+     * List metrics with samples in time range (options: runs)
+     */
+    async listMetrics(timeRange = '24h', options = {}) {
+        await this.flush();
+        return await this.adapter.listMetrics({
+            ...this.getWindow(timeRange),
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
+    }
+
+    /**
+     * Get metric statistics
+     *
+     * Accepts the same `tags`/`groupBy`/`runs` options as getMetrics. With
+     * groupBy an array of stats with `labels` is returned.
+     */
+    async getMetricStats(type, name, timeRange = '24h', options = {}) {
+        await this.flush();
+        const range = this.resolveTimeRange(timeRange);
+
+        if (options.tags || options.groupBy || options.runs) {
+            return await this.getTaggedMetricStats(type, name, range, options);
         }
 
-        query += ' ORDER BY timestamp DESC';
-        params.unshift(timeConstraint);
+        const stats = await this.adapter.aggregateMetrics({
+            type,
+            name,
+            ...this.getWindow(range)
+        });
+        const sketch = await this.getSketch(type, name, range);
 
-        return await this.all(query, params);
+        Object.entries(PERCENTILES).forEach(([key, q]) => {
+            stats[key] = sketch.quantile(q);
+        });
+
+        return { ...stats, range };
     }
 
     /**
-     * Get metric statistics
+     * Get metric statistics for tag-filtered, run-scoped or grouped samples in a resolved range
+     *
+     * Rollups are not split by tag or run, so sketches are built from raw samples.
      */
-    async getMetricStats(type, name, timeRange = '24h') {
-        await this.initialize();
-        const timeConstraint = this.getTimeConstraint(timeRange);
-        const query = `
-            SELECT
-                COUNT(*) as count,
-                AVG(value) as average,
-                MIN(value) as minimum,
-                MAX(value) as maximum,
-                (
-                    SELECT value
-                    FROM metrics
-                    WHERE metric_type = ?
-                    AND metric_name = ?
-                    AND timestamp >= datetime('now', ?)
-                    ORDER BY value
-                    LIMIT 1
-                    OFFSET (
-                        SELECT COUNT(*)
-                        FROM metrics
-                        WHERE metric_type = ?
-                        AND metric_name = ?
-                        AND timestamp >= datetime('now', ?)
-                    ) * 95 / 100
-                ) as percentile_95
-            FROM metrics
-            WHERE metric_type = ?
-            AND metric_name = ?
-            AND timestamp >= datetime('now', ?)
-        `;
-
-        const params = [
-            type, name, timeConstraint,
-            type, name, timeConstraint,
-            type, name, timeConstraint
+    async getTaggedMetricStats(type, name, timeRange, options) {
+        const groupBy = parseGroupBy(options.groupBy);
+        const groups = await this.getMetrics(type, name, timeRange, {
+            tags: options.tags,
+            groupBy: groupBy.length ? groupBy : null,
+            runs: options.runs
+        });
+
+        const summarize = rows => {
+            const sketch = DDSketch.fromValues(rows.map(row => row.value), this.sketchAccuracy);
+            const stats = {
+                count: sketch.count,
+                average: sketch.count ? sketch.sum / sketch.count : null,
+                minimum: sketch.count ? sketch.min : null,
+                maximum: sketch.count ? sketch.max : null
+            };
+
+            Object.entries(PERCENTILES).forEach(([key, q]) => {
+                stats[key] = sketch.quantile(q);
+            });
+
+            return stats;
+        };
+
+        if (!groupBy.length) return { ...summarize(groups), range: timeRange };
+
+        return groups.map(group => ({
+            labels: group.labels,
+            ...summarize(group.rows),
+            range: timeRange
+        }));
+    }
+
+    /**
+     * Get percentiles for metric (quantiles between 0 and 1; options: runs)
+     */
+    async getPercentiles(type, name, quantiles = [0.5, 0.9, 0.99, 0.999], timeRange = '24h', options = {}) {
+        const sketch = await this.getSketch(type, name, timeRange, options);
+
+        return quantiles.reduce((result, q) => {
+            result[q] = sketch.quantile(q);
+            return result;
+        }, {});
+    }
+
+    /**
+     * Get merged sketch for metric over time range
+     *
+     * Whole buckets of the finest rollup tier still retained for the range
+     * start are merged from rollups; the partial buckets at either edge are
+     * read from raw samples, so the sketch covers exactly the same samples
+     * as the range's count/min/max. Rollups are not split by run, so with
+     * `options.runs` the sketch is built from raw samples only.
+     */
+    async getSketch(type, name, timeRange = '24h', options = {}) {
+        const fromRows = rows => DDSketch.fromValues(rows.map(row => row.value), this.sketchAccuracy);
+
+        if (options.runs) {
+            return fromRows(await this.getMetrics(type, name, timeRange, { runs: options.runs }));
+        }
+
+        await this.flush();
+        const { since, until } = this.getWindow(timeRange);
+        const start = StorageAdapter.toDate(since).getTime() / 1000;
+        const end = StorageAdapter.toDate(until).getTime() / 1000;
+
+        const ageDays = (Date.now() / 1000 - start) / ROLLUPS['1d'];
+        const resolution = Object.keys(ROLLUPS).find(tier => this.retention[tier] >= ageDays);
+        const seconds = resolution ? ROLLUPS[resolution] : null;
+        const first = seconds && Math.ceil(start / seconds) * seconds;
+        const last = seconds && Math.floor(end / seconds) * seconds;
+
+        // No whole rollup bucket inside the range
+        if (!seconds || first >= last) {
+            return fromRows(await this.adapter.findMetrics({ type, name, since, until }));
+        }
+
+        const bucketsSince = formatTimestamp(new Date(first * 1000));
+        const bucketsUntil = formatTimestamp(new Date(last * 1000));
+        const sketches = await this.adapter.findSketches({ type, name, since: bucketsSince, until: bucketsUntil, resolution });
+        const edges = [
+            ...await this.adapter.findMetrics({ type, name, since, until: bucketsSince }),
+            ...await this.adapter.findMetrics({ type, name, since: bucketsUntil, until })
         ];
 
-        return await this.get(query, params);
+        return sketches.reduce(
+            (merged, sketch) => merged.merge(sketch),
+            fromRows(edges)
+        );
+    }
+
+    /**
+     * Rebuild rollups from raw metrics (for data stored before rollups)
+     */
+    async rebuildRollups() {
+        await this.flush();
+        await this.adapter.rebuildRollups();
+    }
+
+    /**
+     * Rebuild tag index from stored tags (for data stored before the index)
+     */
+    async rebuildTagIndex() {
+        await this.flush();
+        await this.adapter.rebuildTagIndex();
     }
 
     /**
      * Get time series data
+     *
+     * Buckets are `interval` wide (e.g. 5m, 1h, 1d) and aligned to the epoch.
+     * Intervals that are a multiple of a rollup resolution read the coarsest
+     * matching rollup instead of raw samples. Rollups are not split by tag
+     * or run, so `tags`/`groupBy`/`runs` options always read raw samples;
+     * grouped rows carry a `labels` object.
      */
-    async getTimeSeries(type, name, interval = '1h', timeRange = '24h') {
-        await this.initialize();
-        const timeConstraint = this.getTimeConstraint(timeRange);
-        const query = `
-            SELECT
-                strftime('%Y-%m-%d %H:%M', timestamp, 'localtime') as time_bucket,
-                AVG(value) as average,
-                MIN(value) as minimum,
-                MAX(value) as maximum,
-                COUNT(*) as count
-            FROM metrics
-            WHERE metric_type = ?
-            AND metric_name = ?
-            AND timestamp >= datetime('now', ?)
-            GROUP BY time_bucket
-            ORDER BY time_bucket ASC
-        `;
+    async getTimeSeries(type, name, interval = '1h', timeRange = '24h', options = {}) {
+        await this.flush();
+        const rows = await this.adapter.aggregateTimeSeries({
+            type,
+            name,
+            ...this.getSeriesWindow(interval, timeRange),
+            matchers: parseTagMatchers(options.tags),
+            groupBy: parseGroupBy(options.groupBy),
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
 
-        return await this.all(query, [type, name, timeConstraint]);
+        return rows.map(row => this.toSeriesBucket(row));
     }
 
     /**
-     * Export data to JSON
+     * Get time series of every metric with samples in time range
+     *
+     * One query instead of one getTimeSeries() call per metric; returns
+     * [{ metric_type, metric_name, series }] with getTimeSeries() buckets
+     * (options: runs).
      */
-    async exportToJson(outputPath) {
-        await this.initialize();
-        const data = {
-            metrics: await this.all('SELECT * FROM metrics ORDER BY timestamp ASC'),
-            executionTimes: await this.all('SELECT * FROM execution_times ORDER BY timestamp ASC'),
-            alerts: await this.all('SELECT * FROM alerts ORDER BY timestamp ASC')
+    async getTimeSeriesByMetric(interval = '1h', timeRange = '24h', options = {}) {
+        await this.flush();
+        const rows = await this.adapter.aggregateMetricSeries({
+            ...this.getSeriesWindow(interval, timeRange),
+            runIds: RunRegistry.toRunIds(options.runs)
+        });
+
+        const metrics = new Map();
+        rows.forEach(row => {
+            const key = JSON.stringify([row.metric_type, row.metric_name]);
+            if (!metrics.has(key)) {
+                metrics.set(key, { metric_type: row.metric_type, metric_name: row.metric_name, series: [] });
+            }
+            metrics.get(key).series.push(this.toSeriesBucket(row));
+        });
+
+        return Array.from(metrics.values());
+    }
+
+    /**
+     * Bucket-aligned query window and the coarsest rollup tier that serves it
+     */
+    getSeriesWindow(interval, timeRange) {
+        const seconds = this.parseInterval(interval);
+        const { since, until } = this.getWindow(timeRange);
+        const start = StorageAdapter.toDate(since);
+        const rangeDays = (Date.now() - start.getTime()) / 1000 / ROLLUPS['1d'];
+        const resolution = Object.keys(ROLLUPS).reverse().find(tier =>
+            seconds % ROLLUPS[tier] === 0 && this.retention[tier] >= rangeDays
+        );
+
+        return {
+            since: formatTimestamp(this.alignDate(start, seconds)),
+            until,
+            seconds,
+            resolution: resolution || null
         };
+    }
 
-        fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
+    /**
+     * Format aggregated adapter row as a time series bucket
+     */
+    toSeriesBucket(row) {
+        return {
+            time_bucket: this.formatBucket(row.bucket),
+            average: row.average,
+            minimum: row.minimum,
+            maximum: row.maximum,
+            count: row.count,
+            ...(row.labels ? { labels: row.labels } : {})
+        };
     }
 
     /**
-     * Import data from JSON
+     * Export data to JSON or NDJSON
+     *
+     * Rows keep their ids and timestamps. Options:
+     * - format: 'json' or 'ndjson' (default: from the file extension)
+     * - timeRange: only rows in this range
+     * - type/name: only these metrics and their alerts
+     * - operation: only these execution times
+     * - run: only this run and its metrics and execution times
+     * - tables: subset of metrics, execution_times, alerts, alert_events,
+     *   alert_silences, runs
+     *
+     * Rows are written page by page, so large stores stream. NDJSON files
+     * use the ndjson backend's `{ table, row }` lines and can be opened
+     * with it. Returns exported row counts per table.
      */
-    async importFromJson(inputPath) {
-        const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
-        await this.initialize();
+    async exportToJson(outputPath, options = {}) {
+        await this.flush();
+        const format = this.getFileFormat(outputPath, options.format);
+        const tables = options.tables || Object.keys(EXPORT_KEYS);
+        const range = options.timeRange ? this.resolveTimeRange(options.timeRange) : null;
+        const filter = {
+            ...(range ? this.getWindow(range) : {}),
+            type: options.type || null,
+            name: options.name || null,
+            operation: options.operation || null,
+            run: options.run || null
+        };
+
+        tables.forEach(table => {
+            if (!EXPORT_KEYS[table]) throw new Error(`Unknown table: ${table}`);
+        });
 
-        await this.run('BEGIN TRANSACTION');
+        const output = fs.createWriteStream(outputPath);
+        const closed = finished(output);
+        const write = async (chunk) => {
+            if (!output.write(chunk)) await Promise.race([once(output, 'drain'), closed]);
+        };
+        const counts = {};
 
         try {
-            for (const metric of data.metrics) {
-                await this.storeMetric(
-                    metric.metric_type,
-                    metric.metric_name,
-                    metric.value,
-                    JSON.parse(metric.tags || '{}')
-                );
+            if (format === 'json') {
+                await write(`{\n  "version": 1,\n  "exportedAt": "${new Date().toISOString()}",\n`);
+                await write(`  "range": ${JSON.stringify(range)}`);
             }
 
-            for (const execution of data.executionTimes) {
-                await this.storeExecutionTime(
-                    execution.operation,
-                    execution.duration,
-                    execution.success,
-                    execution.error_message
-                );
-            }
+            for (const table of tables) {
+                counts[table] = 0;
+                if (format === 'json') await write(`,\n  "${EXPORT_KEYS[table]}": [`);
+
+                for await (const row of this.iterateRows(table, filter)) {
+                    const exported = this.toExportRow(table, row);
+
+                    if (format === 'json') {
+                        await write(`${counts[table] ? ',' : ''}\n    ${JSON.stringify(exported)}`);
+                    } else {
+                        await write(`${JSON.stringify({ table, row: exported })}\n`);
+                    }
+                    counts[table]++;
+                }
 
-            for (const alert of data.alerts) {
-                await this.storeAlert(
-                    alert.metric_type,
-                    alert.metric_name,
-                    alert.threshold,
-                    alert.actual_value,
-                    alert.message
-                );
+                if (format === 'json') await write(counts[table] ? '\n  ]' : ']');
             }
 
-            await this.run('COMMIT');
-        } catch (error) {
-            await this.run('ROLLBACK');
-            throw error;
+            if (format === 'json') await write('\n}\n');
+        } finally {
+            output.end();
         }
+
+        await closed;
+        return counts;
     }
 
     /**
-     * Clean old data
+     * Import data from JSON or NDJSON export
+     *
+     * Ids and timestamps are kept. `options.mode` decides what happens to
+     * rows whose id already exists: 'skip' (default), 'overwrite', or
+     * 'append' to insert them under new ids. NDJSON is read line by line;
+     * JSON files (including the old export format) are parsed whole.
+     * Returns { inserted, skipped, replaced } counts per table.
      */
-    async cleanup(retentionDays = 30) {
-        await this.initialize();
-        const queries = [
-            'DELETE FROM metrics WHERE timestamp < datetime("now", ?)',
-            'DELETE FROM execution_times WHERE timestamp < datetime("now", ?)',
-            'DELETE FROM alerts WHERE timestamp < datetime("now", ?)',
-            'VACUUM'
-        ];
+    async importFromJson(inputPath, options = {}) {
+        const mode = options.mode || 'skip';
+        if (!MERGE_MODES.includes(mode)) {
+            throw new Error(`Invalid import mode: ${mode} (expected one of ${MERGE_MODES.join(', ')})`);
+        }
 
-        const retention = `-${retentionDays} days`;
-        for (const query of queries) {
-            await this.run(query, [retention]);
+        const format = this.getFileFormat(inputPath, options.format);
+        const batchSize = options.batchSize || EXPORT_PAGE_SIZE;
+        const counts = {};
+        const pending = {};
+
+        Object.keys(EXPORT_KEYS).forEach(table => {
+            counts[table] = { inserted: 0, skipped: 0, replaced: 0 };
+            pending[table] = [];
+        });
+
+        const importPending = async (table) => {
+            const result = await this.adapter.importRows(table, pending[table], mode);
+            pending[table] = [];
+
+            Object.keys(result).forEach(key => {
+                counts[table][key] += result[key];
+            });
+        };
+
+        await this.flush();
+
+        for await (const { table, row } of this.readExport(inputPath, format)) {
+            pending[table].push(this.toImportRow(table, row));
+            if (pending[table].length >= batchSize) await importPending(table);
+        }
+
+        for (const table of Object.keys(pending)) {
+            if (pending[table].length) await importPending(table);
         }
+
+        return counts;
     }
 
     /**
-     * Run SQL query
+     * Iterate raw rows of table page by page
      */
-    async run(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.run(sql, params, function(err) {
-                if (err) reject(err);
-                else resolve(this);
-            });
+    async *iterateRows(table, filter) {
+        let afterId = 0;
+
+        while (true) {
+            const rows = await this.adapter.exportRows(table, { ...filter, afterId, limit: EXPORT_PAGE_SIZE });
+            yield* rows;
+
+            if (rows.length < EXPORT_PAGE_SIZE) return;
+            afterId = rows[rows.length - 1].id;
+        }
+    }
+
+    /**
+     * Read `{ table, row }` entries from export file
+     */
+    async *readExport(inputPath, format) {
+        if (format === 'json') {
+            const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+
+            for (const [table, key] of Object.entries(EXPORT_KEYS)) {
+                for (const row of data[key] || []) {
+                    yield { table, row };
+                }
+            }
+            return;
+        }
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(inputPath, 'utf8'),
+            crlfDelay: Infinity
         });
+
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid NDJSON at ${inputPath}:${lineNumber}: ${error.message}`);
+            }
+
+            if (!EXPORT_KEYS[entry.table]) {
+                throw new Error(`Unknown table at ${inputPath}:${lineNumber}: ${entry.table}`);
+            }
+
+            yield entry;
+        }
     }
 
     /**
-     * Get single row
+     * Convert stored row to export row (JSON columns as objects, success as boolean)
      */
-    async get(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.get(sql, params, (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
+    toExportRow(table, row) {
+        switch (table) {
+            case 'metrics':
+                return { ...row, tags: JSON.parse(row.tags || '{}') };
+            case 'execution_times':
+                return { ...row, success: Boolean(row.success), attributes: JSON.parse(row.attributes || '{}') };
+            case 'alerts':
+                return { ...row, labels: JSON.parse(row.labels || '{}') };
+            case 'alert_silences':
+                return { ...row, matchers: JSON.parse(row.matchers || '[]') };
+            case 'runs':
+                return { ...row, host: JSON.parse(row.host || '{}') };
+            default:
+                return { ...row };
+        }
+    }
+
+    /**
+     * Convert export row to adapter insert shape
+     *
+     * Accepts JSON columns encoded as strings, as written by older exports.
+     * Alerts exported before the alert lifecycle become resolved one-off
+     * alerts, as the schema migration does.
+     */
+    toImportRow(table, row) {
+        const imported = { ...row, timestamp: this.normalizeTimestamp(row.timestamp) };
+
+        (TIMESTAMP_COLUMNS[table] || []).forEach(column => {
+            if (row[column] !== undefined && row[column] !== null) {
+                imported[column] = this.normalizeTimestamp(row[column]);
+            }
         });
+
+        if (table === 'metrics' && typeof row.tags === 'string') {
+            imported.tags = JSON.parse(row.tags || '{}');
+        }
+
+        if (table === 'execution_times' && typeof row.attributes === 'string') {
+            imported.attributes = JSON.parse(row.attributes || '{}');
+        }
+
+        if (table === 'alerts') {
+            if (typeof row.labels === 'string') imported.labels = JSON.parse(row.labels || '{}');
+
+            if (!row.fingerprint) {
+                Object.assign(imported, {
+                    fingerprint: AlertManager.fingerprint(row.metric_type, row.metric_name, imported.labels),
+                    state: 'resolved',
+                    last_seen: imported.timestamp,
+                    resolved_at: imported.timestamp
+                });
+            }
+        }
+
+        if (table === 'alert_silences' && typeof row.matchers === 'string') {
+            imported.matchers = JSON.parse(row.matchers || '[]');
+        }
+
+        if (table === 'runs' && typeof row.host === 'string') {
+            imported.host = JSON.parse(row.host || '{}');
+        }
+
+        return imported;
     }
 
     /**
-     * Get multiple rows
+     * Normalize timestamp to stored UTC format
      */
-    async all(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
+    normalizeTimestamp(timestamp) {
+        if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(timestamp)) return timestamp;
+
+        const date = new Date(timestamp);
+        if (timestamp === undefined || timestamp === null || Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid timestamp: ${timestamp}`);
+        }
+
+        return formatTimestamp(date);
+    }
+
+    /**
+     * Get export file format from option or extension
+     */
+    getFileFormat(filePath, format = null) {
+        const resolved = format || (/\.(ndjson|jsonl)$/i.test(filePath) ? 'ndjson' : 'json');
+        if (!['json', 'ndjson'].includes(resolved)) {
+            throw new Error(`Invalid export format: ${resolved} (expected json or ndjson)`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Clean old data
+     *
+     * Raw samples are kept for `retentionDays`, rollups for their own tier.
+     */
+    async cleanup(retentionDays = this.retention.raw) {
+        await this.flush();
+        const before = days => formatTimestamp(new Date(Date.now() - days * ROLLUPS['1d'] * 1000));
+
+        await this.adapter.deleteBefore({
+            raw: before(retentionDays),
+            rollups: Object.fromEntries(
+                Object.keys(ROLLUPS).map(tier => [tier, before(this.retention[tier])])
+            )
         });
     }
 
     /**
-     * Get time constraint
+     * Resolve relative or `{ start, end }` time range to absolute ISO `{ start, end }`
+     */
+    resolveTimeRange(timeRange, now = new Date()) {
+        return resolveTimeRange(timeRange, now);
+    }
+
+    /**
+     * Get start of time range
      */
-    getTimeConstraint(timeRange) {
-        const matches = timeRange.match(/^(\d+)([hdwmy])$/);
-        if (!matches) throw new Error('Invalid time range format');
+    getSince(timeRange, now = new Date()) {
+        return new Date(this.resolveTimeRange(timeRange, now).start);
+    }
+
+    /**
+     * Get stored-timestamp bounds `{ since, until }` for time range
+     *
+     * `until` is exclusive. Stored timestamps are truncated to the second,
+     * so it is rounded up to the next whole second.
+     */
+    getWindow(timeRange) {
+        const range = this.resolveTimeRange(timeRange);
+        const end = new Date(range.end);
+
+        return {
+            since: formatTimestamp(new Date(range.start)),
+            until: formatTimestamp(new Date(Math.ceil(end.getTime() / 1000) * 1000))
+        };
+    }
+
+    /**
+     * Parse bucket interval (e.g. 30s, 5m, 1h, 1d) into seconds
+     */
+    parseInterval(interval) {
+        const matches = String(interval).match(/^(\d+)([smhd])$/);
+        if (!matches || Number(matches[1]) === 0) throw new Error('Invalid interval format');
 
         const [_, value, unit] = matches;
-        const units = {
-            h: 'hours',
-            d: 'days',
-            w: 'weeks',
-            m: 'months',
-            y: 'years'
+        const seconds = {
+            s: 1,
+            m: 60,
+            h: 3600,
+            d: 86400
         };
 
-        return `-${value} ${units[unit]}`;
+        return Number(value) * seconds[unit];
+    }
+
+    /**
+     * Align date down to a multiple of `seconds` since the epoch
+     */
+    alignDate(date, seconds) {
+        return new Date(Math.floor(date.getTime() / 1000 / seconds) * seconds * 1000);
+    }
+
+    /**
+     * Format bucket epoch as local 'YYYY-MM-DD HH:MM' label
+     */
+    formatBucket(epoch) {
+        const date = new Date(epoch * 1000);
+        const pad = value => String(value).padStart(2, '0');
+
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}`;
     }
 
     /**
-     * Close database connection
+     * Flush buffered rows and close storage
      */
-    close() {
-        if (this.db) {
-            this.db.close();
+    async close() {
+        if (this.initializing) await this.initializing.catch(() => {});
+        if (!this.initialized) return;
+
+        try {
+            if (this.buffer) await this.buffer.flush();
+        } finally {
             this.initialized = false;
+            await this.adapter.close();
         }
     }
 }
@@ -0,0 +1,366 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const MetricsStore = require('./metrics-store');
+
+describe.each(['sqlite', 'memory', 'ndjson'])('MetricsStore (%s backend)', (backend) => {
+    let store;
+    let tempDir;
+
+    // SQLite stores stay in memory; ndjson ones are files in tempDir
+    const storePath = (file) => (backend === 'sqlite' ? ':memory:' : path.join(tempDir, file));
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-test-'));
+        store = new MetricsStore(storePath('metrics.ndjson'), { backend });
+    });
+
+    afterEach(async () => {
+        await store.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const seed = async () => {
+        for (let i = 1; i <= 20; i++) {
+            await store.storeMetric('api', 'latency', i * 10, {
+                env: i % 2 ? 'prod' : 'staging',
+                operation: i <= 10 ? 'extend' : 'extendEnd'
+            });
+        }
+        await store.storeMetric('system', 'memory', 512);
+    };
+
+    describe('Queries', () => {
+        test('returns stored metrics in time range', async () => {
+            await seed();
+            const rows = await store.getMetrics('api', 'latency', '1h');
+
+            expect(rows).toHaveLength(20);
+            expect(rows[0]).toMatchObject({ metric_type: 'api', metric_name: 'latency', value: 10 });
+        });
+
+        test('computes stats and percentiles', async () => {
+            await seed();
+            const stats = await store.getMetricStats('api', 'latency', '1h');
+
+            expect(stats).toMatchObject({ count: 20, average: 105, minimum: 10, maximum: 200 });
+            expect(stats.percentile_50).toBeCloseTo(100, -1);
+            expect(stats.percentile_99).toBeGreaterThan(stats.percentile_90);
+        });
+
+        test('buckets time series by interval', async () => {
+            await seed();
+            const series = await store.getTimeSeries('api', 'latency', '1d', '1h');
+
+            expect(series.length).toBeGreaterThanOrEqual(1);
+            expect(series.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(20);
+        });
+
+        test('lists distinct metrics', async () => {
+            await seed();
+            const metrics = await store.listMetrics('1h');
+
+            expect(metrics).toEqual(expect.arrayContaining([
+                { metric_type: 'api', metric_name: 'latency' },
+                { metric_type: 'system', metric_name: 'memory' }
+            ]));
+        });
+    });
+
+    describe('Tags', () => {
+        test('filters by tag matchers', async () => {
+            await seed();
+
+            expect(await store.getMetrics('api', 'latency', '1h', { tags: ['env=prod'] })).toHaveLength(10);
+            expect(await store.getMetrics('api', 'latency', '1h', {
+                tags: ['env=prod', 'operation=~extend.+']
+            })).toHaveLength(5);
+        });
+
+        test('groups stats by tag', async () => {
+            await seed();
+            const stats = await store.getMetricStats('api', 'latency', '1h', { groupBy: ['env'] });
+
+            expect(stats.map(group => [group.labels.env, group.count]).sort()).toEqual([
+                ['prod', 10],
+                ['staging', 10]
+            ]);
+        });
+    });
+
+    describe('Absolute time ranges', () => {
+        const incident = { start: '2024-03-01T10:00:00Z', end: '2024-03-01T12:00:00Z' };
+
+        const seedIncident = async () => {
+            await store.initialize();
+            const timestamps = [
+                '2024-03-01 09:59:59',
+                '2024-03-01 10:00:00',
+                '2024-03-01 10:30:00',
+                '2024-03-01 11:59:59',
+                '2024-03-01 12:00:00'
+            ];
+
+            for (const [i, timestamp] of timestamps.entries()) {
+                await store.adapter.insertMetric({
+                    timestamp,
+                    metric_type: 'api',
+                    metric_name: 'latency',
+                    value: (i + 1) * 10,
+                    tags: {}
+                });
+            }
+        };
+
+        test('includes start and excludes end', async () => {
+            await seedIncident();
+            const rows = await store.getMetrics('api', 'latency', incident);
+
+            expect(rows.map(row => row.value)).toEqual([20, 30, 40]);
+            expect(await store.getMetrics('api', 'latency', '24h')).toEqual([]);
+        });
+
+        test('echoes resolved range in stats', async () => {
+            await seedIncident();
+            const stats = await store.getMetricStats('api', 'latency', incident);
+
+            expect(stats).toMatchObject({
+                count: 3,
+                average: 30,
+                range: { start: '2024-03-01T10:00:00.000Z', end: '2024-03-01T12:00:00.000Z' }
+            });
+        });
+
+        test('computes percentiles over exactly the window', async () => {
+            await seedIncident();
+            const stats = await store.getMetricStats('api', 'latency', incident);
+
+            expect(stats.count).toBe(3);
+            expect(stats.percentile_50).toBeCloseTo(30, 0);
+            const percentiles = await store.getPercentiles('api', 'latency', [0, 1], incident);
+            expect(percentiles[0]).toBeCloseTo(20, 0);
+            expect(percentiles[1]).toBeCloseTo(40, 0);
+        });
+
+        test('merges whole rollup buckets with the partial ones at the edges', async () => {
+            await store.initialize();
+            const base = Math.floor(Date.now() / 60000) * 60000 - 10 * 60000;
+            const at = seconds => new Date(base + seconds * 1000);
+            for (const [seconds, value] of [[0, 1], [30, 2], [60, 3], [90, 4], [150, 5]]) {
+                await store.adapter.insertMetric({
+                    timestamp: at(seconds).toISOString().slice(0, 19).replace('T', ' '),
+                    metric_type: 'api',
+                    metric_name: 'latency',
+                    value,
+                    tags: {}
+                });
+            }
+
+            const range = { start: at(30).toISOString(), end: at(135).toISOString() };
+            const percentiles = await store.getPercentiles('api', 'latency', [0, 1], range);
+
+            expect((await store.getMetricStats('api', 'latency', range)).count).toBe(3);
+            expect(percentiles[0]).toBeCloseTo(2, 1);
+            expect(percentiles[1]).toBeCloseTo(4, 1);
+        });
+
+        test('buckets time series within the window', async () => {
+            await seedIncident();
+            const series = await store.getTimeSeries('api', 'latency', '1h', incident);
+
+            expect(series.map(bucket => bucket.count)).toEqual([2, 1]);
+        });
+    });
+
+    describe('Export and import', () => {
+        const seedHistory = async () => {
+            await store.initialize();
+            await store.adapter.importRows('metrics', [
+                { id: 1, timestamp: '2024-03-01 10:00:00', metric_type: 'api', metric_name: 'latency', value: 10, tags: { env: 'prod' } },
+                { id: 2, timestamp: '2024-03-02 10:00:00', metric_type: 'api', metric_name: 'latency', value: 20, tags: {} },
+                { id: 3, timestamp: '2024-03-02 11:00:00', metric_type: 'system', metric_name: 'memory', value: 512, tags: {} }
+            ], 'skip');
+            await store.adapter.importRows('execution_times', [
+                { id: 7, timestamp: '2024-03-02 10:00:05', operation: 'extend', duration: 12.5, success: false, error_message: 'timeout' }
+            ], 'skip');
+        };
+
+        const openCopy = () => new MetricsStore(storePath('copy.ndjson'), { backend });
+
+        test.each(['export.json', 'export.ndjson'])('round-trips ids, timestamps and tags through %s', async (file) => {
+            await seedHistory();
+            const exportPath = path.join(tempDir, file);
+            const copy = openCopy();
+
+            try {
+                expect(await store.exportToJson(exportPath)).toEqual({
+                    metrics: 3,
+                    execution_times: 1,
+                    alerts: 0,
+                    alert_events: 0,
+                    alert_silences: 0,
+                    runs: 0
+                });
+                expect(await copy.importFromJson(exportPath)).toMatchObject({
+                    metrics: { inserted: 3 },
+                    execution_times: { inserted: 1 }
+                });
+
+                const range = { start: '2024-03-01T00:00:00Z', end: '2024-03-03T00:00:00Z' };
+                expect(await copy.getMetrics('api', 'latency', range)).toEqual(await store.getMetrics('api', 'latency', range));
+                expect(await copy.getExecutionTimes('extend', range)).toEqual([expect.objectContaining({
+                    id: 7,
+                    timestamp: '2024-03-02 10:00:05',
+                    success: 0,
+                    error_message: 'timeout'
+                })]);
+            } finally {
+                await copy.close();
+            }
+        });
+
+        test('applies merge modes to existing ids', async () => {
+            await seedHistory();
+            const exportPath = path.join(tempDir, 'export.ndjson');
+            await store.exportToJson(exportPath, { tables: ['metrics'] });
+
+            expect((await store.importFromJson(exportPath)).metrics).toEqual({ inserted: 0, skipped: 3, replaced: 0 });
+            expect((await store.importFromJson(exportPath, { mode: 'overwrite' })).metrics).toEqual({ inserted: 0, skipped: 0, replaced: 3 });
+            expect((await store.importFromJson(exportPath, { mode: 'append' })).metrics).toEqual({ inserted: 3, skipped: 0, replaced: 0 });
+
+            const all = { start: '2024-01-01T00:00:00Z', end: '2025-01-01T00:00:00Z' };
+            expect(await store.getMetrics('api', 'latency', all)).toHaveLength(4);
+            await expect(store.importFromJson(exportPath, { mode: 'merge' })).rejects.toThrow('Invalid import mode');
+        });
+
+        test('exports a filtered subset', async () => {
+            await seedHistory();
+            const exportPath = path.join(tempDir, 'subset.json');
+
+            expect(await store.exportToJson(exportPath, {
+                timeRange: { start: '2024-03-02T00:00:00Z', end: '2024-03-03T00:00:00Z' },
+                type: 'api',
+                tables: ['metrics', 'alerts']
+            })).toEqual({ metrics: 1, alerts: 0 });
+
+            const data = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+            expect(data.metrics).toEqual([{
+                id: 2,
+                timestamp: '2024-03-02 10:00:00',
+                metric_type: 'api',
+                metric_name: 'latency',
+                value: 20,
+                tags: {},
+                run_id: null
+            }]);
+            expect(data.range).toEqual({ start: '2024-03-02T00:00:00.000Z', end: '2024-03-03T00:00:00.000Z' });
+        });
+
+        test('imports exports with JSON-encoded tags', async () => {
+            const legacyPath = path.join(tempDir, 'legacy.json');
+            fs.writeFileSync(legacyPath, JSON.stringify({
+                metrics: [{ id: 5, timestamp: '2024-03-01 10:00:00', metric_type: 'api', metric_name: 'latency', value: 1, tags: '{"env":"prod"}' }],
+                executionTimes: [],
+                alerts: []
+            }));
+
+            await store.importFromJson(legacyPath);
+            const rows = await store.getMetrics('api', 'latency', { start: '2024-03-01T00:00:00Z', end: '2024-03-02T00:00:00Z' }, {
+                tags: ['env=prod']
+            });
+
+            expect(rows).toEqual([expect.objectContaining({ id: 5, tags: '{"env":"prod"}' })]);
+        });
+    });
+
+    test('rejects invalid intervals', async () => {
+        await expect(store.getTimeSeries('api', 'latency', '1x', '1h')).rejects.toThrow(/Invalid interval/);
+    });
+});
+
+describe('MetricsStore (write buffer)', () => {
+    test('batches writes and flushes them on close', async () => {
+        const store = new MetricsStore(null, {
+            backend: 'memory',
+            buffer: { batchSize: 100, flushInterval: null }
+        });
+        const batches = [];
+        const insertBatch = store.adapter.insertBatch.bind(store.adapter);
+        store.adapter.insertBatch = async (entries) => {
+            batches.push(entries.length);
+            return await insertBatch(entries);
+        };
+
+        for (let i = 0; i < 250; i++) {
+            await store.storeMetric('api', 'latency', i);
+        }
+        await store.storeExecutionTime('extend', 12.5);
+        await store.buffer.flushing;
+
+        expect(batches).toEqual([100, 100]);
+        expect(store.adapter.tables.metrics).toHaveLength(200);
+
+        await store.close();
+
+        expect(batches).toEqual([100, 100, 51]);
+        expect(store.adapter.tables.metrics).toHaveLength(250);
+        expect(store.adapter.tables.execution_times).toHaveLength(1);
+    });
+});
+
+describe('MetricsStore (ndjson persistence)', () => {
+    test('replays file on reopen', async () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-test-'));
+        const filePath = path.join(tempDir, 'metrics.ndjson');
+
+        try {
+            const writer = new MetricsStore(filePath, { backend: 'ndjson' });
+            await writer.storeMetric('api', 'latency', 42, { env: 'prod' });
+            await writer.storeExecutionTime('extend', 12.5);
+            await writer.close();
+
+            const reader = new MetricsStore(filePath, { backend: 'ndjson' });
+            expect(await reader.getMetrics('api', 'latency', '1h', { tags: ['env=prod'] })).toHaveLength(1);
+            expect(await reader.getExecutionTimes('extend', '1h')).toHaveLength(1);
+            await reader.close();
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    test('reports a failed append only to its own write and drops its row', async () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-test-'));
+        const filePath = path.join(tempDir, 'metrics.ndjson');
+        const store = new MetricsStore(filePath, { backend: 'ndjson', buffer: false });
+        const row = value => ({
+            timestamp: new Date().toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value,
+            tags: {}
+        });
+
+        try {
+            await store.storeMetric('api', 'latency', 1);
+
+            // Concurrent writes where only the second, appended to a directory, fails
+            const first = store.adapter.insertMetric(row(2));
+            store.adapter.filePath = tempDir;
+            const second = store.adapter.insertMetric(row(3));
+            store.adapter.filePath = filePath;
+
+            await expect(second).rejects.toThrow('EISDIR');
+            await expect(first).resolves.toEqual(expect.any(Number));
+
+            await store.storeMetric('api', 'latency', 4);
+            expect((await store.getMetrics('api', 'latency', '1h')).map(metric => metric.value)).toEqual([1, 2, 4]);
+            await store.close();
+
+            const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(entries.filter(entry => entry.table === 'metrics').map(entry => entry.row.value)).toEqual([1, 2, 4]);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
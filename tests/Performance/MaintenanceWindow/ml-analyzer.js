@@ -1,14 +1,38 @@
 const tf = require('@tensorflow/tfjs-node');
 const MetricsAnalyzer = require('./metrics-analyzer');
+const ModelRegistry = require('./model-registry');
+const hyperparameters = require('./config/hyperparameters');
+const { createTrainingCallbacks } = require('./training-callbacks');
+const forecastFeatures = require('./forecast-features');
+const { fillGaps } = require('./series');
+const maintenanceConfig = require('./config/maintenance-windows');
+const { StorageAdapter } = require('./storage');
 
 /**
  * Machine learning performance analyzer
+ *
+ * Trained forecast models are saved under `options.modelDir` (see
+ * model-registry.js) and loaded lazily on first use, so a restart does not
+ * retrain them. A model is retrained only once it is stale, i.e. the
+ * forecast window ends more than `options.maxModelAge` after its training
+ * range, or when recent data drifted away from its training data
+ * (`options.drift`, see ModelRegistry.detectDrift()).
+ *
+ * Multivariate models (generateMultivariateForecast()) also see the metrics
+ * most correlated with the target and calendar features, including
+ * `options.maintenanceWindows` (default config/maintenance-windows.js).
  */
 class MLAnalyzer extends MetricsAnalyzer {
-    constructor(metricsStore) {
-        super(metricsStore);
+    constructor(metricsStore, options = {}) {
+        super(metricsStore, options);
         this.models = new Map();
         this.windowSize = 24; // 24 hours for daily patterns
+        this.hyperparameters = options.hyperparameters || hyperparameters.default;
+        this.validation = options.validation || hyperparameters.validation;
+        this.registry = new ModelRegistry(options.modelDir);
+        this.maxModelAge = options.maxModelAge || '7d';
+        this.drift = options.drift || {};
+        this.maintenanceWindows = options.maintenanceWindows || maintenanceConfig.windows;
     }
 
     /**
@@ -29,29 +53,49 @@ class MLAnalyzer extends MetricsAnalyzer {
         };
     }
 
+    /**
+     * Prepare windows of feature rows for multivariate models
+     *
+     * Targets are the first feature of the row following each window.
+     */
+    prepareMultivariateData(rows, windowSize = this.windowSize) {
+        const X = [];
+        const y = [];
+
+        for (let i = 0; i < rows.length - windowSize; i++) {
+            X.push(rows.slice(i, i + windowSize));
+            y.push(rows[i + windowSize][0]);
+        }
+
+        return {
+            X: tf.tensor3d(X),
+            y: tf.tensor1d(y)
+        };
+    }
+
     /**
      * Create LSTM model for time series prediction
+     *
+     * `features` is the number of inputs per time step.
      */
-    createLSTMModel(inputShape) {
+    createLSTMModel(inputShape, params = this.hyperparameters, features = 1) {
         const model = tf.sequential();
+        const { units, layers = 2, dropout } = params.lstm;
 
-        model.add(tf.layers.lstm({
-            units: 50,
-            inputShape: [inputShape, 1],
-            returnSequences: true
-        }));
-
-        model.add(tf.layers.dropout({ rate: 0.2 }));
+        for (let layer = 0; layer < layers; layer++) {
+            model.add(tf.layers.lstm({
+                units,
+                ...(layer === 0 ? { inputShape: [inputShape, features] } : {}),
+                returnSequences: layer < layers - 1
+            }));
 
-        model.add(tf.layers.lstm({
-            units: 50,
-            returnSequences: false
-        }));
+            if (layer < layers - 1) model.add(tf.layers.dropout({ rate: dropout }));
+        }
 
         model.add(tf.layers.dense({ units: 1 }));
 
         model.compile({
-            optimizer: tf.train.adam(0.001),
+            optimizer: tf.train.adam(params.optimizer.learningRate),
             loss: 'meanSquaredError'
         });
 
@@ -60,11 +104,31 @@ class MLAnalyzer extends MetricsAnalyzer {
 
     /**
      * Train prediction model
+     *
+     * Training stops early and reduces the learning rate on plateaus as set
+     * in `validation` (config/hyperparameters.js); the model and its
+     * metadata, including the training log, are saved to the model registry.
+     * Epoch progress is logged unless `options.verbose` is false.
      */
-    async trainModel(type, name, timeRange = '30d') {
-        const data = await this.store.getTimeSeries(type, name, '1h', timeRange);
+    async trainModel(type, name, timeRange = '30d', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const data = await this.store.getTimeSeries(type, name, '1h', range, this.scope);
         const values = data.map(d => d.average);
+        const modelInfo = await this.fitModel(values, options);
+
+        // Save model for future predictions
+        await this.saveModel(type, name, { ...modelInfo, range });
+
+        return modelInfo.model;
+    }
 
+    /**
+     * Train a prediction model on values without saving it
+     *
+     * Returns the model with the metadata trainModel() saves. Epoch
+     * progress is logged unless `options.verbose` is false.
+     */
+    async fitModel(values, options = {}) {
         // Normalize data
         const min = Math.min(...values);
         const max = Math.max(...values);
@@ -72,59 +136,180 @@ class MLAnalyzer extends MetricsAnalyzer {
 
         // Prepare training data
         const { X, y } = this.prepareData(normalizedValues);
-
-        // Create and train model
-        const model = this.createLSTMModel(this.windowSize);
-
-        await model.fit(
+        const { model, validationLoss, training } = await this.trainNetwork(
             X.reshape([X.shape[0], X.shape[1], 1]),
             y,
-            {
-                epochs: 100,
-                batchSize: 32,
-                validationSplit: 0.2,
-                callbacks: {
-                    onEpochEnd: (epoch, logs) => {
-                        console.log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}`);
-                    }
-                }
-            }
+            { verbose: options.verbose }
         );
 
-        // Save model for future predictions
-        this.models.set(`${type}:${name}`, {
+        return {
             model,
             min,
-            max
+            max,
+            windowSize: this.windowSize,
+            hyperparameters: this.hyperparameters,
+            fingerprint: ModelRegistry.fingerprint(values),
+            validationLoss,
+            training
+        };
+    }
+
+    /**
+     * Create and fit an LSTM on windows X ([samples, window, features]) and targets y
+     *
+     * Returns { model, validationLoss, training } with the training log.
+     */
+    async trainNetwork(X, y, options = {}) {
+        const verbose = options.verbose !== false;
+        const { training } = this.hyperparameters;
+
+        // Create and train model
+        const model = this.createLSTMModel(X.shape[1], this.hyperparameters, X.shape[2]);
+        const { callbacks, log } = createTrainingCallbacks(model, {
+            earlyStopping: this.validation.earlyStoping,
+            learningRateSchedule: this.validation.learningRateSchedule,
+            learningRate: this.hyperparameters.optimizer.learningRate,
+            onEpochEnd: (epoch, logs, learningRate) => {
+                if (verbose) console.log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}, lr = ${learningRate}`);
+            }
         });
 
-        return model;
+        const history = await model.fit(X, y, {
+            epochs: training.epochs,
+            batchSize: training.batchSize,
+            validationSplit: training.validationSplit,
+            callbacks
+        });
+
+        if (verbose && log.stoppedEpoch) {
+            console.log(`Stopped at epoch ${log.stoppedEpoch}, restored epoch ${log.bestEpoch} (val_loss = ${log.best.toFixed(4)})`);
+        }
+
+        return {
+            model,
+            validationLoss: log.best ?? history.history.val_loss?.slice(-1)[0] ?? null,
+            training: log
+        };
     }
 
     /**
-     * Generate ML-based forecast
+     * Registry key of a metric's model
+     */
+    getModelKey(type, name, multivariate = false) {
+        return multivariate ? `${type}:${name}:multivariate` : `${type}:${name}`;
+    }
+
+    /**
+     * Cache a trained model and save it with its metadata
+     *
+     * Models with `features` are saved as the metric's multivariate model.
+     */
+    async saveModel(type, name, modelInfo) {
+        const key = this.getModelKey(type, name, Boolean(modelInfo.features));
+        const { model, ...metadata } = modelInfo;
+        const entry = { ...metadata, trainedAt: new Date().toISOString() };
+
+        await model.save(`file://${this.registry.getModelPath(key)}`);
+        await this.registry.writeMetadata(key, entry);
+        this.models.set(key, { model, ...entry });
+
+        return this.models.get(key);
+    }
+
+    /**
+     * Load a saved model into the cache, null when none was saved
      */
-    async generateMLForecast(type, name, periods = 24) {
-        let modelInfo = this.models.get(`${type}:${name}`);
+    async loadModel(type, name, multivariate = false) {
+        const key = this.getModelKey(type, name, multivariate);
+        const metadata = await this.registry.readMetadata(key);
+        if (!metadata) return null;
 
-        if (!modelInfo) {
-            await this.trainModel(type, name);
-            modelInfo = this.models.get(`${type}:${name}`);
+        const model = await tf.loadLayersModel(`file://${this.registry.getModelPath(key)}/model.json`);
+        this.models.set(key, { model, ...metadata });
+
+        return this.models.get(key);
+    }
+
+    /**
+     * Why a model needs retraining for a forecast window, null if it does not
+     *
+     * `values` are the recent values the forecast starts from.
+     */
+    getRetrainReason(modelInfo, range, values) {
+        if (!modelInfo) return 'missing';
+
+        const age = new Date(range.end) - new Date(modelInfo.range.end);
+        if (age > this.store.parseInterval(this.maxModelAge) * 1000) return 'stale';
+
+        if (ModelRegistry.detectDrift(modelInfo, values, this.drift).drifted) return 'drift';
+
+        return null;
+    }
+
+    /**
+     * Get the forecast model for a window, loading or retraining it as needed
+     *
+     * Models are trained on the 30 days up to the window's end; with
+     * `options.multivariate` the metric's multivariate model, see
+     * trainMultivariateModel() for the other options. Retraining is logged
+     * only with `options.verbose`.
+     */
+    async getModel(type, name, range, values, options = {}) {
+        const multivariate = Boolean(options.multivariate);
+        const key = this.getModelKey(type, name, multivariate);
+        const modelInfo = this.models.get(key) || await this.loadModel(type, name, multivariate);
+        const reason = this.getRetrainReason(modelInfo, range, values);
+        if (!reason) return modelInfo;
+
+        const verbose = Boolean(options.verbose);
+        if (modelInfo && verbose) console.log(`Retraining ${key} model: ${reason}`);
+
+        const trainingRange = this.store.resolveTimeRange('30d', new Date(range.end));
+        if (multivariate) {
+            await this.trainMultivariateModel(type, name, trainingRange, { ...options, verbose });
+        } else {
+            await this.trainModel(type, name, trainingRange, { verbose });
         }
 
-        const { model, min, max } = modelInfo;
+        return this.models.get(key);
+    }
+
+    /**
+     * Generate ML-based forecast
+     *
+     * Forecasts from the `timeRange` history window with the saved model,
+     * see getModel().
+     */
+    async generateMLForecast(type, name, periods = 24, timeRange = '24h') {
+        const range = this.store.resolveTimeRange(timeRange);
 
         // Get recent data
-        const data = await this.store.getTimeSeries(type, name, '1h', '24h');
+        const data = await this.store.getTimeSeries(type, name, '1h', range, this.scope);
         const values = data.map(d => d.average);
+
+        const modelInfo = await this.getModel(type, name, range, values);
+
+        return {
+            range,
+            ...this.forecastValues(modelInfo, values, periods)
+        };
+    }
+
+    /**
+     * Forecast `periods` values following `values` with a trained model
+     *
+     * Returns { values, confidence } like MetricsAnalyzer.generateForecast().
+     */
+    forecastValues(modelInfo, values, periods = 24) {
+        const { model, min, max, windowSize } = modelInfo;
         const normalizedValues = values.map(v => (v - min) / (max - min));
 
         // Generate predictions
         const predictions = [];
-        let currentInput = normalizedValues.slice(-this.windowSize);
+        let currentInput = normalizedValues.slice(-windowSize);
 
         for (let i = 0; i < periods; i++) {
-            const input = tf.tensor2d([currentInput]).reshape([1, this.windowSize, 1]);
+            const input = tf.tensor2d([currentInput]).reshape([1, windowSize, 1]);
             const prediction = model.predict(input);
             const value = prediction.dataSync()[0];
             predictions.push(value);
@@ -137,20 +322,209 @@ class MLAnalyzer extends MetricsAnalyzer {
 
         return {
             values: denormalizedPredictions,
-            confidence: this.calculateMLConfidenceIntervals(denormalizedPredictions, values)
+            confidence: this.calculateMLConfidenceIntervals(denormalizedPredictions, modelInfo)
+        };
+    }
+
+    /**
+     * Forecasters compared by backtestForecasts(), with the LSTM
+     *
+     * The LSTM is trained on the values before the first origin, and again
+     * on the history every `options.retrainEvery` origins; backtest models
+     * are not saved. Every history (`initial` and `window`) must be longer
+     * than the model's window.
+     */
+    async getBacktestForecasters(initialValues, options = {}) {
+        const shortest = Math.min(initialValues.length, options.window ?? Infinity);
+        if (shortest <= this.windowSize) {
+            throw new Error(`LSTM backtest needs more than ${this.windowSize} values of history`);
+        }
+
+        const forecasters = await super.getBacktestForecasters(initialValues, options);
+        let modelInfo = null;
+        let origins = 0;
+
+        return {
+            lstm: async (history, horizon) => {
+                if (!modelInfo || (options.retrainEvery && origins % options.retrainEvery === 0)) {
+                    if (modelInfo) modelInfo.model.dispose();
+                    modelInfo = await this.fitModel(history, { verbose: false });
+                }
+                origins++;
+
+                return this.forecastValues(modelInfo, history, horizon);
+            },
+            ...forecasters
+        };
+    }
+
+    /**
+     * Choose the covariates of a multivariate model with findCorrelations()
+     *
+     * The `maxFeatures` (3) metrics most correlated with the target over the
+     * range, by at least `minCorrelation` (0.5) within `maxLag` (6) hourly
+     * buckets either way; see forecast-features.js for how lags are used.
+     */
+    async selectFeatures(type, name, timeRange, options = {}) {
+        const { maxFeatures, minCorrelation, maxLag } = { ...forecastFeatures.DEFAULTS, ...options };
+        const correlations = await this.findCorrelations(type, name, timeRange, { interval: '1h', maxLag, minCorrelation });
+
+        return correlations.slice(0, maxFeatures).map(correlation => ({
+            metric_type: correlation.metric_type,
+            metric_name: correlation.metric_name,
+            correlation: correlation.correlation,
+            lag: correlation.lag,
+            shift: forecastFeatures.featureShift(correlation.lag)
+        }));
+    }
+
+    /**
+     * Hourly target and covariate values over a range
+     *
+     * Returns { range, epochs, target, covariates } aligned on the range's
+     * buckets (`epochs` are their starts in seconds), null where a metric
+     * has no samples.
+     */
+    async getFeatureHistory(type, name, timeRange, features) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const metrics = await this.store.getTimeSeriesByMetric('1h', range, this.scope);
+        const grid = this.getBucketGrid('1h', range);
+        const since = StorageAdapter.toDate(this.store.getSeriesWindow('1h', range).since).getTime() / 1000;
+
+        const series = (metricType, metricName) => {
+            const metric = metrics.find(m => m.metric_type === metricType && m.metric_name === metricName);
+            if (!metric) throw new Error(`No samples of ${metricType}/${metricName} in time range`);
+            return this.alignSeries(metric.series, grid);
+        };
+
+        return {
+            range,
+            epochs: Array.from({ length: grid.size }, (_, i) => since + i * 3600),
+            target: series(type, name),
+            covariates: features.map(feature => ({
+                values: series(feature.metric_type, feature.metric_name),
+                shift: feature.shift
+            }))
+        };
+    }
+
+    /**
+     * Train a multivariate prediction model and save it
+     *
+     * Covariates are chosen over the training range by selectFeatures()
+     * (options: maxFeatures, minCorrelation, maxLag) unless given as
+     * `options.features`.
+     */
+    async trainMultivariateModel(type, name, timeRange = '30d', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const features = options.features || await this.selectFeatures(type, name, range, options);
+        const history = await this.getFeatureHistory(type, name, range, features);
+        const modelInfo = await this.fitMultivariateModel(history, features, options);
+
+        // Save model for future predictions
+        await this.saveModel(type, name, { ...modelInfo, range });
+
+        return modelInfo.model;
+    }
+
+    /**
+     * Train a multivariate prediction model on a feature history without saving it
+     *
+     * Every feature is scaled to [0, 1] by its training min/max (`scaling`);
+     * `min`/`max` are the target's.
+     */
+    async fitMultivariateModel(history, features, options = {}) {
+        const rows = forecastFeatures.buildFeatureRows({ ...history, maintenanceWindows: this.maintenanceWindows });
+        const scaling = forecastFeatures.fitScaling(rows);
+        const { X, y } = this.prepareMultivariateData(rows.map(row => forecastFeatures.scaleRow(row, scaling)));
+        const { model, validationLoss, training } = await this.trainNetwork(X, y, { verbose: options.verbose });
+
+        return {
+            model,
+            min: scaling.min[0],
+            max: scaling.max[0],
+            scaling,
+            windowSize: this.windowSize,
+            features,
+            calendar: forecastFeatures.CALENDAR_FEATURES,
+            maintenanceWindows: this.maintenanceWindows,
+            hyperparameters: this.hyperparameters,
+            fingerprint: ModelRegistry.fingerprint(rows.map(row => row[0])),
+            validationLoss,
+            training
+        };
+    }
+
+    /**
+     * Generate multivariate ML forecast
+     *
+     * Like generateMLForecast(), with the metric's multivariate model whose
+     * inputs are the target, its correlated metrics and calendar features;
+     * `features` lists the covariates used.
+     */
+    async generateMultivariateForecast(type, name, periods = 24, timeRange = '24h', options = {}) {
+        const range = this.store.resolveTimeRange(timeRange);
+        const data = await this.store.getTimeSeries(type, name, '1h', range, this.scope);
+        const values = data.map(d => d.average);
+
+        const modelInfo = await this.getModel(type, name, range, values, { ...options, multivariate: true });
+        const history = await this.getFeatureHistory(type, name, range, modelInfo.features);
+
+        return {
+            range,
+            features: modelInfo.features,
+            ...this.forecastMultivariate(modelInfo, history, periods)
+        };
+    }
+
+    /**
+     * Forecast `periods` target values following a feature history
+     *
+     * Each prediction becomes the target of the next row; covariates past
+     * the history repeat their last value and calendar features follow the
+     * forecast buckets.
+     */
+    forecastMultivariate(modelInfo, history, periods = 24) {
+        const { model, min, max, scaling, windowSize, maintenanceWindows } = modelInfo;
+        const rows = forecastFeatures.buildFeatureRows({ ...history, maintenanceWindows });
+        if (rows.length < windowSize) throw new Error(`Multivariate forecasts need ${windowSize} hours of history`);
+
+        const covariates = history.covariates.map(covariate => ({
+            ...covariate,
+            values: fillGaps(covariate.values)
+        }));
+        const lastEpoch = history.epochs[history.epochs.length - 1];
+
+        // Generate predictions
+        const predictions = [];
+        let currentInput = rows.slice(-windowSize).map(row => forecastFeatures.scaleRow(row, scaling));
+
+        for (let i = 0; i < periods; i++) {
+            const prediction = model.predict(tf.tensor3d([currentInput]));
+            const value = prediction.dataSync()[0] * (max - min) + min;
+            predictions.push(value);
+
+            const row = forecastFeatures.featureRow(rows.length + i, value, covariates, lastEpoch + (i + 1) * 3600, maintenanceWindows);
+            currentInput = [...currentInput.slice(1), forecastFeatures.scaleRow(row, scaling)];
+        }
+
+        return {
+            values: predictions,
+            confidence: this.calculateMLConfidenceIntervals(predictions, modelInfo)
         };
     }
 
     /**
      * Calculate ML confidence intervals
+     *
+     * Uses the validation loss recorded at training, a mean squared error
+     * on normalized values.
      */
-    calculateMLConfidenceIntervals(predictions, historical) {
-        const errors = [];
-        const modelInfo = this.models.get(`${type}:${name}`);
-        const validationLoss = modelInfo.model.evaluateInternal().dataSync()[0];
+    calculateMLConfidenceIntervals(predictions, modelInfo) {
+        const { validationLoss, min, max } = modelInfo;
 
         // Calculate prediction intervals based on model uncertainty
-        const stdDev = Math.sqrt(validationLoss);
+        const stdDev = Math.sqrt(validationLoss ?? 0) * (max - min);
         const confidence = 1.96 * stdDev; // 95% confidence interval
 
         return predictions.map(value => ({
@@ -163,7 +537,8 @@ class MLAnalyzer extends MetricsAnalyzer {
      * Detect anomalies using autoencoders
      */
     async detectMLAnomalies(type, name, timeRange = '7d') {
-        const data = await this.store.getTimeSeries(type, name, '1h', timeRange);
+        const range = this.store.resolveTimeRange(timeRange);
+        const data = await this.store.getTimeSeries(type, name, '1h', range, this.scope);
         const values = data.map(d => d.average);
 
         // Create autoencoder model
@@ -203,6 +578,7 @@ class MLAnalyzer extends MetricsAnalyzer {
         }).filter(Boolean);
 
         return {
+            range,
             anomalies,
             count: anomalies.length,
             percentage: (anomalies.length / values.length) * 100,
@@ -253,20 +629,25 @@ class MLAnalyzer extends MetricsAnalyzer {
 
     /**
      * Analyze performance using ML
+     *
+     * Forecasts from the last 24 hours of the range.
      */
     async analyzeWithML(type, name, timeRange = '7d') {
+        const range = this.store.resolveTimeRange(timeRange);
         const [forecast, anomalies] = await Promise.all([
-            this.generateMLForecast(type, name),
-            this.detectMLAnomalies(type, name, timeRange)
+            this.generateMLForecast(type, name, 24, this.store.resolveTimeRange('24h', new Date(range.end))),
+            this.detectMLAnomalies(type, name, range)
         ]);
 
         return {
+            range,
             forecast,
             anomalies,
             model: {
                 type: 'LSTM',
                 windowSize: this.windowSize,
-                parameters: this.models.get(`${type}:${name}`)?.model.countParams() || 0
+                parameters: this.models.get(`${type}:${name}`)?.model.countParams() || 0,
+                trainedAt: this.models.get(`${type}:${name}`)?.trainedAt || null
             }
         };
     }
@@ -281,7 +662,7 @@ class MLAnalyzer extends MetricsAnalyzer {
             const mlAnalysis = await this.analyzeWithML(
                 metric.type,
                 metric.name,
-                timeRange
+                baseReport.range
             );
 
             metric.mlAnalysis = mlAnalysis;
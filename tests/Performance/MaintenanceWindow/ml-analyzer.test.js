@@ -0,0 +1,105 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const MetricsStore = require('./metrics-store');
+const MLAnalyzer = require('./ml-analyzer');
+const hyperparameters = require('./config/hyperparameters');
+
+// Small, quick to train network
+const quick = {
+    ...hyperparameters.default,
+    lstm: { units: 4, layers: 1, dropout: 0 },
+    training: { ...hyperparameters.default.training, epochs: 3 }
+};
+
+describe('MLAnalyzer.backtestForecasts', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        const start = Date.UTC(2024, 2, 1);
+        await store.adapter.importRows('metrics', Array.from({ length: 72 }, (_, i) => ({
+            timestamp: new Date(start + i * 3600000 + 60000).toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: 100 + 20 * Math.sin((2 * Math.PI * i) / 24),
+            tags: {}
+        })), 'append');
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('needs histories longer than the LSTM window', async () => {
+        const analyzer = new MLAnalyzer(store);
+        const range = { start: '2024-03-01T00:00:00Z', end: '2024-03-04T00:00:00Z' };
+
+        await expect(analyzer.backtestForecasts('api', 'latency', range, { initial: 24 }))
+            .rejects.toThrow('LSTM backtest needs more than 24 values of history');
+        await expect(analyzer.backtestForecasts('api', 'latency', range, { initial: 48, window: 12 }))
+            .rejects.toThrow('LSTM backtest needs more than 24 values of history');
+    });
+});
+
+describe('MLAnalyzer model persistence', () => {
+    let store;
+    let modelDir;
+
+    beforeEach(async () => {
+        modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-analyzer-test-'));
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        const start = Date.UTC(2024, 2, 1);
+        await store.adapter.importRows('metrics', Array.from({ length: 72 }, (_, i) => ({
+            timestamp: new Date(start + i * 3600000 + 60000).toISOString().slice(0, 19).replace('T', ' '),
+            metric_type: 'api',
+            metric_name: 'latency',
+            value: 100 + 20 * Math.sin((2 * Math.PI * i) / 24),
+            tags: {}
+        })), 'append');
+    });
+
+    afterEach(async () => {
+        await store.close();
+        fs.rmSync(modelDir, { recursive: true, force: true });
+    });
+
+    test('saves models and reloads them in a new analyzer', async () => {
+        const range = { start: '2024-03-01T00:00:00Z', end: '2024-03-04T00:00:00Z' };
+        const trainer = new MLAnalyzer(store, { modelDir, hyperparameters: quick });
+        await trainer.trainModel('api', 'latency', range, { verbose: false });
+
+        const analyzer = new MLAnalyzer(store, { modelDir, hyperparameters: quick });
+        const loaded = await analyzer.loadModel('api', 'latency');
+        const saved = trainer.models.get('api:latency');
+
+        expect(loaded).toMatchObject({ min: saved.min, max: saved.max, windowSize: 24, trainedAt: saved.trainedAt });
+        expect(loaded.range.end).toBe(saved.range.end);
+
+        const history = Array.from({ length: 24 }, (_, i) => 100 + 20 * Math.sin((2 * Math.PI * i) / 24));
+        expect(analyzer.forecastValues(loaded, history, 3).values)
+            .toEqual(trainer.forecastValues(saved, history, 3).values.map(value => expect.closeTo(value, 5)));
+        expect(await analyzer.loadModel('api', 'missing')).toBeNull();
+    });
+
+    test('retrains stale and drifted models', async () => {
+        const analyzer = new MLAnalyzer(store, { modelDir, hyperparameters: quick, maxModelAge: '7d' });
+        await analyzer.trainModel('api', 'latency', { start: '2024-03-01T00:00:00Z', end: '2024-03-04T00:00:00Z' }, {
+            verbose: false
+        });
+        const modelInfo = analyzer.models.get('api:latency');
+        const recent = Array.from({ length: 24 }, (_, i) => 100 + 20 * Math.sin((2 * Math.PI * i) / 24));
+        const window = end => ({ start: '2024-03-03T00:00:00Z', end });
+
+        expect(analyzer.getRetrainReason(null, window('2024-03-04T00:00:00Z'), recent)).toBe('missing');
+        expect(analyzer.getRetrainReason(modelInfo, window('2024-03-05T00:00:00Z'), recent)).toBeNull();
+        expect(analyzer.getRetrainReason(modelInfo, window('2024-03-12T00:00:00Z'), recent)).toBe('stale');
+        expect(analyzer.getRetrainReason(modelInfo, window('2024-03-05T00:00:00Z'), recent.map(value => value + 100)))
+            .toBe('drift');
+    });
+});
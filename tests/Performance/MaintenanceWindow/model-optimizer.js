@@ -1,8 +1,31 @@
 const tf = require('@tensorflow/tfjs-node');
 const hyperparameters = require('./config/hyperparameters');
+const ModelRegistry = require('./model-registry');
+const hyperparameterSearch = require('./hyperparameter-search');
+const trainingCallbacks = require('./training-callbacks');
+
+// Architecture of optimized models for parameters a search leaves out
+const OPTIMIZED_DEFAULTS = {
+    lstm: {
+        layers: 2,
+        dropout: 0.3,
+        recurrentDropout: 0,
+        activation: 'tanh',
+        recurrentActivation: 'sigmoid',
+        kernelRegularizer: { l1: 0, l2: 0.01 }
+    },
+    optimizer: { type: 'adam', momentum: 0, beta1: 0.9, beta2: 0.999, epsilon: 1e-7, decay: 0 },
+    training: { epochs: 50, shuffle: true, validationSplit: 0.2 },
+    architecture: { denseUnits: 1, bidirectional: false, batchNormalization: true }
+};
+
+// Declared dimensions that evaluateModel() does not apply: validation uses held-out data
+const UNSEARCHED = ['training.validationSplit'];
 
 /**
  * Model optimization utilities
+ *
+ * Training data is read within the analyzer's run scope.
  */
 class ModelOptimizer {
     constructor(mlAnalyzer) {
@@ -13,9 +36,14 @@ class ModelOptimizer {
 
     /**
      * Optimize model hyperparameters
+     *
+     * `strategy` is 'grid' (units, learning rate and batch size), 'random'
+     * or 'bayesian' (the full space of config/hyperparameters.js, see
+     * hyperparameter-search.js); the latter two take their settings from
+     * `search.random`/`search.bayesian`, overridden by `options`.
      */
-    async optimizeModel(type, name, timeRange = '30d') {
-        const data = await this.analyzer.store.getTimeSeries(type, name, '1h', timeRange);
+    async optimizeModel(type, name, timeRange = '30d', strategy = 'grid', options = {}) {
+        const data = await this.analyzer.store.getTimeSeries(type, name, '1h', timeRange, this.analyzer.scope);
         const values = data.map(d => d.average);
 
         // Split data for optimization
@@ -23,8 +51,14 @@ class ModelOptimizer {
         const trainData = values.slice(0, splitIndex);
         const validData = values.slice(splitIndex);
 
-        // Grid search for optimal parameters
-        const results = await this.gridSearch(trainData, validData);
+        const searches = {
+            grid: () => this.gridSearch(trainData, validData),
+            random: () => this.randomSearch(trainData, validData, options),
+            bayesian: () => this.bayesianSearch(trainData, validData, options)
+        };
+        if (!searches[strategy]) throw new Error(`Unknown search strategy: ${strategy}`);
+
+        const results = await searches[strategy]();
 
         // Update model with optimal parameters
         const optimalParams = results.optimal;
@@ -33,6 +67,7 @@ class ModelOptimizer {
         // Store optimization history
         this.optimizationHistory.set(`${type}:${name}`, {
             timestamp: new Date().toISOString(),
+            strategy,
             results,
             improvement: results.improvement
         });
@@ -60,8 +95,8 @@ class ModelOptimizer {
                         training: { batchSize }
                     };
 
-                    const loss = await this.evaluateModel(trainData, validData, params);
-                    results.push({ params, loss });
+                    const { loss, training } = await this.trainAndEvaluate(trainData, validData, params);
+                    results.push({ params, loss, training });
                 }
             }
         }
@@ -78,61 +113,144 @@ class ModelOptimizer {
         };
     }
 
+    /**
+     * Seeded random search over the declared hyperparameter space
+     */
+    async randomSearch(trainData, validData, options = {}) {
+        return this.runSearch('random', trainData, validData, { ...this.hyperparameters.search.random, ...options });
+    }
+
+    /**
+     * Gaussian-process Bayesian optimization over the declared hyperparameter space
+     */
+    async bayesianSearch(trainData, validData, options = {}) {
+        return this.runSearch('bayesian', trainData, validData, { ...this.hyperparameters.search.bayesian, ...options });
+    }
+
+    /**
+     * Run a hyperparameter-search.js strategy against validation loss
+     *
+     * Returns the grid search fields plus `history`, the convergence curve,
+     * whose trials carry their `training` log.
+     */
+    async runSearch(strategy, trainData, validData, options) {
+        const baselineLoss = await this.evaluateModel(trainData, validData, this.hyperparameters.default);
+        const space = hyperparameterSearch.searchSpace(this.hyperparameters)
+            .filter(dimension => !UNSEARCHED.includes(dimension.name));
+        const objective = params => this.trainAndEvaluate(trainData, validData, params);
+        const search = strategy === 'random' ? hyperparameterSearch.randomSearch : hyperparameterSearch.bayesianSearch;
+
+        const { best, history } = await search(objective, space, options);
+        if (!best) throw new Error(`Every ${strategy} search trial failed (non-finite validation loss)`);
+
+        return {
+            strategy,
+            optimal: best.params,
+            improvement: ((baselineLoss - best.loss) / baselineLoss) * 100,
+            history,
+            allResults: history.map(({ params, loss, training }) => ({ params, loss, training }))
+        };
+    }
+
     /**
      * Evaluate model with given parameters
+     *
+     * Returns the validation loss on `validData`.
      */
     async evaluateModel(trainData, validData, params) {
-        const model = this.createOptimizedModel(params);
-        const { X: trainX, y: trainY } = this.analyzer.prepareData(trainData);
-        const { X: validX, y: validY } = this.analyzer.prepareData(validData);
+        return (await this.trainAndEvaluate(trainData, validData, params)).loss;
+    }
+
+    /**
+     * Train a model on `trainData` and score it on `validData`
+     *
+     * Returns { loss, training } with the training log of
+     * training-callbacks.js; the weights scored are those of the best epoch.
+     */
+    async trainAndEvaluate(trainData, validData, params) {
+        const resolved = this.resolveParams(params);
+        const { windowSize } = resolved.architecture;
+        const model = this.createOptimizedModel(resolved);
+        const { X: trainX, y: trainY } = this.analyzer.prepareData(trainData, windowSize);
+        const { X: validX, y: validY } = this.analyzer.prepareData(validData, windowSize);
+        const { callbacks, log } = this.createTrainingCallbacks(model, resolved);
 
         await model.fit(
             trainX.reshape([trainX.shape[0], trainX.shape[1], 1]),
             trainY,
             {
-                epochs: params.training.epochs || 50,
-                batchSize: params.training.batchSize,
+                epochs: resolved.training.epochs,
+                batchSize: resolved.training.batchSize,
+                shuffle: resolved.training.shuffle,
                 validationData: [
                     validX.reshape([validX.shape[0], validX.shape[1], 1]),
                     validY
                 ],
+                callbacks,
                 verbose: 0
             }
         );
 
-        const loss = model.evaluate(
+        // evaluate() returns [loss, ...metrics] as the model has metrics
+        const [loss] = [].concat(model.evaluate(
             validX.reshape([validX.shape[0], validX.shape[1], 1]),
             validY
-        ).dataSync()[0];
+        ));
 
-        return loss;
+        return { loss: loss.dataSync()[0], training: log };
+    }
+
+    /**
+     * Fill in parameters a search or caller left out
+     *
+     * Grid search only sets units, learning rate and batch size; the rest
+     * defaults to the original optimized architecture.
+     */
+    resolveParams(params) {
+        const sections = {
+            lstm: { ...OPTIMIZED_DEFAULTS.lstm, ...params.lstm },
+            optimizer: { ...OPTIMIZED_DEFAULTS.optimizer, ...params.optimizer },
+            training: { ...OPTIMIZED_DEFAULTS.training, ...params.training },
+            architecture: { windowSize: this.analyzer.windowSize, ...OPTIMIZED_DEFAULTS.architecture, ...params.architecture }
+        };
+        sections.lstm.kernelRegularizer = { ...OPTIMIZED_DEFAULTS.lstm.kernelRegularizer, ...params.lstm?.kernelRegularizer };
+
+        return sections;
     }
 
     /**
      * Create optimized model
+     *
+     * Each further LSTM layer has half the units of the previous one.
      */
     createOptimizedModel(params) {
+        const { lstm, optimizer, architecture } = this.resolveParams(params);
         const model = tf.sequential();
 
         // Optimized LSTM layers
-        model.add(tf.layers.lstm({
-            units: params.lstm.units,
-            inputShape: [this.analyzer.windowSize, 1],
-            returnSequences: true,
-            kernelRegularizer: tf.regularizers.l2({ l2: 0.01 })
-        }));
+        for (let layer = 0; layer < lstm.layers; layer++) {
+            const inputShape = layer === 0 ? { inputShape: [architecture.windowSize, 1] } : {};
+            const recurrent = tf.layers.lstm({
+                units: Math.max(1, Math.floor(lstm.units / 2 ** layer)),
+                activation: lstm.activation,
+                recurrentActivation: lstm.recurrentActivation,
+                recurrentDropout: lstm.recurrentDropout,
+                returnSequences: layer < lstm.layers - 1,
+                kernelRegularizer: tf.regularizers.l1l2(lstm.kernelRegularizer),
+                ...(architecture.bidirectional ? {} : inputShape)
+            });
 
-        model.add(tf.layers.batchNormalization());
-        model.add(tf.layers.dropout({ rate: 0.3 }));
+            model.add(architecture.bidirectional
+                ? tf.layers.bidirectional({ layer: recurrent, ...inputShape })
+                : recurrent);
 
-        model.add(tf.layers.lstm({
-            units: params.lstm.units / 2,
-            returnSequences: false,
-            kernelRegularizer: tf.regularizers.l2({ l2: 0.01 })
-        }));
+            if (architecture.batchNormalization) model.add(tf.layers.batchNormalization());
+            model.add(tf.layers.dropout({ rate: lstm.dropout }));
+        }
 
-        model.add(tf.layers.batchNormalization());
-        model.add(tf.layers.dropout({ rate: 0.2 }));
+        if (architecture.denseUnits > 1) {
+            model.add(tf.layers.dense({ units: architecture.denseUnits, activation: 'relu' }));
+        }
 
         model.add(tf.layers.dense({
             units: 1,
@@ -141,7 +259,7 @@ class ModelOptimizer {
 
         // Optimized compilation
         model.compile({
-            optimizer: tf.train.adam(params.optimizer.learningRate),
+            optimizer: this.createOptimizer(optimizer),
             loss: 'meanSquaredError',
             metrics: ['mse', 'mae']
         });
@@ -149,12 +267,53 @@ class ModelOptimizer {
         return model;
     }
 
+    /**
+     * Create optimizer from optimizer parameters
+     */
+    createOptimizer({ type, learningRate, momentum, beta1, beta2, epsilon }) {
+        switch (type) {
+            case 'adam':
+                return tf.train.adam(learningRate, beta1, beta2, epsilon);
+            case 'rmsprop':
+                return tf.train.rmsprop(learningRate, 0.9, momentum, epsilon);
+            case 'sgd':
+                return momentum > 0 ? tf.train.momentum(learningRate, momentum) : tf.train.sgd(learningRate);
+            default:
+                throw new Error(`Unknown optimizer type: ${type}`);
+        }
+    }
+
+    /**
+     * Early stopping, reduce-LR-on-plateau and decay callbacks for a model
+     *
+     * `validation` settings from config/hyperparameters.js, with patience
+     * overridden by `training.earlyStoppingPatience`/`reduceLRPatience`.
+     */
+    createTrainingCallbacks(model, { optimizer, training }) {
+        const { earlyStoping, learningRateSchedule } = this.hyperparameters.validation;
+
+        return trainingCallbacks.createTrainingCallbacks(model, {
+            earlyStopping: { ...earlyStoping, patience: training.earlyStoppingPatience ?? earlyStoping.patience },
+            learningRateSchedule: {
+                ...learningRateSchedule,
+                patience: training.reduceLRPatience ?? learningRateSchedule.patience
+            },
+            learningRate: optimizer.learningRate,
+            decay: optimizer.decay
+        });
+    }
+
     /**
      * Update existing model with optimal parameters
+     *
+     * The optimized model replaces the saved one, see MLAnalyzer.saveModel().
      */
     async updateModel(type, name, params) {
-        const optimizedModel = this.createOptimizedModel(params);
-        const data = await this.analyzer.store.getTimeSeries(type, name, '30d', '1h');
+        const resolved = this.resolveParams(params);
+        const { windowSize } = resolved.architecture;
+        const optimizedModel = this.createOptimizedModel(resolved);
+        const range = this.analyzer.store.resolveTimeRange('30d');
+        const data = await this.analyzer.store.getTimeSeries(type, name, '1h', range, this.analyzer.scope);
         const values = data.map(d => d.average);
 
         // Normalize data
@@ -163,24 +322,32 @@ class ModelOptimizer {
         const normalizedValues = values.map(v => (v - min) / (max - min));
 
         // Train optimized model
-        const { X, y } = this.analyzer.prepareData(normalizedValues);
-        await optimizedModel.fit(
+        const { X, y } = this.analyzer.prepareData(normalizedValues, windowSize);
+        const { callbacks, log } = this.createTrainingCallbacks(optimizedModel, resolved);
+        const history = await optimizedModel.fit(
             X.reshape([X.shape[0], X.shape[1], 1]),
             y,
             {
-                epochs: params.training.epochs || 50,
-                batchSize: params.training.batchSize,
-                validationSplit: 0.2,
+                epochs: resolved.training.epochs,
+                batchSize: resolved.training.batchSize,
+                shuffle: resolved.training.shuffle,
+                validationSplit: resolved.training.validationSplit,
+                callbacks,
                 verbose: 0
             }
         );
 
         // Update model in analyzer
-        this.analyzer.models.set(`${type}:${name}`, {
+        await this.analyzer.saveModel(type, name, {
             model: optimizedModel,
             min,
             max,
-            params
+            windowSize,
+            hyperparameters: resolved,
+            range,
+            fingerprint: ModelRegistry.fingerprint(values),
+            validationLoss: log.best ?? history.history.val_loss?.slice(-1)[0] ?? null,
+            training: log
         });
     }
 
@@ -191,9 +358,9 @@ class ModelOptimizer {
         const modelInfo = this.analyzer.models.get(`${type}:${name}`);
         if (!modelInfo) return null;
 
-        const data = await this.analyzer.store.getTimeSeries(type, name, '7d', '1h');
+        const data = await this.analyzer.store.getTimeSeries(type, name, '1h', '7d', this.analyzer.scope);
         const values = data.map(d => d.average);
-        const { X, y } = this.analyzer.prepareData(values);
+        const { X, y } = this.analyzer.prepareData(values, modelInfo.windowSize);
 
         // Calculate metrics
         const predictions = modelInfo.model.predict(
@@ -217,7 +384,7 @@ class ModelOptimizer {
             metrics,
             importance,
             optimization: this.optimizationHistory.get(`${type}:${name}`),
-            parameters: modelInfo.params
+            parameters: modelInfo.hyperparameters
         };
     }
 
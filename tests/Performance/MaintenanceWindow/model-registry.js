@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const stats = require('simple-statistics');
+const RunRegistry = require('./run-registry');
+
+// Retrain when the recent mean moved this many training standard deviations
+// or this share of recent values falls outside the training min/max
+const DRIFT = {
+    meanShift: 1,
+    outOfRange: 0.1
+};
+
+/**
+ * On-disk registry of trained MLAnalyzer models
+ *
+ * Each model lives in its own directory under `directory`, named after its
+ * `type:name` key: the TensorFlow.js artifacts (model.json and weights)
+ * next to metadata.json, which records what is needed to use and judge the
+ * model without retraining it: normalization min/max, window size,
+ * hyperparameters, training range, validation loss and a fingerprint of
+ * the training data.
+ *
+ *   const registry = new ModelRegistry('ml-models');
+ *   await model.save(`file://${registry.getModelPath('api:latency')}`);
+ *   await registry.writeMetadata('api:latency', { min, max, ... });
+ */
+class ModelRegistry {
+    constructor(directory = 'ml-models') {
+        this.directory = directory;
+    }
+
+    /**
+     * Directory holding a model's artifacts
+     */
+    getModelPath(key) {
+        return path.join(this.directory, encodeURIComponent(key));
+    }
+
+    /**
+     * Read model metadata, null when the model was never saved
+     */
+    async readMetadata(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.getModelPath(key), 'metadata.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Write model metadata
+     *
+     * Written after the model artifacts and replaced atomically, so a
+     * model without metadata is treated as never saved.
+     */
+    async writeMetadata(key, metadata) {
+        const directory = this.getModelPath(key);
+        const filePath = path.join(directory, 'metadata.json');
+        const tempPath = `${filePath}.tmp`;
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(metadata, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Remove a saved model
+     */
+    async remove(key) {
+        await fs.promises.rm(this.getModelPath(key), { recursive: true, force: true });
+    }
+
+    /**
+     * List keys of saved models
+     */
+    async list() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return entries
+            .filter(entry => entry.isDirectory() && fs.existsSync(path.join(this.directory, entry.name, 'metadata.json')))
+            .map(entry => decodeURIComponent(entry.name));
+    }
+}
+
+/**
+ * Fingerprint of training data ({ count, mean, stdDev, hash })
+ */
+ModelRegistry.fingerprint = (values) => ({
+    count: values.length,
+    mean: values.length ? stats.mean(values) : null,
+    stdDev: values.length ? stats.standardDeviation(values) : null,
+    hash: RunRegistry.hashConfig(values)
+});
+
+/**
+ * Compare recent values with a training data fingerprint
+ *
+ * Returns { drifted, meanShift, outOfRange }: the shift of the recent
+ * mean in training standard deviations and the share of recent values
+ * outside the training `min`/`max`, which the model never saw once
+ * normalized.
+ */
+ModelRegistry.detectDrift = (metadata, values, options = {}) => {
+    const { meanShift: maxMeanShift, outOfRange: maxOutOfRange } = { ...DRIFT, ...options };
+    const { fingerprint, min, max } = metadata;
+    if (!values.length) return { drifted: false, meanShift: 0, outOfRange: 0 };
+
+    const difference = Math.abs(stats.mean(values) - fingerprint.mean);
+    let meanShift = fingerprint.stdDev > 0 ? difference / fingerprint.stdDev : 0;
+    if (fingerprint.stdDev === 0 && difference > 0) meanShift = Infinity;
+    const outOfRange = values.filter(value => value < min || value > max).length / values.length;
+
+    return {
+        drifted: meanShift > maxMeanShift || outOfRange > maxOutOfRange,
+        meanShift,
+        outOfRange
+    };
+};
+
+ModelRegistry.DRIFT = DRIFT;
+
+module.exports = ModelRegistry;
@@ -0,0 +1,59 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModelRegistry = require('./model-registry');
+
+describe('ModelRegistry', () => {
+    let tempDir;
+    let registry;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-test-'));
+        registry = new ModelRegistry(path.join(tempDir, 'models'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('saves, lists and removes model metadata', async () => {
+        expect(await registry.readMetadata('api:latency')).toBeNull();
+        expect(await registry.list()).toEqual([]);
+
+        const metadata = { min: 10, max: 90, windowSize: 24, range: { start: '2024-03-01T00:00:00.000Z', end: '2024-03-31T00:00:00.000Z' } };
+        await registry.writeMetadata('api:latency', metadata);
+        await registry.writeMetadata('system/cpu:p95', { min: 0, max: 1 });
+
+        expect(await registry.readMetadata('api:latency')).toEqual(metadata);
+        expect((await registry.list()).sort()).toEqual(['api:latency', 'system/cpu:p95']);
+        expect(path.dirname(registry.getModelPath('system/cpu:p95'))).toBe(registry.directory);
+
+        await registry.remove('api:latency');
+        expect(await registry.list()).toEqual(['system/cpu:p95']);
+    });
+
+    test('fingerprints training data', () => {
+        const fingerprint = ModelRegistry.fingerprint([1, 2, 3, 4]);
+
+        expect(fingerprint).toMatchObject({ count: 4, mean: 2.5 });
+        expect(fingerprint.stdDev).toBeCloseTo(Math.sqrt(1.25), 10);
+        expect(ModelRegistry.fingerprint([1, 2, 3, 4]).hash).toBe(fingerprint.hash);
+        expect(ModelRegistry.fingerprint([1, 2, 3, 5]).hash).not.toBe(fingerprint.hash);
+    });
+
+    test('detects drift from the training data', () => {
+        const training = Array.from({ length: 720 }, (_, i) => 100 + 10 * Math.sin((2 * Math.PI * i) / 24));
+        const metadata = { min: Math.min(...training), max: Math.max(...training), fingerprint: ModelRegistry.fingerprint(training) };
+
+        expect(ModelRegistry.detectDrift(metadata, training.slice(-24)).drifted).toBe(false);
+
+        const shifted = ModelRegistry.detectDrift(metadata, training.slice(-24).map(value => value + 15));
+        expect(shifted.drifted).toBe(true);
+        expect(shifted.meanShift).toBeCloseTo(15 / metadata.fingerprint.stdDev, 10);
+        expect(shifted.outOfRange).toBeGreaterThan(0.5);
+
+        expect(ModelRegistry.detectDrift(metadata, training.slice(-24).map(value => value + 5), { meanShift: 2, outOfRange: 1 }).drifted)
+            .toBe(false);
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Period detection for metric series
+ *
+ * Follows AUTOPERIOD (Vlachos et al.): the periodogram proposes candidate
+ * periods and the autocorrelation function (ACF) validates them. A
+ * candidate is kept only if the ACF has a hill around it, which rejects
+ * the harmonics and leakage a periodogram alone reports, and its period is
+ * refined to the top of that hill.
+ *
+ * Missing buckets are null. They are interpolated for the periodogram and
+ * skipped pairwise in the ACF. Significance is 1 - p where p is the chance
+ * that white noise gives any of the n/2 periodogram ordinates this much
+ * power (normalized powers are Exp(1) under white noise).
+ */
+
+const DEFAULTS = {
+    minPeriod: 2,
+    // Default maximum period: half the series, so at least two cycles are seen
+    maxPeriod: null,
+    minSignificance: 0.99,
+    maxPeriods: 3
+};
+
+/**
+ * Remove the least-squares line through the present values
+ */
+function detrend(values) {
+    const points = values
+        .map((value, i) => [i, value])
+        .filter(([, value]) => value !== null && Number.isFinite(value));
+    if (points.length < 2) return values.map(value => (value === null ? null : 0));
+
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(([x, y]) => {
+        covariance += (x - meanX) * (y - meanY);
+        variance += (x - meanX) ** 2;
+    });
+    const slope = variance ? covariance / variance : 0;
+
+    return values.map((value, i) => (
+        value === null || !Number.isFinite(value) ? null : value - meanY - slope * (i - meanX)
+    ));
+}
+
+/**
+ * Fill nulls by linear interpolation (edges take the nearest value)
+ */
+function interpolate(values) {
+    const filled = [...values];
+    let before = -1;
+
+    for (let i = 0; i <= values.length; i++) {
+        if (i < values.length && values[i] === null) continue;
+
+        // Fill the gap between the present values at `before` and `i`
+        for (let j = before + 1; j < i; j++) {
+            if (before < 0 && i === values.length) filled[j] = 0;
+            else if (before < 0) filled[j] = values[i];
+            else if (i === values.length) filled[j] = values[before];
+            else filled[j] = values[before] + (values[i] - values[before]) * (j - before) / (i - before);
+        }
+        before = i;
+    }
+
+    return filled;
+}
+
+/**
+ * Power spectrum via an in-place radix-2 FFT, zero-padded to a power of two
+ *
+ * Returns { size, power } with power[k] for frequencies k / size, k <= size / 2.
+ */
+function periodogram(values) {
+    let size = 1;
+    while (size < values.length) size *= 2;
+
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    values.forEach((value, i) => { re[i] = value; });
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let length = 2; length <= size; length *= 2) {
+        const angle = -2 * Math.PI / length;
+        for (let start = 0; start < size; start += length) {
+            for (let k = 0; k < length / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + length / 2;
+                const tr = re[b] * cos - im[b] * sin;
+                const ti = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+
+    const power = new Float64Array(size / 2 + 1);
+    for (let k = 0; k <= size / 2; k++) {
+        power[k] = (re[k] * re[k] + im[k] * im[k]) / values.length;
+    }
+
+    return { size, power };
+}
+
+/**
+ * Autocorrelation at lags 0..maxLag, skipping pairs with a missing value
+ */
+function autocorrelation(values, maxLag) {
+    const present = values.filter(value => value !== null);
+    const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+    const variance = present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / present.length;
+    const acf = new Float64Array(maxLag + 1);
+    if (!(variance > 0)) return acf;
+
+    for (let lag = 0; lag <= maxLag; lag++) {
+        let sum = 0;
+        let pairs = 0;
+        for (let i = 0; i + lag < values.length; i++) {
+            if (values[i] === null || values[i + lag] === null) continue;
+            sum += (values[i] - mean) * (values[i + lag] - mean);
+            pairs++;
+        }
+        acf[lag] = pairs ? sum / pairs / variance : 0;
+    }
+
+    return acf;
+}
+
+/**
+ * Dominant periods of values (null for missing buckets)
+ *
+ * Options: minPeriod, maxPeriod, minSignificance, maxPeriods. Returns
+ * [{ period, power, significance, strength }] strongest first, where
+ * `power` is the share of the detrended variance at that frequency and
+ * `strength` the autocorrelation at the period.
+ */
+function detectPeriods(values, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const n = values.length;
+    const maxPeriod = Math.min(settings.maxPeriod ?? Math.floor(n / 2), Math.floor(n / 2));
+    if (maxPeriod < settings.minPeriod || values.filter(value => value !== null).length < 4) return [];
+
+    const detrended = detrend(values);
+    const { size, power } = periodogram(interpolate(detrended));
+    const acf = autocorrelation(detrended, Math.min(n - 1, maxPeriod + Math.ceil(maxPeriod / 2)));
+
+    let total = 0;
+    for (let k = 1; k < power.length; k++) total += power[k];
+    const meanPower = total / (power.length - 1);
+    if (!(meanPower > 0)) return [];
+
+    // Independent ordinates of the unpadded series, for the significance bound
+    const ordinates = Math.floor(n / 2);
+    const candidates = [];
+
+    for (let k = 1; k < power.length - 1; k++) {
+        const period = size / k;
+        if (period > maxPeriod || period < settings.minPeriod) continue;
+        if (power[k] < power[k - 1] || power[k] < power[k + 1]) continue;
+
+        const normalized = power[k] / meanPower;
+        const significance = (1 - Math.exp(-normalized)) ** ordinates;
+        if (significance < settings.minSignificance) continue;
+
+        // Refine on the ACF between the neighbouring frequency bins' periods
+        const low = Math.max(settings.minPeriod, Math.floor(size / (k + 1)));
+        const high = Math.min(acf.length - 2, Math.ceil(size / (k - 1 || 0.5)));
+        let lag = -1;
+        for (let l = low; l <= high; l++) {
+            if (lag < 0 || acf[l] > acf[lag]) lag = l;
+        }
+        if (lag < 0 || acf[lag] <= 0 || acf[lag] < acf[lag - 1] || acf[lag] < acf[lag + 1]) continue;
+        if (lag > maxPeriod) continue;
+
+        candidates.push({
+            period: lag,
+            power: power[k] / total,
+            significance,
+            strength: acf[lag]
+        });
+    }
+
+    // Neighbouring bins can settle on the same hill; keep the strongest
+    const periods = new Map();
+    candidates
+        .sort((a, b) => b.power - a.power)
+        .forEach(candidate => {
+            if (!periods.has(candidate.period)) periods.set(candidate.period, candidate);
+        });
+
+    return Array.from(periods.values()).slice(0, settings.maxPeriods);
+}
+
+module.exports = {
+    autocorrelation,
+    detectPeriods,
+    periodogram
+};
@@ -0,0 +1,49 @@
+const { describe, expect, test } = require('@jest/globals');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const { detectPeriods } = require('./periodicity');
+
+// Seeded white noise in [-1, 1)
+const createNoise = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648 * 2 - 1;
+};
+
+// Office hours on weekdays, quieter weekends, slow growth
+const workload = (noise) => Array.from({ length: 24 * 28 }, (_, i) => {
+    const hour = i % 24;
+    const weekend = Math.floor(i / 24) % 7 >= 5;
+    return 100 + (hour >= 9 && hour < 17 ? 30 : 0) + (weekend ? -20 : 0) + 0.05 * i + 5 * noise();
+});
+
+describe('detectPeriods', () => {
+    test('finds daily and weekly periods without harmonics', () => {
+        const periods = detectPeriods(workload(createNoise(1)));
+
+        expect(periods.map(period => period.period)).toEqual([24, 168]);
+        periods.forEach(period => expect(period.significance).toBeGreaterThan(0.99));
+    });
+
+    test('copes with missing buckets', () => {
+        const values = workload(createNoise(2)).map((value, i) => ((i * 37) % 10 === 0 ? null : value));
+
+        expect(detectPeriods(values).map(period => period.period)).toEqual([24, 168]);
+    });
+
+    test('reports no period for white noise', () => {
+        const noise = createNoise(3);
+        expect(detectPeriods(Array.from({ length: 500 }, () => noise()))).toEqual([]);
+        expect(detectPeriods([1, 2, 3])).toEqual([]);
+    });
+});
+
+describe('MetricsAnalyzer.detectSeasonality', () => {
+    test('uses the detected period instead of assuming 24 hours', () => {
+        const noise = createNoise(4);
+        const values = Array.from({ length: 300 }, (_, i) => 50 + 10 * Math.sin(2 * Math.PI * i / 37) + noise());
+        const seasonality = new MetricsAnalyzer(null).detectSeasonality(values);
+
+        expect(seasonality).toMatchObject({ hasSeasonality: true, period: 37 });
+        expect(seasonality.pattern).toHaveLength(37);
+        expect(seasonality.strength).toBeGreaterThan(0.9);
+    });
+});
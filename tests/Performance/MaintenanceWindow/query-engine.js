@@ -0,0 +1,419 @@
+const { StorageAdapter } = require('./storage');
+const { parseTagMatchers, matchesTags } = require('./tag-matchers');
+const { parseQuery } = require('./query-parser');
+
+// Same cap as Prometheus range queries
+const MAX_STEPS = 11000;
+
+/**
+ * Evaluates query language expressions (see query-parser.js) against a MetricsStore
+ *
+ * Queries are evaluated on a grid of `step`-sized buckets covering the time
+ * range. Each bucket [t, t + step) yields one point per series:
+ * - an instant selector gives the mean of the samples in the bucket
+ * - a range function covers the `[window]` ending at the bucket end
+ * - an aggregation over a plain selector pools the bucket's raw samples, so
+ *   p95(metric{type="api"}) is the 95th percentile of all samples rather
+ *   than of per-series means
+ */
+class QueryEngine {
+    constructor(metricsStore) {
+        this.store = metricsStore;
+    }
+
+    /**
+     * Evaluate expression over time range
+     *
+     * Returns { expression, range, step, resultType: 'matrix', series } where
+     * series are [{ labels, points: [{ time, value }] }], or resultType
+     * 'scalar' with `value` for expressions without selectors.
+     */
+    async query(expression, options = {}) {
+        const ast = parseQuery(expression);
+        const range = this.store.resolveTimeRange(options.timeRange || '1h');
+        const step = this.store.parseInterval(options.step || '1m');
+
+        const start = this.store.alignDate(new Date(range.start), step).getTime() / 1000;
+        const end = new Date(range.end).getTime() / 1000;
+        const steps = Math.ceil((end - start) / step);
+        if (steps > MAX_STEPS) {
+            throw new Error(`Query range too long for step ${step}s: ${steps} steps (max ${MAX_STEPS})`);
+        }
+
+        const context = {
+            range,
+            step,
+            end,
+            times: Array.from({ length: steps }, (_, i) => start + i * step),
+            samples: new Map()
+        };
+
+        const result = await this.evaluate(ast, context);
+        const base = { expression, range, step };
+
+        if (result.kind === 'scalar') {
+            return { ...base, resultType: 'scalar', value: result.value };
+        }
+
+        return {
+            ...base,
+            resultType: 'matrix',
+            series: result.series
+                .filter(series => series.values.some(value => value !== null))
+                .map(series => ({
+                    labels: series.labels,
+                    points: context.times.map((time, i) => ({
+                        time: new Date(time * 1000).toISOString(),
+                        value: series.values[i]
+                    }))
+                }))
+        };
+    }
+
+    /**
+     * Evaluate AST node into a scalar or a vector of series
+     */
+    async evaluate(node, context) {
+        switch (node.type) {
+            case 'number':
+                return { kind: 'scalar', value: node.value };
+            case 'selector':
+                if (node.window) {
+                    throw new Error('Range selector must be wrapped in a function, e.g. rate(...[5m])');
+                }
+                return await this.evaluateSelector(node, context);
+            case 'call':
+                return await this.evaluateCall(node, context);
+            case 'aggregate':
+                return await this.evaluateAggregate(node, context);
+            case 'negate':
+                return this.applyBinary('*', { kind: 'scalar', value: -1 }, await this.evaluate(node.expr, context));
+            case 'binary':
+                return this.applyBinary(
+                    node.op,
+                    await this.evaluate(node.left, context),
+                    await this.evaluate(node.right, context)
+                );
+            default:
+                throw new Error(`Unknown query node: ${node.type}`);
+        }
+    }
+
+    /**
+     * Evaluate instant selector: mean per bucket, keeping raw samples for aggregations
+     */
+    async evaluateSelector(node, context) {
+        const series = await this.fetchSeries(node, context);
+
+        return {
+            kind: 'vector',
+            series: series.map(({ labels, samples }) => {
+                const buckets = context.times.map(time => {
+                    return this.samplesBetween(samples, time, time + context.step).map(sample => sample.value);
+                });
+
+                return {
+                    labels,
+                    buckets,
+                    values: buckets.map(values => values.length ? this.reduce('avg', values) : null)
+                };
+            })
+        };
+    }
+
+    /**
+     * Evaluate range function over the window ending at each bucket end
+     */
+    async evaluateCall(node, context) {
+        const { window } = node.selector;
+        const series = await this.fetchSeries(node.selector, context);
+
+        return {
+            kind: 'vector',
+            series: series.map(({ labels, samples }) => ({
+                labels,
+                values: context.times.map(time => {
+                    const to = Math.min(time + context.step, context.end);
+                    const values = this.samplesBetween(samples, to - window, to).map(sample => sample.value);
+
+                    switch (node.name) {
+                        case 'rate':
+                            return values.length / window;
+                        case 'count_over_time':
+                            return values.length;
+                        case 'quantile_over_time':
+                            return values.length ? this.quantile(values, node.q) : null;
+                        default:
+                            return values.length ? this.reduce(node.name.replace('_over_time', ''), values) : null;
+                    }
+                })
+            }))
+        };
+    }
+
+    /**
+     * Evaluate aggregation, grouping series by `by`/`without` labels
+     */
+    async evaluateAggregate(node, context) {
+        const operand = await this.evaluate(node.expr, context);
+        if (operand.kind === 'scalar') {
+            throw new Error(`${node.name} expects a series expression, not a scalar`);
+        }
+
+        const groups = new Map();
+        for (const series of operand.series) {
+            const labels = this.groupLabels(series.labels, node.grouping);
+            const key = JSON.stringify(labels);
+            if (!groups.has(key)) groups.set(key, { labels, members: [] });
+            groups.get(key).members.push(series);
+        }
+
+        const op = node.q === null ? node.name : 'quantile';
+
+        return {
+            kind: 'vector',
+            series: Array.from(groups.values()).map(({ labels, members }) => ({
+                labels,
+                values: context.times.map((_, i) => {
+                    const values = members.flatMap(series => {
+                        if (series.buckets) return series.buckets[i];
+                        return series.values[i] === null ? [] : [series.values[i]];
+                    });
+
+                    if (!values.length) return null;
+                    return op === 'quantile' ? this.quantile(values, node.q) : this.reduce(op, values);
+                })
+            }))
+        };
+    }
+
+    /**
+     * Apply arithmetic operator to scalars and vectors
+     *
+     * Vectors match series with identical labels; a single unlabelled
+     * series (e.g. `sum(...)` without grouping) applies to every series on
+     * the other side.
+     */
+    applyBinary(op, left, right) {
+        const apply = (a, b) => {
+            if (a === null || b === null) return null;
+
+            switch (op) {
+                case '+':
+                    return a + b;
+                case '-':
+                    return a - b;
+                case '*':
+                    return a * b;
+                case '/':
+                    return b === 0 ? null : a / b;
+            }
+        };
+
+        if (left.kind === 'scalar' && right.kind === 'scalar') {
+            return { kind: 'scalar', value: apply(left.value, right.value) };
+        }
+
+        if (left.kind === 'scalar' || right.kind === 'scalar') {
+            const vector = left.kind === 'vector' ? left : right;
+
+            return {
+                kind: 'vector',
+                series: vector.series.map(series => ({
+                    labels: series.labels,
+                    values: series.values.map(value => (left.kind === 'scalar'
+                        ? apply(left.value, value)
+                        : apply(value, right.value)))
+                }))
+            };
+        }
+
+        const combine = (a, b, labels) => ({
+            labels,
+            values: a.values.map((value, i) => apply(value, b.values[i]))
+        });
+
+        const unlabelled = vector => vector.series.length === 1 && !Object.keys(vector.series[0].labels).length;
+
+        if (unlabelled(right)) {
+            const [single] = right.series;
+            return { kind: 'vector', series: left.series.map(series => combine(series, single, series.labels)) };
+        }
+
+        if (unlabelled(left)) {
+            const [single] = left.series;
+            return { kind: 'vector', series: right.series.map(series => combine(single, series, series.labels)) };
+        }
+
+        const rightByLabels = new Map(right.series.map(series => [JSON.stringify(this.sortLabels(series.labels)), series]));
+
+        return {
+            kind: 'vector',
+            series: left.series
+                .filter(series => rightByLabels.has(JSON.stringify(this.sortLabels(series.labels))))
+                .map(series => combine(series, rightByLabels.get(JSON.stringify(this.sortLabels(series.labels))), series.labels))
+        };
+    }
+
+    /**
+     * Load selector samples grouped into series by label set
+     *
+     * Samples span the grid plus the selector window, so the first range
+     * function bucket sees a full window.
+     */
+    async fetchSeries(selector, context) {
+        const key = JSON.stringify([selector.source, selector.matchers, selector.window]);
+        if (context.samples.has(key)) return context.samples.get(key);
+
+        const matchers = parseTagMatchers(selector.matchers);
+        const equal = label => {
+            const matcher = matchers.find(m => m.key === label && m.op === '=');
+            return matcher ? matcher.value : null;
+        };
+
+        const timeRange = {
+            start: new Date(((context.times[0] ?? context.end) - (selector.window || 0)) * 1000),
+            end: context.range.end
+        };
+
+        let samples;
+        switch (selector.source) {
+            case 'metric': {
+                const rows = await this.store.getMetrics(equal('type'), equal('name'), timeRange, {
+                    tags: matchers.filter(m => m.key !== 'type' && m.key !== 'name')
+                });
+                samples = rows.map(row => ({
+                    timestamp: row.timestamp,
+                    labels: { ...JSON.parse(row.tags || '{}'), type: row.metric_type, name: row.metric_name },
+                    value: row.value
+                }));
+                break;
+            }
+            case 'execution_times': {
+                const rows = await this.store.getExecutionTimes(equal('operation'), timeRange);
+                samples = rows.map(row => ({
+                    timestamp: row.timestamp,
+                    labels: { operation: row.operation, success: row.success ? 'true' : 'false' },
+                    value: row.duration
+                }));
+                break;
+            }
+            case 'alerts': {
+                const rows = await this.store.getAlerts(equal('type'), timeRange);
+                samples = rows.map(row => ({
+                    timestamp: row.timestamp,
+                    labels: {
+                        ...JSON.parse(row.labels || '{}'),
+                        type: row.metric_type,
+                        name: row.metric_name,
+                        state: row.state
+                    },
+                    value: row.actual_value
+                }));
+                break;
+            }
+            default:
+                throw new Error(`Unknown query source: ${selector.source}`);
+        }
+
+        const series = new Map();
+        for (const sample of samples) {
+            const labels = this.sortLabels(this.stringifyLabels(sample.labels));
+            if (!matchesTags(labels, matchers)) continue;
+
+            const labelKey = JSON.stringify(labels);
+            if (!series.has(labelKey)) series.set(labelKey, { labels, samples: [] });
+            series.get(labelKey).samples.push({
+                epoch: StorageAdapter.toEpoch(sample.timestamp),
+                value: sample.value
+            });
+        }
+
+        const result = Array.from(series.values());
+        result.forEach(entry => entry.samples.sort((a, b) => a.epoch - b.epoch));
+        context.samples.set(key, result);
+
+        return result;
+    }
+
+    /**
+     * Samples in [from, to) from epoch-sorted samples
+     */
+    samplesBetween(samples, from, to) {
+        const lowerBound = epoch => {
+            let low = 0;
+            let high = samples.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (samples[mid].epoch < epoch) low = mid + 1;
+                else high = mid;
+            }
+            return low;
+        };
+
+        return samples.slice(lowerBound(from), lowerBound(to));
+    }
+
+    /**
+     * Labels kept by `by (...)` / dropped by `without (...)`
+     */
+    groupLabels(labels, grouping) {
+        if (!grouping) return {};
+
+        return Object.fromEntries(Object.entries(labels).filter(([key]) => {
+            return grouping.mode === 'by' ? grouping.labels.includes(key) : !grouping.labels.includes(key);
+        }));
+    }
+
+    /**
+     * Convert label values to strings, dropping null/undefined
+     */
+    stringifyLabels(labels) {
+        return Object.fromEntries(Object.entries(labels)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => [key, String(value)]));
+    }
+
+    /**
+     * Sort labels by key so equal label sets serialize identically
+     */
+    sortLabels(labels) {
+        return Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * Reduce values with sum, avg, min, max or count
+     */
+    reduce(op, values) {
+        switch (op) {
+            case 'sum':
+                return values.reduce((sum, value) => sum + value, 0);
+            case 'avg':
+                return values.reduce((sum, value) => sum + value, 0) / values.length;
+            case 'min':
+                return values.reduce((min, value) => Math.min(min, value), Infinity);
+            case 'max':
+                return values.reduce((max, value) => Math.max(max, value), -Infinity);
+            case 'count':
+                return values.length;
+            default:
+                throw new Error(`Unknown aggregation: ${op}`);
+        }
+    }
+
+    /**
+     * Quantile with linear interpolation between closest ranks
+     */
+    quantile(values, q) {
+        if (!(q >= 0 && q <= 1)) throw new Error(`Invalid quantile: ${q} (expected 0-1)`);
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = q * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+}
+
+module.exports = QueryEngine;
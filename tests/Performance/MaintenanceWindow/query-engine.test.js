@@ -0,0 +1,126 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const QueryEngine = require('./query-engine');
+const { parseQuery } = require('./query-parser');
+
+describe('parseQuery', () => {
+    test('parses selectors, range functions and aggregations', () => {
+        expect(parseQuery('rate(execution_times{operation="extend"}[5m])')).toEqual({
+            type: 'call',
+            name: 'rate',
+            q: null,
+            selector: {
+                type: 'selector',
+                source: 'execution_times',
+                matchers: [{ key: 'operation', op: '=', value: 'extend' }],
+                window: 300
+            }
+        });
+        expect(parseQuery('p95(metric{type="api"}) by (env)')).toMatchObject({
+            type: 'aggregate',
+            name: 'p95',
+            q: 0.95,
+            grouping: { mode: 'by', labels: ['env'] }
+        });
+        expect(parseQuery('sum without (env) ({name=~"lat.*"})').grouping).toEqual({ mode: 'without', labels: ['env'] });
+    });
+
+    test('respects operator precedence', () => {
+        expect(parseQuery('1 + 2 * -3')).toEqual({
+            type: 'binary',
+            op: '+',
+            left: { type: 'number', value: 1 },
+            right: {
+                type: 'binary',
+                op: '*',
+                left: { type: 'number', value: 2 },
+                right: { type: 'negate', expr: { type: 'number', value: 3 } }
+            }
+        });
+    });
+
+    test('reports position of syntax errors', () => {
+        expect(() => parseQuery('metric{env="prod"')).toThrow('Query parse error at 17');
+        expect(() => parseQuery('rate(metric)')).toThrow('rate expects a range selector');
+        expect(() => parseQuery('latency{env="prod"}')).toThrow("unknown function or selector 'latency'");
+        expect(() => parseQuery('metric{env=prod}')).toThrow('expected quoted label value');
+    });
+});
+
+describe('QueryEngine', () => {
+    const range = { start: '2024-03-01T10:00:00Z', end: '2024-03-01T10:10:00Z' };
+    let store;
+    let engine;
+
+    beforeEach(async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        engine = new QueryEngine(store);
+        await store.initialize();
+
+        const metrics = [];
+        for (let minute = 0; minute < 10; minute++) {
+            const timestamp = `2024-03-01 10:${String(minute).padStart(2, '0')}:30`;
+            metrics.push(
+                { timestamp, metric_type: 'api', metric_name: 'latency', value: 10 + minute, tags: { env: 'prod' } },
+                { timestamp, metric_type: 'api', metric_name: 'latency', value: 100, tags: { env: 'staging' } },
+                { timestamp, metric_type: 'api', metric_name: 'errors', value: 1, tags: { env: 'prod' } }
+            );
+        }
+        await store.adapter.importRows('metrics', metrics, 'append');
+        await store.adapter.importRows('execution_times', [
+            { timestamp: '2024-03-01 10:04:00', operation: 'extend', duration: 5, success: true },
+            { timestamp: '2024-03-01 10:04:10', operation: 'extend', duration: 7, success: true },
+            { timestamp: '2024-03-01 10:04:20', operation: 'extend', duration: 9, success: false },
+            { timestamp: '2024-03-01 10:04:30', operation: 'cleanup', duration: 1, success: true }
+        ], 'append');
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    const values = result => result.series.map(series => [series.labels, series.points.map(point => point.value)]);
+
+    test('evaluates instant selectors per step', async () => {
+        const result = await engine.query('metric{name="latency", env="prod"}', { timeRange: range, step: '5m' });
+
+        expect(result).toMatchObject({ resultType: 'matrix', step: 300, range: { start: '2024-03-01T10:00:00.000Z' } });
+        expect(values(result)).toEqual([[{ env: 'prod', name: 'latency', type: 'api' }, [12, 17]]]);
+        expect(result.series[0].points[1].time).toBe('2024-03-01T10:05:00.000Z');
+    });
+
+    test('evaluates range functions over the window ending at each step', async () => {
+        const rate = await engine.query('rate(execution_times{operation="extend"}[5m])', { timeRange: range, step: '5m' });
+        expect(values(rate)).toEqual([
+            [{ operation: 'extend', success: 'true' }, [2 / 300, 0]],
+            [{ operation: 'extend', success: 'false' }, [1 / 300, 0]]
+        ]);
+
+        const counts = await engine.query('sum(count_over_time(execution_times[10m]))', { timeRange: range, step: '10m' });
+        expect(values(counts)).toEqual([[{}, [4]]]);
+    });
+
+    test('aggregates raw samples by label', async () => {
+        const result = await engine.query('p50(metric{type="api", name="latency"}) by (env)', { timeRange: range, step: '10m' });
+
+        expect(values(result)).toEqual([
+            [{ env: 'prod' }, [14.5]],
+            [{ env: 'staging' }, [100]]
+        ]);
+    });
+
+    test('combines series with arithmetic', async () => {
+        const ratio = await engine.query(
+            'sum(metric{name="errors"}) by (env) / count(metric{name="latency"}) by (env) * 100',
+            { timeRange: range, step: '10m' }
+        );
+        expect(values(ratio)).toEqual([[{ env: 'prod' }, [100]]]);
+
+        expect(await engine.query('(1 + 2) * 3')).toMatchObject({ resultType: 'scalar', value: 9 });
+    });
+
+    test('rejects invalid queries', async () => {
+        await expect(engine.query('metric{env="prod"}[5m]', { timeRange: range })).rejects.toThrow('Range selector must be wrapped');
+        await expect(engine.query('metric', { timeRange: '1y', step: '1s' })).rejects.toThrow('Query range too long');
+    });
+});
@@ -0,0 +1,316 @@
+/**
+ * Parser for the metrics query language
+ *
+ * A small PromQL-like language:
+ *   metric{type="api", name="latency", env="prod"}
+ *   rate(execution_times{operation="extend"}[5m])
+ *   p95(metric{type="api"}) by (env)
+ *   sum by (operation) (count_over_time(execution_times[1h])) / 60
+ *
+ * Selectors read `metric`, `execution_times` or `alerts` rows; label
+ * matchers use the tag matcher operators (=, !=, =~, !~). Expressions
+ * combine with + - * / and parentheses.
+ */
+
+// Row sources a selector can read
+const SOURCES = ['metric', 'execution_times', 'alerts'];
+
+// Functions over range selectors (`[5m]`); quantile_over_time takes q first
+const RANGE_FUNCTIONS = [
+    'rate',
+    'count_over_time',
+    'sum_over_time',
+    'avg_over_time',
+    'min_over_time',
+    'max_over_time',
+    'quantile_over_time'
+];
+
+// Aggregations; quantile takes q first, pNN are shorthands for it
+const AGGREGATIONS = {
+    sum: null,
+    avg: null,
+    min: null,
+    max: null,
+    count: null,
+    quantile: null,
+    p50: 0.5,
+    p90: 0.9,
+    p95: 0.95,
+    p99: 0.99
+};
+
+const DURATION_UNITS = {
+    s: 1,
+    m: 60,
+    h: 3600,
+    d: 86400
+};
+
+/**
+ * Split query into tokens ({ type, value, position })
+ */
+function tokenize(query) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < query.length) {
+        const rest = query.slice(position);
+        const whitespace = rest.match(/^\s+/);
+        if (whitespace) {
+            position += whitespace[0].length;
+            continue;
+        }
+
+        const patterns = [
+            ['duration', /^\[\s*(\d+[smhd])\s*\]/],
+            ['number', /^(\d+(?:\.\d+)?(?:e[+-]?\d+)?)/i],
+            ['identifier', /^([A-Za-z_][\w]*)/],
+            ['string', /^"((?:[^"\\]|\\.)*)"/],
+            ['string', /^'((?:[^'\\]|\\.)*)'/],
+            ['operator', /^(=~|!~|!=|=|[-+*/(){},])/]
+        ];
+
+        const match = patterns
+            .map(([type, pattern]) => [type, rest.match(pattern)])
+            .find(([, matches]) => matches);
+
+        if (!match) {
+            throw new Error(`Query parse error at ${position}: unexpected '${rest[0]}'`);
+        }
+
+        const [type, matches] = match;
+        let value = matches[1];
+        if (type === 'number') value = Number(value);
+        if (type === 'string') value = value.replace(/\\(.)/g, '$1');
+
+        tokens.push({ type, value, position });
+        position += matches[0].length;
+    }
+
+    tokens.push({ type: 'end', value: null, position });
+    return tokens;
+}
+
+/**
+ * Parse duration (e.g. 30s, 5m, 1h) into seconds
+ */
+function parseDuration(text) {
+    const [_, value, unit] = text.match(/^(\d+)([smhd])$/);
+    if (Number(value) === 0) throw new Error(`Invalid duration: ${text}`);
+    return Number(value) * DURATION_UNITS[unit];
+}
+
+/**
+ * Parse query into an AST
+ *
+ * Nodes: number, selector, call (range functions), aggregate, binary, negate.
+ */
+function parseQuery(query) {
+    const tokens = tokenize(String(query));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const fail = (message, token = peek()) => {
+        throw new Error(`Query parse error at ${token.position}: ${message}`);
+    };
+    const isOperator = (value, token = peek()) => token.type === 'operator' && token.value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) fail(`expected '${value}'`);
+        return next();
+    };
+
+    const parseLabelList = () => {
+        expect('(');
+        const labels = [];
+
+        while (!isOperator(')')) {
+            const token = next();
+            if (token.type !== 'identifier') fail('expected label name', token);
+            labels.push(token.value);
+            if (!isOperator(')')) expect(',');
+        }
+
+        expect(')');
+        return labels;
+    };
+
+    const parseGrouping = () => {
+        const token = peek();
+        if (token.type !== 'identifier' || !['by', 'without'].includes(token.value)) return null;
+
+        next();
+        return { mode: token.value, labels: parseLabelList() };
+    };
+
+    const parseMatchers = () => {
+        const matchers = [];
+        if (!isOperator('{')) return matchers;
+
+        next();
+        while (!isOperator('}')) {
+            const key = next();
+            if (key.type !== 'identifier') fail('expected label name', key);
+
+            const op = next();
+            if (op.type !== 'operator' || !['=', '!=', '=~', '!~'].includes(op.value)) {
+                fail('expected label matcher operator', op);
+            }
+
+            const value = next();
+            if (value.type !== 'string') fail('expected quoted label value', value);
+
+            matchers.push({ key: key.value, op: op.value, value: value.value });
+            if (!isOperator('}')) expect(',');
+        }
+
+        expect('}');
+        return matchers;
+    };
+
+    const parseSelector = (source) => {
+        const matchers = parseMatchers();
+        let window = null;
+
+        if (peek().type === 'duration') {
+            window = parseDuration(next().value);
+        }
+
+        return { type: 'selector', source, matchers, window };
+    };
+
+    const parseArguments = () => {
+        expect('(');
+        const args = [];
+
+        while (!isOperator(')')) {
+            args.push(parseExpression());
+            if (!isOperator(')')) expect(',');
+        }
+
+        expect(')');
+        return args;
+    };
+
+    const parseAggregate = (name, token) => {
+        let grouping = parseGrouping();
+        const args = parseArguments();
+        grouping = grouping || parseGrouping();
+
+        let q = AGGREGATIONS[name];
+        if (name === 'quantile') {
+            if (args.length !== 2 || args[0].type !== 'number') fail('quantile expects (q, expression)', token);
+            q = args.shift().value;
+        }
+
+        if (args.length !== 1) fail(`${name} expects one expression`, token);
+
+        return { type: 'aggregate', name, q, expr: args[0], grouping };
+    };
+
+    const parseCall = (name, token) => {
+        const args = parseArguments();
+        let q = null;
+
+        if (name === 'quantile_over_time') {
+            if (args.length !== 2 || args[0].type !== 'number') fail('quantile_over_time expects (q, selector[window])', token);
+            q = args.shift().value;
+        }
+
+        if (args.length !== 1 || args[0].type !== 'selector' || !args[0].window) {
+            fail(`${name} expects a range selector, e.g. ${name}(metric{...}[5m])`, token);
+        }
+
+        return { type: 'call', name, q, selector: args[0] };
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+
+        if (token.type === 'number') {
+            next();
+            return { type: 'number', value: token.value };
+        }
+
+        if (isOperator('(')) {
+            next();
+            const expr = parseExpression();
+            expect(')');
+            return expr;
+        }
+
+        if (isOperator('{')) {
+            return parseSelector('metric');
+        }
+
+        if (token.type === 'identifier') {
+            next();
+
+            if (Object.prototype.hasOwnProperty.call(AGGREGATIONS, token.value)) {
+                return parseAggregate(token.value, token);
+            }
+
+            if (RANGE_FUNCTIONS.includes(token.value)) {
+                return parseCall(token.value, token);
+            }
+
+            if (SOURCES.includes(token.value)) {
+                return parseSelector(token.value);
+            }
+
+            fail(`unknown function or selector '${token.value}' (selectors: ${SOURCES.join(', ')})`, token);
+        }
+
+        fail(token.type === 'end' ? 'unexpected end of query' : `unexpected '${token.value}'`);
+    };
+
+    const parseUnary = () => {
+        if (isOperator('-')) {
+            next();
+            return { type: 'negate', expr: parseUnary() };
+        }
+
+        if (isOperator('+')) {
+            next();
+            return parseUnary();
+        }
+
+        return parsePrimary();
+    };
+
+    const parseTerm = () => {
+        let left = parseUnary();
+
+        while (isOperator('*') || isOperator('/')) {
+            const op = next().value;
+            left = { type: 'binary', op, left, right: parseUnary() };
+        }
+
+        return left;
+    };
+
+    function parseExpression() {
+        let left = parseTerm();
+
+        while (isOperator('+') || isOperator('-')) {
+            const op = next().value;
+            left = { type: 'binary', op, left, right: parseTerm() };
+        }
+
+        return left;
+    }
+
+    const ast = parseExpression();
+    if (peek().type !== 'end') fail(`unexpected '${peek().value}'`);
+
+    return ast;
+}
+
+module.exports = {
+    SOURCES,
+    RANGE_FUNCTIONS,
+    AGGREGATIONS,
+    parseDuration,
+    parseQuery
+};
@@ -1,13 +1,18 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const DDSketch = require('./dd-sketch');
 
 /**
  * Real-time performance monitoring
+ *
+ * When a MetricsStore is given (any backend), collected samples are
+ * persisted as well as broadcast.
  */
 class RealTimeMonitor extends EventEmitter {
-    constructor(port = 3001) {
+    constructor(port = 3001, store = null) {
         super();
         this.port = port;
+        this.store = store;
         this.clients = new Set();
         this.metrics = {
             executionTimes: [],
@@ -16,6 +21,7 @@ class RealTimeMonitor extends EventEmitter {
             diskIO: [],
             timestamps: []
         };
+        this.executionSketches = new Map();
         this.setupWebSocket();
     }
 
@@ -53,13 +59,15 @@ class RealTimeMonitor extends EventEmitter {
     }
 
     /**
-     * Stop monitoring
+     * Stop monitoring and flush buffered samples to the store
      */
-    stop() {
+    async stop() {
         if (this.interval) {
             clearInterval(this.interval);
             console.log('Real-time monitoring stopped');
         }
+
+        if (this.store) await this.store.flush();
     }
 
     /**
@@ -74,6 +82,10 @@ class RealTimeMonitor extends EventEmitter {
 
         // Update metrics history
         this.updateMetrics(metrics);
+        this.persist(() => Promise.all([
+            this.store.storeMetric('system', 'heap_used_mb', metrics.memory.heapUsed / 1024 / 1024),
+            this.store.storeMetric('system', 'cpu_seconds', (metrics.cpu.user + metrics.cpu.system) / 1000000)
+        ]));
 
         // Broadcast to all clients
         this.broadcast({
@@ -105,6 +117,21 @@ class RealTimeMonitor extends EventEmitter {
         }
     }
 
+    /**
+     * Write to the store in the background, reporting failures as events
+     */
+    persist(write) {
+        if (!this.store) return;
+
+        write().catch(error => {
+            if (this.listenerCount('error')) {
+                this.emit('error', error);
+            } else {
+                console.error('Failed to persist metrics:', error.message);
+            }
+        });
+    }
+
     /**
      * Broadcast message to all clients
      */
@@ -129,6 +156,13 @@ class RealTimeMonitor extends EventEmitter {
 
         this.metrics.executionTimes.push(metric);
 
+        // Sketches cover the whole session, not only the recent history
+        if (!this.executionSketches.has(operation)) {
+            this.executionSketches.set(operation, new DDSketch());
+        }
+        this.executionSketches.get(operation).add(time);
+        this.persist(() => this.store.storeExecutionTime(operation, time));
+
         // Keep only recent history
         if (this.metrics.executionTimes.length > 100) {
             this.metrics.executionTimes.shift();
@@ -156,6 +190,7 @@ class RealTimeMonitor extends EventEmitter {
         }
 
         this.metrics[name].push(metric);
+        this.persist(() => this.store.storeMetric('custom', name, value));
 
         // Keep only recent history
         if (this.metrics[name].length > 100) {
@@ -197,11 +232,35 @@ class RealTimeMonitor extends EventEmitter {
             executionTimes: {
                 count: this.metrics.executionTimes.length,
                 average: this.average(this.metrics.executionTimes.map(m => m.time)),
-                p95: this.percentile(this.metrics.executionTimes.map(m => m.time), 95)
+                p95: this.percentile(this.metrics.executionTimes.map(m => m.time), 95),
+                percentiles: this.getExecutionPercentiles()
             }
         };
     }
 
+    /**
+     * Get session-wide execution time percentiles, overall and per operation
+     */
+    getExecutionPercentiles(quantiles = [0.5, 0.9, 0.99, 0.999]) {
+        const summarize = sketch => ({
+            count: sketch.count,
+            ...Object.fromEntries(quantiles.map(q => [`p${+(q * 100).toFixed(3)}`, sketch.quantile(q)]))
+        });
+
+        const overall = new DDSketch();
+        const operations = {};
+
+        this.executionSketches.forEach((sketch, operation) => {
+            overall.merge(sketch);
+            operations[operation] = summarize(sketch);
+        });
+
+        return {
+            overall: summarize(overall),
+            operations
+        };
+    }
+
     /**
      * Calculate average
      */
@@ -227,6 +286,10 @@ class RealTimeMonitor extends EventEmitter {
 
     /**
      * Add alert condition
+     *
+     * With a store, every sample also drives the stored alert lifecycle
+     * (type 'monitor', name `metric`), so an ongoing breach stays one alert
+     * that resolves once the value drops back.
      */
     addAlert(metric, threshold, callback) {
         this.on('metrics', (metrics) => {
@@ -244,6 +307,10 @@ class RealTimeMonitor extends EventEmitter {
                     }
             }
 
+            if (value !== undefined) {
+                this.persist(() => this.store.alerts.evaluate({ type: 'monitor', name: metric, value, threshold }));
+            }
+
             if (value !== undefined && value > threshold) {
                 callback({
                     metric,
@@ -0,0 +1,165 @@
+/**
+ * Differences between two MetricsAnalyzer reports
+ *
+ * Compares the metrics both reports share: trend directions that flipped,
+ * anomalies the later report found that the earlier one did not, and
+ * percentile shifts. Reports carry percentiles and sample counts but not
+ * samples, so a shift's significance uses the large-sample standard error
+ * of a quantile, sqrt(p (1 - p) / n) / f(q), with the density f estimated
+ * from the neighbouring reported percentiles.
+ */
+const stats = require('simple-statistics');
+
+const DEFAULTS = {
+    // Two-sided significance level for percentile shifts
+    alpha: 0.05
+};
+
+/**
+ * Report metrics keyed by type/name
+ */
+function indexMetrics(report) {
+    return new Map(report.metrics.map(metric => [`${metric.type}/${metric.name}`, metric]));
+}
+
+/**
+ * Standard error of each reported percentile
+ */
+function percentileErrors(percentiles, count) {
+    const levels = Object.keys(percentiles).map(Number).sort((a, b) => a - b);
+
+    return new Map(levels.map((p, i) => {
+        const low = levels[Math.max(i - 1, 0)];
+        const high = levels[Math.min(i + 1, levels.length - 1)];
+        const slope = high > low ? (percentiles[high] - percentiles[low]) / (high - low) : 0;
+
+        return [p, count > 0 ? Math.sqrt(p * (1 - p) / count) * Math.abs(slope) : Infinity];
+    }));
+}
+
+/**
+ * Two-sided p-value of a standard normal z-score
+ */
+function normalPValue(z) {
+    return 1 - stats.errorFunction(Math.abs(z) / Math.SQRT2);
+}
+
+/**
+ * Percentile shifts between two metric entries
+ */
+function diffPercentiles(key, before, after, alpha) {
+    const a = before.distribution?.percentiles || {};
+    const b = after.distribution?.percentiles || {};
+    const errorsA = percentileErrors(a, before.stats?.count || 0);
+    const errorsB = percentileErrors(b, after.stats?.count || 0);
+
+    return Object.keys(b)
+        .map(Number)
+        .filter(p => a[p] !== null && a[p] !== undefined && b[p] !== null && b[p] !== undefined)
+        .sort((x, y) => x - y)
+        .map(p => {
+            const shift = b[p] - a[p];
+            const error = Math.sqrt(errorsA.get(p) ** 2 + errorsB.get(p) ** 2);
+            let pValue = 1;
+            if (shift !== 0) pValue = error > 0 ? normalPValue(shift / error) : 0;
+
+            return {
+                metric: key,
+                percentile: p,
+                before: a[p],
+                after: b[p],
+                shift,
+                relativeShift: a[p] === 0 ? null : shift / Math.abs(a[p]),
+                pValue,
+                significant: pValue < alpha
+            };
+        });
+}
+
+/**
+ * Diff two reports, `before` being the baseline
+ *
+ * Returns { before, after, added, removed, trendFlips, newAnomalies,
+ * percentileShifts } where `before`/`after` are the report ranges,
+ * `added`/`removed` list metric keys (type/name) found in only one report
+ * and percentile shifts carry a two-sided `pValue` and `significant` at
+ * `options.alpha`.
+ */
+function diffReports(before, after, options = {}) {
+    const { alpha } = { ...DEFAULTS, ...options };
+    const metricsBefore = indexMetrics(before);
+    const metricsAfter = indexMetrics(after);
+    const diff = {
+        before: before.range,
+        after: after.range,
+        added: [...metricsAfter.keys()].filter(key => !metricsBefore.has(key)),
+        removed: [...metricsBefore.keys()].filter(key => !metricsAfter.has(key)),
+        trendFlips: [],
+        newAnomalies: [],
+        percentileShifts: []
+    };
+
+    metricsAfter.forEach((metricAfter, key) => {
+        const metricBefore = metricsBefore.get(key);
+        if (!metricBefore) return;
+
+        const trendBefore = metricBefore.analysis?.trend;
+        const trendAfter = metricAfter.analysis?.trend;
+        if (trendBefore?.direction && trendAfter?.direction && trendBefore.direction !== trendAfter.direction) {
+            diff.trendFlips.push({
+                metric: key,
+                from: trendBefore.direction,
+                to: trendAfter.direction,
+                slopeBefore: trendBefore.slope,
+                slopeAfter: trendAfter.slope,
+                strength: trendAfter.strength
+            });
+        }
+
+        // Overlapping ranges can flag the same bucket twice; only report it once
+        const seen = new Set((metricBefore.analysis?.anomalies?.anomalies || []).map(anomaly => anomaly.time));
+        (metricAfter.analysis?.anomalies?.anomalies || [])
+            .filter(anomaly => anomaly.time === undefined || !seen.has(anomaly.time))
+            .forEach(anomaly => diff.newAnomalies.push({ metric: key, ...anomaly }));
+
+        diff.percentileShifts.push(...diffPercentiles(key, metricBefore, metricAfter, alpha));
+    });
+
+    return diff;
+}
+
+/**
+ * Human-readable summary of a report diff
+ */
+function formatReportDiff(diff) {
+    const lines = [`Comparing ${diff.before.start} - ${diff.before.end} with ${diff.after.start} - ${diff.after.end}`];
+    const percent = value => (value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`);
+
+    if (diff.added.length) lines.push(`New metrics: ${diff.added.join(', ')}`);
+    if (diff.removed.length) lines.push(`Missing metrics: ${diff.removed.join(', ')}`);
+
+    lines.push('', `Trend flips (${diff.trendFlips.length}):`);
+    diff.trendFlips.forEach(flip => {
+        lines.push(`  ${flip.metric}: ${flip.from} -> ${flip.to} (${flip.strength})`);
+    });
+
+    lines.push('', `New anomalies (${diff.newAnomalies.length}):`);
+    diff.newAnomalies.forEach(anomaly => {
+        const severity = anomaly.severity === undefined ? '' : `, severity ${anomaly.severity.toFixed(1)}`;
+        lines.push(`  ${anomaly.metric} at ${anomaly.time ?? `#${anomaly.index}`}: ${anomaly.value.toFixed(2)}${severity}`);
+    });
+
+    const significant = diff.percentileShifts.filter(shift => shift.significant);
+    lines.push('', `Significant percentile shifts (${significant.length} of ${diff.percentileShifts.length}):`);
+    significant.forEach(shift => {
+        lines.push(`  ${shift.metric} p${shift.percentile * 100}: ${shift.before.toFixed(2)} -> ${shift.after.toFixed(2)} ` +
+            `(${percent(shift.relativeShift)}, p=${shift.pValue.toPrecision(2)})`);
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    diffReports,
+    formatReportDiff
+};
@@ -0,0 +1,106 @@
+const { describe, expect, test, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const { diffReports, formatReportDiff } = require('./report-diff');
+
+const metric = (name, { direction, count, percentiles, anomalies = [] }) => ({
+    type: 'api',
+    name,
+    stats: { count },
+    analysis: {
+        trend: { direction, slope: direction === 'increasing' ? 1 : -1, strength: 'strong' },
+        anomalies: { anomalies }
+    },
+    distribution: { percentiles }
+});
+
+describe('diffReports', () => {
+    const before = {
+        range: { start: '2024-03-01T00:00:00.000Z', end: '2024-03-08T00:00:00.000Z' },
+        metrics: [
+            metric('latency', {
+                direction: 'decreasing',
+                count: 10000,
+                percentiles: { 0.5: 100, 0.9: 140, 0.95: 160, 0.99: 220 },
+                anomalies: [{ index: 3, time: '2024-03-07 10:00', value: 400 }]
+            }),
+            metric('errors', { direction: 'increasing', count: 20, percentiles: { 0.5: 2, 0.9: 6 } }),
+            metric('legacy', { direction: 'increasing', count: 10, percentiles: {} })
+        ]
+    };
+    const after = {
+        range: { start: '2024-03-07T00:00:00.000Z', end: '2024-03-14T00:00:00.000Z' },
+        metrics: [
+            metric('latency', {
+                direction: 'increasing',
+                count: 10000,
+                percentiles: { 0.5: 101, 0.9: 141, 0.95: 190, 0.99: 260 },
+                anomalies: [
+                    { index: 3, time: '2024-03-07 10:00', value: 400 },
+                    { index: 90, time: '2024-03-10 18:00', value: 650, severity: 2.5 }
+                ]
+            }),
+            metric('errors', { direction: 'increasing', count: 20, percentiles: { 0.5: 2.5, 0.9: 6 } }),
+            metric('cache', { direction: 'increasing', count: 10, percentiles: {} })
+        ]
+    };
+
+    test('lists trend flips, new anomalies and significant percentile shifts', () => {
+        const diff = diffReports(before, after);
+
+        expect(diff).toMatchObject({ added: ['api/cache'], removed: ['api/legacy'] });
+        expect(diff.trendFlips).toEqual([expect.objectContaining({ metric: 'api/latency', from: 'decreasing', to: 'increasing' })]);
+        expect(diff.newAnomalies).toEqual([expect.objectContaining({ metric: 'api/latency', time: '2024-03-10 18:00' })]);
+
+        const significant = diff.percentileShifts.filter(shift => shift.significant);
+        expect(significant.map(shift => [shift.metric, shift.percentile])).toEqual([
+            ['api/latency', 0.95],
+            ['api/latency', 0.99]
+        ]);
+        // Few samples: the same relative p50 move on errors is noise
+        expect(diff.percentileShifts.find(shift => shift.metric === 'api/errors' && shift.percentile === 0.5))
+            .toMatchObject({ shift: 0.5, significant: false });
+
+        const text = formatReportDiff(diff);
+        expect(text).toContain('api/latency: decreasing -> increasing');
+        expect(text).toContain('api/latency at 2024-03-10 18:00: 650.00, severity 2.5');
+        expect(text).toContain('api/latency p95: 160.00 -> 190.00 (+18.8%');
+    });
+});
+
+describe('MetricsAnalyzer.compareReports', () => {
+    let store;
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('compares two time ranges', async () => {
+        store = new MetricsStore(null, { backend: 'memory' });
+        await store.initialize();
+
+        const rows = [];
+        for (let day = 0; day < 14; day++) {
+            for (let i = 0; i < 48; i++) {
+                const hour = Math.floor(i / 2);
+                const drift = day < 7 ? -day : day;
+                rows.push({
+                    timestamp: `2024-03-${String(day + 1).padStart(2, '0')} ${String(hour).padStart(2, '0')}:${i % 2 ? 30 : 10}:00`,
+                    metric_type: 'api',
+                    metric_name: 'latency',
+                    value: (day < 7 ? 100 : 150) + drift + (i % 5),
+                    tags: {}
+                });
+            }
+        }
+        await store.adapter.importRows('metrics', rows, 'append');
+
+        const diff = await new MetricsAnalyzer(store).compareReports(
+            { start: '2024-03-01T00:00:00Z', end: '2024-03-08T00:00:00Z' },
+            { start: '2024-03-08T00:00:00Z', end: '2024-03-15T00:00:00Z' }
+        );
+
+        expect(diff.trendFlips).toEqual([expect.objectContaining({ metric: 'api/latency', from: 'decreasing', to: 'increasing' })]);
+        expect(diff.percentileShifts.find(shift => shift.percentile === 0.5)).toMatchObject({ significant: true });
+    });
+});
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { StorageAdapter } = require('./storage');
+
+const { formatTimestamp } = StorageAdapter;
+const execFileAsync = promisify(execFile);
+
+// How long git may take to answer before the run is registered without it
+const GIT_TIMEOUT = 5000;
+
+/**
+ * Registry of benchmark runs on top of the MetricsStore runs table
+ *
+ * A run records what produced a set of samples: git commit and branch,
+ * the host (CPU, platform, Node version) and a hash of the benchmark
+ * config. The store tags every metric and execution time it writes with
+ * the current run, starting one on the first write unless `autoStart` is
+ * false, so reports and analyzers can be scoped to runs:
+ *
+ *   const run = await store.runs.start({ config: hyperparameters });
+ *   ...
+ *   await store.runs.end();
+ *   new MetricsAnalyzer(store, { runs: run.run_id }).generateReport('7d');
+ *
+ * Git details come from the options, then GITHUB_SHA/GITHUB_REF_NAME,
+ * then the git checkout in `cwd`; they are null outside a checkout.
+ */
+class RunRegistry {
+    constructor(metricsStore, options = {}) {
+        this.store = metricsStore;
+        this.current = options.runId || null;
+        this.autoStart = options.autoStart !== false;
+        this.cwd = options.cwd || process.cwd();
+        this.starting = null;
+    }
+
+    /**
+     * Start run and make it current
+     *
+     * Options: runId (generated when missing), gitSha, branch, config
+     * (hashed into config_hash), host, timestamp. Starting a run id that is
+     * already registered resumes that run.
+     */
+    async start({ runId = null, gitSha, branch, config = null, host = null, timestamp = new Date() } = {}) {
+        await this.store.initialize();
+
+        if (runId) {
+            const existing = await this.get(runId);
+            if (existing) {
+                this.current = existing.run_id;
+                return existing;
+            }
+        }
+
+        const git = await RunRegistry.getGitInfo(this.cwd);
+        const details = host || RunRegistry.getHostInfo();
+        const row = {
+            timestamp: formatTimestamp(new Date(timestamp)),
+            run_id: runId || crypto.randomUUID(),
+            git_sha: gitSha !== undefined ? gitSha : git.sha,
+            branch: branch !== undefined ? branch : git.branch,
+            host_fingerprint: RunRegistry.fingerprint(details),
+            host: details,
+            config_hash: config === null ? null : RunRegistry.hashConfig(config),
+            ended_at: null
+        };
+
+        const id = await this.store.adapter.insertRun(row);
+        this.current = row.run_id;
+
+        return { id, ...row };
+    }
+
+    /**
+     * Mark run as ended (the current run by default), returns it
+     *
+     * Later writes start a new run when `autoStart` is on.
+     */
+    async end({ runId = this.current, timestamp = new Date() } = {}) {
+        const run = runId ? await this.get(runId) : null;
+        if (!run) throw new Error(`No run: ${runId}`);
+
+        const endedAt = formatTimestamp(new Date(timestamp));
+        await this.store.adapter.updateRow('runs', run.id, { ended_at: endedAt });
+        if (this.current === run.run_id) this.current = null;
+
+        return { ...run, ended_at: endedAt };
+    }
+
+    /**
+     * Get run by run id, or null
+     */
+    async get(runId) {
+        await this.store.initialize();
+        const [row] = await this.store.adapter.findRuns({ runIds: [String(runId)] });
+
+        return row ? this.toRun(row) : null;
+    }
+
+    /**
+     * List runs, newest first
+     *
+     * Options: runs (id or ids), branch, gitSha, hostFingerprint and
+     * timeRange (relative or { start, end }) over the run start.
+     */
+    async list({ runs = null, branch = null, gitSha = null, hostFingerprint = null, timeRange = null } = {}) {
+        await this.store.initialize();
+        const rows = await this.store.adapter.findRuns({
+            runIds: RunRegistry.toRunIds(runs),
+            branch,
+            gitSha,
+            hostFingerprint,
+            ...(timeRange ? this.store.getWindow(timeRange) : {})
+        });
+
+        return rows.map(row => this.toRun(row));
+    }
+
+    /**
+     * Current run id, starting a run first when needed and allowed
+     */
+    async ensure() {
+        if (this.current || !this.autoStart) return this.current;
+
+        if (!this.starting) {
+            this.starting = this.start().finally(() => {
+                this.starting = null;
+            });
+        }
+
+        return (await this.starting).run_id;
+    }
+
+    /**
+     * Convert stored row to run (host as object)
+     */
+    toRun(row) {
+        return {
+            ...row,
+            host: typeof row.host === 'string' ? JSON.parse(row.host || '{}') : { ...row.host }
+        };
+    }
+}
+
+/**
+ * Normalize run scope (run id, list of ids or null) to a list of ids or null
+ */
+RunRegistry.toRunIds = (runs) => {
+    if (runs === null || runs === undefined) return null;
+    return (Array.isArray(runs) ? runs : [runs]).map(String);
+};
+
+/**
+ * Describe this machine
+ */
+RunRegistry.getHostInfo = () => {
+    const cpus = os.cpus();
+
+    return {
+        hostname: os.hostname(),
+        platform: os.platform(),
+        arch: os.arch(),
+        cpu_model: cpus.length ? cpus[0].model.trim() : null,
+        cpu_count: cpus.length,
+        total_memory: os.totalmem(),
+        node_version: process.version
+    };
+};
+
+/**
+ * Fingerprint of the host properties that affect timings
+ *
+ * The hostname is left out, so identical CI machines share a fingerprint.
+ */
+RunRegistry.fingerprint = host => RunRegistry.hashConfig([
+    host.platform ?? null,
+    host.arch ?? null,
+    host.cpu_model ?? null,
+    host.cpu_count ?? null,
+    host.node_version ?? null
+]);
+
+/**
+ * Short stable hash of a JSON-serializable value, independent of key order
+ */
+RunRegistry.hashConfig = (config) => {
+    const canonical = value => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (!value || typeof value !== 'object') return value;
+
+        return Object.keys(value).sort().reduce((result, key) => {
+            result[key] = canonical(value[key]);
+            return result;
+        }, {});
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(canonical(config)) ?? 'null').digest('hex').slice(0, 16);
+};
+
+/**
+ * Read commit and branch from CI environment or git checkout ({ sha, branch })
+ */
+RunRegistry.getGitInfo = async (cwd = process.cwd()) => {
+    const git = async (...args) => {
+        try {
+            const { stdout } = await execFileAsync('git', args, { cwd, timeout: GIT_TIMEOUT });
+            return stdout.trim() || null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const sha = process.env.GITHUB_SHA || await git('rev-parse', 'HEAD');
+    let branch = process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || await git('rev-parse', '--abbrev-ref', 'HEAD');
+
+    // Detached checkouts have no branch
+    if (branch === 'HEAD') branch = null;
+
+    return { sha, branch };
+};
+
+module.exports = RunRegistry;
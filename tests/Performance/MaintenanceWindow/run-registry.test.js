@@ -0,0 +1,95 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const MetricsStore = require('./metrics-store');
+const MetricsAnalyzer = require('./metrics-analyzer');
+const RunRegistry = require('./run-registry');
+
+describe.each(['sqlite', 'memory', 'ndjson'])('RunRegistry (%s backend)', (backend) => {
+    let store;
+    let tempDir;
+
+    const host = { platform: 'linux', arch: 'x64', cpu_model: 'Test CPU', cpu_count: 4, node_version: 'v18.0.0' };
+    const range = () => ({ start: new Date(Date.now() - 60000).toISOString(), end: new Date(Date.now() + 60000).toISOString() });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-registry-test-'));
+        store = new MetricsStore(backend === 'sqlite' ? ':memory:' : path.join(tempDir, 'metrics.ndjson'), { backend });
+    });
+
+    afterEach(async () => {
+        await store.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('registers runs and tags writes with the current run', async () => {
+        const run = await store.runs.start({
+            runId: 'nightly-1',
+            gitSha: 'abc123',
+            branch: 'main',
+            host,
+            config: { batchSize: 32, epochs: 10 }
+        });
+
+        expect(run).toMatchObject({
+            run_id: 'nightly-1',
+            git_sha: 'abc123',
+            branch: 'main',
+            host_fingerprint: RunRegistry.fingerprint(host),
+            config_hash: RunRegistry.hashConfig({ epochs: 10, batchSize: 32 }),
+            ended_at: null
+        });
+
+        await store.storeMetric('api', 'latency', 10);
+        await store.storeExecutionTime('extend', 5);
+        await store.runs.end();
+
+        expect((await store.getMetrics('api', 'latency', range()))[0].run_id).toBe('nightly-1');
+        expect((await store.getExecutionTimes('extend', range()))[0].run_id).toBe('nightly-1');
+        expect(await store.runs.get('nightly-1')).toMatchObject({ host, ended_at: expect.any(String) });
+        expect(store.runs.current).toBeNull();
+    });
+
+    test('starts one run on the first writes', async () => {
+        await Promise.all([
+            store.storeMetric('api', 'latency', 10),
+            store.storeMetric('api', 'latency', 20)
+        ]);
+
+        const runs = await store.runs.list();
+        expect(runs).toHaveLength(1);
+        expect(runs[0].host).toMatchObject({ node_version: process.version });
+
+        const rows = await store.getMetrics('api', 'latency', range());
+        expect(rows.map(row => row.run_id)).toEqual([runs[0].run_id, runs[0].run_id]);
+    });
+
+    test('scopes queries and analyzers to runs', async () => {
+        await store.runs.start({ runId: 'baseline', host });
+        await store.storeMetric('api', 'latency', 10);
+        await store.storeMetric('api', 'latency', 20);
+        await store.runs.start({ runId: 'candidate', host });
+        await store.storeMetric('api', 'latency', 100);
+        await store.storeMetric('system', 'memory', 512);
+
+        expect((await store.getMetricStats('api', 'latency', range(), { runs: 'baseline' })).maximum).toBe(20);
+        expect((await store.getMetricStats('api', 'latency', range(), { runs: ['baseline', 'candidate'] })).count).toBe(3);
+        expect(await store.listMetrics(range(), { runs: 'baseline' })).toEqual([{ metric_type: 'api', metric_name: 'latency' }]);
+
+        const series = await store.getTimeSeries('api', 'latency', '1h', range(), { runs: 'candidate' });
+        expect(series.map(bucket => bucket.average)).toEqual([100]);
+
+        const report = await new MetricsAnalyzer(store, { runs: 'baseline' }).generateReport(range());
+        expect(report.runs.map(run => run.run_id)).toEqual(['baseline']);
+        expect(report.metrics.map(metric => [metric.name, metric.stats.count])).toEqual([['latency', 2]]);
+    });
+});
+
+describe('RunRegistry.hashConfig', () => {
+    test('is independent of key order', () => {
+        expect(RunRegistry.hashConfig({ a: 1, b: { c: [1, 2], d: null } }))
+            .toBe(RunRegistry.hashConfig({ b: { d: null, c: [1, 2] }, a: 1 }));
+        expect(RunRegistry.hashConfig({ a: 1 })).not.toBe(RunRegistry.hashConfig({ a: 2 }));
+    });
+});
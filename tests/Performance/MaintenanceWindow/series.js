@@ -0,0 +1,24 @@
+/**
+ * Helpers for evenly spaced series
+ *
+ * Series aligned on a bucket grid (MetricsAnalyzer.alignSeries()) hold
+ * null for buckets without samples.
+ */
+
+/**
+ * Fill missing (null) values with the previous value, or the first one at the start
+ */
+function fillGaps(values) {
+    const first = values.find(value => value !== null && value !== undefined);
+    if (first === undefined) throw new Error('Series has no values');
+
+    let last = first;
+    return values.map(value => {
+        if (value !== null && value !== undefined) last = value;
+        return last;
+    });
+}
+
+module.exports = {
+    fillGaps
+};
@@ -0,0 +1,9 @@
+const { describe, expect, test } = require('@jest/globals');
+const { fillGaps } = require('./series');
+
+describe('fillGaps', () => {
+    test('carries the last value forward and the first one back', () => {
+        expect(fillGaps([null, 2, null, 4])).toEqual([2, 2, 2, 4]);
+        expect(() => fillGaps([null, null])).toThrow('Series has no values');
+    });
+});
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+
+/**
+ * Timed operation in a trace, stored as an execution_times row
+ *
+ * Spans share a trace id and link to their parent span, so a slow
+ * operation can be broken down into its phases:
+ *
+ *   await store.trace('extend', async (span) => {
+ *       await span.trace('validate', () => validate(window));
+ *       await span.trace('db', () => save(window), { attributes: { table: 'windows' } });
+ *   });
+ *
+ * Durations are milliseconds.
+ */
+class Span {
+    constructor(store, operation, options = {}) {
+        this.store = store;
+        this.operation = operation;
+        this.traceId = options.traceId || crypto.randomBytes(16).toString('hex');
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = options.parentSpanId || null;
+        this.attributes = { ...options.attributes };
+        this.started = performance.now();
+        this.startTime = performance.timeOrigin + this.started;
+        this.ended = false;
+    }
+
+    /**
+     * Set attribute
+     */
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    /**
+     * Start child span
+     */
+    startChild(operation, options = {}) {
+        return new Span(this.store, operation, {
+            ...options,
+            traceId: this.traceId,
+            parentSpanId: this.spanId
+        });
+    }
+
+    /**
+     * Run callback in a child span, ending it with the outcome
+     */
+    async trace(operation, callback, options = {}) {
+        return await Span.run(this.startChild(operation, options), callback);
+    }
+
+    /**
+     * End span and store it ({ success, error })
+     */
+    async end({ success = true, error = null } = {}) {
+        if (this.ended) throw new Error(`Span already ended: ${this.operation}`);
+        this.ended = true;
+
+        const duration = performance.now() - this.started;
+        await this.store.storeExecutionTime(
+            this.operation,
+            duration,
+            success && !error,
+            error ? error.message || String(error) : null,
+            this
+        );
+
+        return duration;
+    }
+}
+
+/**
+ * Run callback with span, ending it as failed when the callback throws
+ */
+Span.run = async (span, callback) => {
+    let result;
+
+    try {
+        result = await callback(span);
+    } catch (error) {
+        await span.end({ success: false, error });
+        throw error;
+    }
+
+    await span.end();
+    return result;
+};
+
+/**
+ * Build span trees from execution_times rows of one or more traces
+ *
+ * Returns root spans ({ ...row, attributes, self_time, children }), with
+ * spans whose parent is missing treated as roots. Children are ordered by
+ * start time.
+ */
+Span.buildTree = (rows) => {
+    const nodes = rows.map(row => ({
+        ...row,
+        attributes: typeof row.attributes === 'string' ? JSON.parse(row.attributes || '{}') : { ...row.attributes },
+        children: []
+    }));
+    const byId = new Map(nodes.filter(node => node.span_id).map(node => [`${node.trace_id}/${node.span_id}`, node]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const parent = node.parent_span_id && byId.get(`${node.trace_id}/${node.parent_span_id}`);
+        if (parent) parent.children.push(node);
+        else roots.push(node);
+    });
+
+    const byStart = (a, b) => (a.start_time ?? 0) - (b.start_time ?? 0) || a.id - b.id;
+    const finish = node => {
+        node.children.sort(byStart);
+        node.children.forEach(finish);
+        node.self_time = Span.selfTime(node, node.children);
+    };
+
+    roots.sort(byStart).forEach(finish);
+    return roots;
+};
+
+/**
+ * Span duration not covered by its children
+ *
+ * Uses the union of child intervals, so parallel children are not counted
+ * twice; falls back to summing durations when start times are missing.
+ */
+Span.selfTime = (span, children) => {
+    if (!children.length) return span.duration;
+
+    if (span.start_time === null || span.start_time === undefined ||
+        children.some(child => child.start_time === null || child.start_time === undefined)) {
+        return Math.max(0, span.duration - children.reduce((sum, child) => sum + child.duration, 0));
+    }
+
+    const end = span.start_time + span.duration;
+    const intervals = children
+        .map(child => [Math.max(child.start_time, span.start_time), Math.min(child.start_time + child.duration, end)])
+        .filter(([from, to]) => to > from)
+        .sort((a, b) => a[0] - b[0]);
+
+    let covered = 0;
+    let reached = -Infinity;
+    intervals.forEach(([from, to]) => {
+        if (to <= reached) return;
+        covered += to - Math.max(from, reached);
+        reached = to;
+    });
+
+    return Math.max(0, span.duration - covered);
+};
+
+module.exports = Span;
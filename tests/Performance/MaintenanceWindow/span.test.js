@@ -0,0 +1,119 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const MetricsStore = require('./metrics-store');
+const Span = require('./span');
+
+describe('Span.buildTree', () => {
+    const row = (id, operation, spanId, parentSpanId, startTime, duration) => ({
+        id,
+        operation,
+        trace_id: 't1',
+        span_id: spanId,
+        parent_span_id: parentSpanId,
+        start_time: startTime,
+        duration,
+        attributes: '{}'
+    });
+
+    test('nests children and computes self-time', () => {
+        const [root] = Span.buildTree([
+            row(3, 'db', 'c', 'a', 1030, 50),
+            row(1, 'extend', 'a', null, 1000, 100),
+            row(2, 'validate', 'b', 'a', 1000, 20),
+            row(4, 'query', 'd', 'c', 1040, 10)
+        ]);
+
+        expect(root).toMatchObject({ operation: 'extend', self_time: 30 });
+        expect(root.children.map(child => [child.operation, child.self_time])).toEqual([['validate', 20], ['db', 40]]);
+        expect(root.children[1].children[0]).toMatchObject({ operation: 'query', self_time: 10 });
+    });
+
+    test('does not count overlapping children twice', () => {
+        const [root] = Span.buildTree([
+            row(1, 'extend', 'a', null, 0, 100),
+            row(2, 'cache', 'b', 'a', 10, 40),
+            row(3, 'db', 'c', 'a', 30, 40)
+        ]);
+
+        expect(root.self_time).toBe(40);
+    });
+
+    test('treats spans with missing parents as roots', () => {
+        const roots = Span.buildTree([row(1, 'db', 'c', 'gone', 0, 5), row(2, 'legacy', null, null, null, 7)]);
+
+        expect(roots.map(span => [span.operation, span.self_time])).toEqual([['db', 5], ['legacy', 7]]);
+    });
+});
+
+describe.each(['sqlite', 'memory'])('MetricsStore tracing (%s backend)', (backend) => {
+    let store;
+
+    beforeEach(() => {
+        store = new MetricsStore(backend === 'sqlite' ? ':memory:' : null, { backend });
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('stores nested spans and returns the trace tree', async () => {
+        let traceId;
+
+        await store.trace('extend', async (span) => {
+            traceId = span.traceId;
+            span.setAttribute('window', 'nightly');
+            await span.trace('validate', async () => {});
+            await span.trace('db', async (db) => {
+                await db.trace('query', async () => {});
+            }, { attributes: { table: 'windows' } });
+        });
+
+        const trace = await store.getTrace(traceId);
+        const [root] = trace.spans;
+
+        expect(root).toMatchObject({ operation: 'extend', success: 1, attributes: { window: 'nightly' } });
+        expect(root.children.map(child => child.operation)).toEqual(['validate', 'db']);
+        expect(root.children[1]).toMatchObject({ attributes: { table: 'windows' }, children: [expect.objectContaining({ operation: 'query' })] });
+        expect(await store.getTrace('missing')).toBeNull();
+    });
+
+    test('records failures and rethrows', async () => {
+        const span = store.startSpan('extend');
+
+        await expect(span.trace('cache', async () => {
+            throw new Error('cache down');
+        })).rejects.toThrow('cache down');
+        await span.end();
+
+        const [root] = (await store.getTrace(span.traceId)).spans;
+        expect(root.children[0]).toMatchObject({ operation: 'cache', success: 0, error_message: 'cache down' });
+        await expect(span.end()).rejects.toThrow('Span already ended');
+    });
+
+    test('aggregates self-time by operation', async () => {
+        await store.initialize();
+        const timestamp = '2024-03-01 10:00:00';
+        const spans = [
+            ['extend', 'a', null, 0, 100],
+            ['db', 'b', 'a', 10, 60],
+            ['extend', 'c', null, 200, 50],
+            ['db', 'd', 'c', 210, 30]
+        ];
+        await store.adapter.importRows('execution_times', spans.map(([operation, spanId, parentSpanId, startTime, duration]) => ({
+            timestamp,
+            operation,
+            duration,
+            success: true,
+            trace_id: spanId === 'a' || spanId === 'b' ? 't1' : 't2',
+            span_id: spanId,
+            parent_span_id: parentSpanId,
+            start_time: startTime
+        })), 'append');
+
+        const result = await store.getSelfTimeByOperation({ start: '2024-03-01T00:00:00Z', end: '2024-03-02T00:00:00Z' });
+
+        expect(result.operations).toEqual([
+            { operation: 'db', count: 2, total_time: 90, self_time: 90, average_self_time: 45 },
+            { operation: 'extend', count: 2, total_time: 150, self_time: 60, average_self_time: 30 }
+        ]);
+    });
+});
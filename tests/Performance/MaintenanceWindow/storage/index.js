@@ -0,0 +1,36 @@
+const StorageAdapter = require('./storage-adapter');
+const WriteBuffer = require('./write-buffer');
+
+const BACKENDS = ['sqlite', 'memory', 'ndjson'];
+
+/**
+ * Create storage adapter for backend name
+ *
+ * Adapters are required lazily so the memory and NDJSON backends work
+ * without the native sqlite3 module installed.
+ */
+function createAdapter(backend = 'sqlite', location = null, options = {}) {
+    switch (backend) {
+        case 'sqlite': {
+            const SqliteAdapter = require('./sqlite-adapter');
+            return new SqliteAdapter(location || 'metrics.db', options);
+        }
+        case 'memory': {
+            const MemoryAdapter = require('./memory-adapter');
+            return new MemoryAdapter(options);
+        }
+        case 'ndjson': {
+            const NdjsonAdapter = require('./ndjson-adapter');
+            return new NdjsonAdapter(location || 'metrics.ndjson', options);
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${backend} (expected one of ${BACKENDS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    BACKENDS,
+    StorageAdapter,
+    WriteBuffer,
+    createAdapter
+};
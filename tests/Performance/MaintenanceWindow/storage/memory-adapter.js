@@ -0,0 +1,483 @@
+const DDSketch = require('../dd-sketch');
+const StorageAdapter = require('./storage-adapter');
+const { matchesTags } = require('../tag-matchers');
+
+const { toEpoch } = StorageAdapter;
+
+/**
+ * In-memory storage backend
+ *
+ * Keeps plain row arrays and computes every aggregate on the fly, so it
+ * needs no native modules. Meant for unit tests and short-lived runs.
+ */
+class MemoryAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.sketchAccuracy = options.sketchAccuracy || 0.01;
+        this.reset();
+    }
+
+    /**
+     * Drop all rows
+     */
+    reset() {
+        this.tables = {};
+        this.nextIds = {};
+
+        Object.keys(StorageAdapter.INSERTS).forEach(table => {
+            this.tables[table] = [];
+            this.nextIds[table] = 1;
+        });
+    }
+
+    /**
+     * Open backend
+     */
+    async open() {}
+
+    /**
+     * Close backend
+     */
+    async close() {}
+
+    /**
+     * Add row to table, assigning an id when missing
+     */
+    insertRow(table, row) {
+        const stored = { id: this.nextIds[table], ...row };
+        this.nextIds[table] = Math.max(this.nextIds[table], stored.id) + 1;
+        this.tables[table].push(stored);
+        return stored;
+    }
+
+    /**
+     * Build stored row from insert shape (tags as JSON, success as 0/1)
+     */
+    toStoredRow(table, row) {
+        switch (table) {
+            case 'metrics':
+                return {
+                    timestamp: row.timestamp,
+                    metric_type: row.metric_type,
+                    metric_name: row.metric_name,
+                    value: row.value,
+                    tags: JSON.stringify(row.tags || {}),
+                    run_id: row.run_id ?? null
+                };
+            case 'execution_times':
+                return {
+                    timestamp: row.timestamp,
+                    operation: row.operation,
+                    duration: row.duration,
+                    success: row.success ? 1 : 0,
+                    error_message: row.error_message ?? null,
+                    trace_id: row.trace_id ?? null,
+                    span_id: row.span_id ?? null,
+                    parent_span_id: row.parent_span_id ?? null,
+                    attributes: JSON.stringify(row.attributes || {}),
+                    start_time: row.start_time ?? null,
+                    run_id: row.run_id ?? null
+                };
+            case 'alerts':
+                return {
+                    timestamp: row.timestamp,
+                    metric_type: row.metric_type,
+                    metric_name: row.metric_name,
+                    threshold: row.threshold,
+                    actual_value: row.actual_value,
+                    message: row.message ?? null,
+                    fingerprint: row.fingerprint ?? null,
+                    labels: JSON.stringify(row.labels || {}),
+                    state: row.state || 'firing',
+                    last_seen: row.last_seen ?? row.timestamp,
+                    resolved_at: row.resolved_at ?? null,
+                    occurrences: row.occurrences ?? 1,
+                    acknowledged_at: row.acknowledged_at ?? null,
+                    acknowledged_by: row.acknowledged_by ?? null
+                };
+            case 'alert_events':
+                return {
+                    timestamp: row.timestamp,
+                    alert_id: row.alert_id,
+                    fingerprint: row.fingerprint,
+                    event: row.event,
+                    value: row.value ?? null,
+                    message: row.message ?? null,
+                    actor: row.actor ?? null
+                };
+            case 'alert_silences':
+                return {
+                    timestamp: row.timestamp,
+                    matchers: JSON.stringify(row.matchers || []),
+                    starts_at: row.starts_at,
+                    ends_at: row.ends_at,
+                    created_by: row.created_by ?? null,
+                    comment: row.comment ?? null
+                };
+            case 'runs':
+                return {
+                    timestamp: row.timestamp,
+                    run_id: row.run_id,
+                    git_sha: row.git_sha ?? null,
+                    branch: row.branch ?? null,
+                    host_fingerprint: row.host_fingerprint ?? null,
+                    host: JSON.stringify(row.host || {}),
+                    config_hash: row.config_hash ?? null,
+                    ended_at: row.ended_at ?? null
+                };
+            default:
+                throw new Error(`Unknown table: ${table}`);
+        }
+    }
+
+    /**
+     * Insert metric
+     */
+    async insertMetric(row) {
+        return this.insertRow('metrics', this.toStoredRow('metrics', row)).id;
+    }
+
+    /**
+     * Insert execution time
+     */
+    async insertExecutionTime(row) {
+        return this.insertRow('execution_times', this.toStoredRow('execution_times', row)).id;
+    }
+
+    /**
+     * Insert alert
+     */
+    async insertAlert(row) {
+        return this.insertRow('alerts', this.toStoredRow('alerts', row)).id;
+    }
+
+    /**
+     * Insert alert event
+     */
+    async insertAlertEvent(row) {
+        return this.insertRow('alert_events', this.toStoredRow('alert_events', row)).id;
+    }
+
+    /**
+     * Insert alert silence
+     */
+    async insertSilence(row) {
+        return this.insertRow('alert_silences', this.toStoredRow('alert_silences', row)).id;
+    }
+
+    /**
+     * Insert run
+     */
+    async insertRun(row) {
+        return this.insertRow('runs', this.toStoredRow('runs', row)).id;
+    }
+
+    /**
+     * Set stored column values of row by id
+     */
+    async updateRow(table, id, fields) {
+        if (!this.tables[table]) throw new Error(`Unknown table: ${table}`);
+
+        const row = this.tables[table].find(candidate => candidate.id === id);
+        if (!row) return false;
+
+        Object.assign(row, fields);
+        return true;
+    }
+
+    /**
+     * Replace row at position
+     */
+    replaceRow(table, index, row) {
+        this.tables[table][index] = row;
+    }
+
+    /**
+     * Import rows keeping ids and timestamps
+     */
+    async importRows(table, rows, mode) {
+        const counts = { inserted: 0, skipped: 0, replaced: 0 };
+        const positions = new Map(this.tables[table].map((row, index) => [row.id, index]));
+
+        for (const row of rows) {
+            const stored = this.toStoredRow(table, row);
+            const keepId = mode !== 'append' && row.id !== undefined && row.id !== null;
+
+            if (!keepId) {
+                this.insertRow(table, stored);
+                counts.inserted++;
+            } else if (!positions.has(row.id)) {
+                this.insertRow(table, { id: row.id, ...stored });
+                positions.set(row.id, this.tables[table].length - 1);
+                counts.inserted++;
+            } else if (mode === 'overwrite') {
+                this.replaceRow(table, positions.get(row.id), { id: row.id, ...stored });
+                counts.replaced++;
+            } else {
+                counts.skipped++;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Find metric rows
+     */
+    async findMetrics(query) {
+        return this.filterMetrics(query).map(row => ({ ...row }));
+    }
+
+    /**
+     * Filter metric rows without copying
+     */
+    filterMetrics({ type = null, name = null, since, until, matchers = [], runIds = null }) {
+        return this.sortByTimestamp(this.tables.metrics.filter(row =>
+            row.timestamp >= since &&
+            row.timestamp < until &&
+            (!type || row.metric_type === type) &&
+            (!name || row.metric_name === name) &&
+            (!runIds || runIds.includes(row.run_id)) &&
+            (!matchers.length || matchesTags(JSON.parse(row.tags || '{}'), matchers))
+        ));
+    }
+
+    /**
+     * Find execution time rows
+     */
+    async findExecutionTimes({ operation = null, traceId = null, since = null, until = null, runIds = null }) {
+        return this.sortByTimestamp(this.tables.execution_times.filter(row =>
+            (!since || row.timestamp >= since) &&
+            (!until || row.timestamp < until) &&
+            (!operation || row.operation === operation) &&
+            (!traceId || row.trace_id === traceId) &&
+            (!runIds || runIds.includes(row.run_id))
+        )).map(row => ({ ...row }));
+    }
+
+    /**
+     * Count execution times and good ones
+     */
+    async countExecutionTimes({ operation, since, until, threshold = null, runIds = null }) {
+        const rows = await this.findExecutionTimes({ operation, since, until, runIds });
+
+        return {
+            total: rows.length,
+            good: rows.filter(row => row.success && (threshold === null || row.duration <= threshold)).length
+        };
+    }
+
+    /**
+     * Find alert rows
+     */
+    async findAlerts({ id = null, type = null, name = null, fingerprint = null, states = null, since = null, until = null }) {
+        return this.sortByTimestamp(this.tables.alerts.filter(row =>
+            (id === null || row.id === id) &&
+            (!type || row.metric_type === type) &&
+            (!name || row.metric_name === name) &&
+            (!fingerprint || row.fingerprint === fingerprint) &&
+            (!states || states.includes(row.state)) &&
+            (!since || row.timestamp >= since) &&
+            (!until || row.timestamp < until)
+        )).reverse().map(row => ({ ...row }));
+    }
+
+    /**
+     * Find alert event rows
+     */
+    async findAlertEvents({ alertId }) {
+        return this.sortByTimestamp(this.tables.alert_events.filter(row => row.alert_id === alertId))
+            .map(row => ({ ...row }));
+    }
+
+    /**
+     * Find silence rows
+     */
+    async findSilences({ activeAt = null } = {}) {
+        return this.tables.alert_silences
+            .filter(row => !activeAt || (row.starts_at <= activeAt && row.ends_at > activeAt))
+            .sort((a, b) => (a.starts_at < b.starts_at ? -1 : a.starts_at > b.starts_at ? 1 : a.id - b.id))
+            .map(row => ({ ...row }));
+    }
+
+    /**
+     * Find run rows
+     */
+    async findRuns({ runIds = null, branch = null, gitSha = null, hostFingerprint = null, since = null, until = null } = {}) {
+        return this.sortByTimestamp(this.tables.runs.filter(row =>
+            (!runIds || runIds.includes(row.run_id)) &&
+            (!branch || row.branch === branch) &&
+            (!gitSha || row.git_sha === gitSha) &&
+            (!hostFingerprint || row.host_fingerprint === hostFingerprint) &&
+            (!since || row.timestamp >= since) &&
+            (!until || row.timestamp < until)
+        )).reverse().map(row => ({ ...row }));
+    }
+
+    /**
+     * Aggregate metric values
+     */
+    async aggregateMetrics(query) {
+        const values = this.filterMetrics(query).map(row => row.value);
+
+        return {
+            count: values.length,
+            average: values.length ? values.reduce((a, b) => a + b, 0) / values.length : null,
+            minimum: values.length ? Math.min(...values) : null,
+            maximum: values.length ? Math.max(...values) : null
+        };
+    }
+
+    /**
+     * Build a single sketch from raw values
+     */
+    async findSketches(query) {
+        const values = this.filterMetrics(query).map(row => row.value);
+        return [DDSketch.fromValues(values, this.sketchAccuracy)];
+    }
+
+    /**
+     * Aggregate time series from raw rows
+     */
+    async aggregateTimeSeries({ type, name, since, until, seconds, matchers = [], groupBy = [], runIds = null }) {
+        const buckets = new Map();
+
+        for (const row of this.filterMetrics({ type, name, since, until, matchers, runIds })) {
+            const tags = JSON.parse(row.tags || '{}');
+            const labels = {};
+            groupBy.forEach(key => {
+                labels[key] = tags[key] === undefined ? null : String(tags[key]);
+            });
+
+            const bucket = Math.floor(toEpoch(row.timestamp) / seconds) * seconds;
+            const key = JSON.stringify([labels, bucket]);
+
+            if (!buckets.has(key)) {
+                buckets.set(key, { bucket, labels, sum: 0, minimum: Infinity, maximum: -Infinity, count: 0 });
+            }
+
+            const entry = buckets.get(key);
+            entry.sum += row.value;
+            entry.minimum = Math.min(entry.minimum, row.value);
+            entry.maximum = Math.max(entry.maximum, row.value);
+            entry.count++;
+        }
+
+        return Array.from(buckets.values())
+            .sort((a, b) => {
+                const labelOrder = JSON.stringify(a.labels).localeCompare(JSON.stringify(b.labels));
+                return labelOrder || a.bucket - b.bucket;
+            })
+            .map(entry => ({
+                bucket: entry.bucket,
+                average: entry.sum / entry.count,
+                minimum: entry.minimum,
+                maximum: entry.maximum,
+                count: entry.count,
+                ...(groupBy.length ? { labels: entry.labels } : {})
+            }));
+    }
+
+    /**
+     * Bucketed aggregates of every metric
+     */
+    async aggregateMetricSeries({ since, until, seconds, runIds = null }) {
+        const buckets = new Map();
+
+        for (const row of this.filterMetrics({ since, until, runIds })) {
+            const bucket = Math.floor(toEpoch(row.timestamp) / seconds) * seconds;
+            const key = JSON.stringify([row.metric_type, row.metric_name, bucket]);
+
+            if (!buckets.has(key)) {
+                buckets.set(key, {
+                    metric_type: row.metric_type,
+                    metric_name: row.metric_name,
+                    bucket,
+                    sum: 0,
+                    minimum: Infinity,
+                    maximum: -Infinity,
+                    count: 0
+                });
+            }
+
+            const entry = buckets.get(key);
+            entry.sum += row.value;
+            entry.minimum = Math.min(entry.minimum, row.value);
+            entry.maximum = Math.max(entry.maximum, row.value);
+            entry.count++;
+        }
+
+        return Array.from(buckets.values())
+            .sort((a, b) =>
+                a.metric_type.localeCompare(b.metric_type) ||
+                a.metric_name.localeCompare(b.metric_name) ||
+                a.bucket - b.bucket
+            )
+            .map(({ sum, ...entry }) => ({ ...entry, average: sum / entry.count }));
+    }
+
+    /**
+     * List distinct metrics
+     */
+    async listMetrics({ since, until, runIds = null }) {
+        const seen = new Map();
+
+        this.filterMetrics({ since, until, runIds })
+            .forEach(row => {
+                seen.set(JSON.stringify([row.metric_type, row.metric_name]), {
+                    metric_type: row.metric_type,
+                    metric_name: row.metric_name
+                });
+            });
+
+        return Array.from(seen.values());
+    }
+
+    /**
+     * Page of rows ordered by id
+     */
+    async exportRows(table, { since = null, until = null, type = null, name = null, operation = null, run = null, afterId = 0, limit = 1000 } = {}) {
+        if (!this.tables[table]) throw new Error(`Unknown table: ${table}`);
+
+        const options = { type, name, operation, run };
+        const filters = Object.entries(StorageAdapter.FILTERS[table] || {});
+
+        return this.tables[table]
+            .filter(row =>
+                row.id > afterId &&
+                (!since || row.timestamp >= since) &&
+                (!until || row.timestamp < until) &&
+                filters.every(([option, column]) => !options[option] || row[column] === options[option])
+            )
+            .sort((a, b) => a.id - b.id)
+            .slice(0, limit)
+            .map(row => ({ ...row }));
+    }
+
+    /**
+     * Delete old rows
+     */
+    async deleteBefore({ raw }) {
+        const { tables } = this;
+
+        tables.metrics = tables.metrics.filter(row => row.timestamp >= raw);
+        tables.execution_times = tables.execution_times.filter(row => row.timestamp >= raw);
+        tables.alerts = tables.alerts.filter(row => row.timestamp >= raw || row.state !== 'resolved');
+        tables.alert_silences = tables.alert_silences.filter(row => row.ends_at >= raw);
+
+        const alertIds = new Set(tables.alerts.map(row => row.id));
+        tables.alert_events = tables.alert_events.filter(row => alertIds.has(row.alert_id));
+
+        const runIds = new Set([...tables.metrics, ...tables.execution_times].map(row => row.run_id));
+        tables.runs = tables.runs.filter(row => row.timestamp >= raw || runIds.has(row.run_id));
+    }
+
+    /**
+     * Sort rows by timestamp (stable, keeps insertion order for ties)
+     */
+    sortByTimestamp(rows) {
+        return [...rows].sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,195 @@
+/**
+ * SQLite schema migrations
+ *
+ * Ordered up-migrations; each runs once in its own transaction and is
+ * recorded in the schema_version table. Never edit a released migration,
+ * append a new one instead. `up` receives the SqliteAdapter, so it can use
+ * run()/all()/get() and the adapter's backfill helpers. Statements use
+ * IF NOT EXISTS so databases created before versioning migrate cleanly.
+ */
+module.exports = [
+    {
+        version: 1,
+        description: 'Create metrics, execution_times and alerts tables',
+        async up(db) {
+            const queries = [
+                `CREATE TABLE IF NOT EXISTS metrics (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    metric_type TEXT NOT NULL,
+                    metric_name TEXT NOT NULL,
+                    value REAL NOT NULL,
+                    tags TEXT
+                )`,
+                `CREATE TABLE IF NOT EXISTS execution_times (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    operation TEXT NOT NULL,
+                    duration REAL NOT NULL,
+                    success BOOLEAN DEFAULT 1,
+                    error_message TEXT
+                )`,
+                `CREATE TABLE IF NOT EXISTS alerts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    metric_type TEXT NOT NULL,
+                    metric_name TEXT NOT NULL,
+                    threshold REAL NOT NULL,
+                    actual_value REAL NOT NULL,
+                    message TEXT
+                )`,
+                `CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics(timestamp)`,
+                `CREATE INDEX IF NOT EXISTS idx_metrics_type_name ON metrics(metric_type, metric_name)`,
+                `CREATE INDEX IF NOT EXISTS idx_execution_times_timestamp ON execution_times(timestamp)`,
+                `CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp)`
+            ];
+
+            for (const query of queries) {
+                await db.run(query);
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Add metric_rollups with DDSketches and backfill from raw metrics',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS metric_rollups (
+                resolution TEXT NOT NULL,
+                metric_type TEXT NOT NULL,
+                metric_name TEXT NOT NULL,
+                bucket_start DATETIME NOT NULL,
+                count INTEGER NOT NULL,
+                sum REAL NOT NULL,
+                min REAL NOT NULL,
+                max REAL NOT NULL,
+                sketch TEXT NOT NULL,
+                PRIMARY KEY (resolution, metric_type, metric_name, bucket_start)
+            )`);
+            await db.run(
+                'CREATE INDEX IF NOT EXISTS idx_metric_rollups_bucket ON metric_rollups(resolution, bucket_start)'
+            );
+            await db.replaceRollups();
+        }
+    },
+    {
+        version: 3,
+        description: 'Add metric_tags index and backfill from metric tags',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS metric_tags (
+                metric_id INTEGER NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (metric_id, key)
+            )`);
+            await db.run(
+                'CREATE INDEX IF NOT EXISTS idx_metric_tags_key_value ON metric_tags(key, value, metric_id)'
+            );
+            await db.replaceTagIndex();
+        }
+    },
+    {
+        version: 4,
+        description: 'Add alert lifecycle columns, alert_events and alert_silences',
+        async up(db) {
+            const columns = [
+                'fingerprint TEXT',
+                "labels TEXT NOT NULL DEFAULT '{}'",
+                "state TEXT NOT NULL DEFAULT 'firing'",
+                'last_seen DATETIME',
+                'resolved_at DATETIME',
+                'occurrences INTEGER NOT NULL DEFAULT 1',
+                'acknowledged_at DATETIME',
+                'acknowledged_by TEXT'
+            ];
+
+            for (const column of columns) {
+                await db.run(`ALTER TABLE alerts ADD COLUMN ${column}`);
+            }
+
+            // Rows stored before the lifecycle were one-off breaches
+            await db.run(`UPDATE alerts
+                SET fingerprint = metric_type || '/' || metric_name,
+                    state = 'resolved',
+                    last_seen = timestamp,
+                    resolved_at = timestamp
+                WHERE fingerprint IS NULL`);
+
+            const queries = [
+                `CREATE INDEX IF NOT EXISTS idx_alerts_fingerprint_state ON alerts(fingerprint, state)`,
+                `CREATE TABLE IF NOT EXISTS alert_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    alert_id INTEGER NOT NULL,
+                    fingerprint TEXT NOT NULL,
+                    event TEXT NOT NULL,
+                    value REAL,
+                    message TEXT,
+                    actor TEXT
+                )`,
+                `CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, timestamp)`,
+                `CREATE TABLE IF NOT EXISTS alert_silences (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    matchers TEXT NOT NULL,
+                    starts_at DATETIME NOT NULL,
+                    ends_at DATETIME NOT NULL,
+                    created_by TEXT,
+                    comment TEXT
+                )`,
+                `CREATE INDEX IF NOT EXISTS idx_alert_silences_ends_at ON alert_silences(ends_at)`
+            ];
+
+            for (const query of queries) {
+                await db.run(query);
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Add trace and span columns to execution_times',
+        async up(db) {
+            const columns = [
+                'trace_id TEXT',
+                'span_id TEXT',
+                'parent_span_id TEXT',
+                "attributes TEXT NOT NULL DEFAULT '{}'",
+                'start_time REAL'
+            ];
+
+            for (const column of columns) {
+                await db.run(`ALTER TABLE execution_times ADD COLUMN ${column}`);
+            }
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_execution_times_trace ON execution_times(trace_id)');
+        }
+    },
+    {
+        version: 6,
+        description: 'Add runs registry and run_id to metrics and execution_times',
+        async up(db) {
+            const queries = [
+                `CREATE TABLE IF NOT EXISTS runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    run_id TEXT NOT NULL,
+                    git_sha TEXT,
+                    branch TEXT,
+                    host_fingerprint TEXT,
+                    host TEXT NOT NULL DEFAULT '{}',
+                    config_hash TEXT,
+                    ended_at DATETIME
+                )`,
+                `CREATE INDEX IF NOT EXISTS idx_runs_run_id ON runs(run_id)`,
+                `CREATE INDEX IF NOT EXISTS idx_runs_timestamp ON runs(timestamp)`,
+                `ALTER TABLE metrics ADD COLUMN run_id TEXT`,
+                `ALTER TABLE execution_times ADD COLUMN run_id TEXT`,
+                `CREATE INDEX IF NOT EXISTS idx_metrics_run ON metrics(run_id, metric_type, metric_name)`,
+                `CREATE INDEX IF NOT EXISTS idx_execution_times_run ON execution_times(run_id)`
+            ];
+
+            for (const query of queries) {
+                await db.run(query);
+            }
+        }
+    }
+];
@@ -0,0 +1,89 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SqliteAdapter = require('./sqlite-adapter');
+const MIGRATIONS = require('./migrations');
+
+describe('SQLite schema migrations', () => {
+    let tempDir;
+    let dbPath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+        dbPath = path.join(tempDir, 'metrics.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    // Database as written before schema versioning: raw tables only
+    const createLegacyDatabase = async () => {
+        const adapter = new SqliteAdapter(dbPath, { migrate: false });
+        await adapter.open();
+        await MIGRATIONS[0].up(adapter);
+        await adapter.run('DROP TABLE schema_version');
+        await adapter.run(
+            `INSERT INTO metrics (timestamp, metric_type, metric_name, value, tags)
+            VALUES ('2024-01-01 10:00:00', 'api', 'latency', 42, '{"env":"prod"}')`
+        );
+        await adapter.run(
+            `INSERT INTO alerts (timestamp, metric_type, metric_name, threshold, actual_value)
+            VALUES ('2024-01-01 10:00:00', 'api', 'latency', 40, 42)`
+        );
+        await adapter.close();
+    };
+
+    test('versions are ordered and unique', () => {
+        const versions = MIGRATIONS.map(migration => migration.version);
+
+        expect(versions).toEqual([...new Set(versions)].sort((a, b) => a - b));
+        expect(SqliteAdapter.SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+    });
+
+    test('creates new databases at the latest version', async () => {
+        const adapter = new SqliteAdapter(dbPath);
+        await adapter.open();
+
+        expect(await adapter.getSchemaVersion()).toBe(SqliteAdapter.SCHEMA_VERSION);
+        expect((await adapter.migrate()).applied).toEqual([]);
+        await adapter.close();
+    });
+
+    test('migrates and backfills unversioned databases', async () => {
+        await createLegacyDatabase();
+
+        const adapter = new SqliteAdapter(dbPath, { migrate: false });
+        await adapter.open();
+        expect(await adapter.getSchemaVersion()).toBe(0);
+
+        const dryRun = await adapter.migrate({ dryRun: true });
+        expect(dryRun).toMatchObject({ from: 0, to: 0 });
+        expect(dryRun.applied).toHaveLength(MIGRATIONS.length);
+        expect(await adapter.getSchemaVersion()).toBe(0);
+
+        const result = await adapter.migrate();
+        expect(result).toMatchObject({ from: 0, to: SqliteAdapter.SCHEMA_VERSION });
+
+        const rollups = await adapter.all("SELECT count, sum FROM metric_rollups WHERE resolution = '1h'");
+        expect(rollups).toEqual([{ count: 1, sum: 42 }]);
+        expect(await adapter.all('SELECT key, value FROM metric_tags')).toEqual([{ key: 'env', value: 'prod' }]);
+        expect(await adapter.all('SELECT fingerprint, state, resolved_at FROM alerts')).toEqual([
+            { fingerprint: 'api/latency', state: 'resolved', resolved_at: '2024-01-01 10:00:00' }
+        ]);
+        await adapter.close();
+    });
+
+    test('refuses databases from a newer version', async () => {
+        const adapter = new SqliteAdapter(dbPath);
+        await adapter.open();
+        await adapter.run(
+            "INSERT INTO schema_version (version, description) VALUES (?, 'From the future')",
+            [SqliteAdapter.SCHEMA_VERSION + 1]
+        );
+        await adapter.close();
+
+        await expect(new SqliteAdapter(dbPath).open()).rejects.toThrow(/newer than supported version/);
+    });
+});
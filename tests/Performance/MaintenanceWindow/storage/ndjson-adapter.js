@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MemoryAdapter = require('./memory-adapter');
+
+/**
+ * Append-only NDJSON file storage backend
+ *
+ * Every row is appended as one `{"table": ..., "row": ...}` line, which
+ * makes the file easy to keep as a CI artifact and to diff or grep.
+ * Updates (alert state changes) append `{"table": ..., "id": ..., "update": ...}`
+ * lines. The file is replayed into memory on open; queries run like
+ * MemoryAdapter. Only cleanup rewrites the file.
+ */
+class NdjsonAdapter extends MemoryAdapter {
+    constructor(filePath = 'metrics.ndjson', options = {}) {
+        super(options);
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+        this.batch = null;
+        // Pending appends of single rows by `${table}:${id}`
+        this.appends = new Map();
+    }
+
+    /**
+     * Replay existing file into memory
+     */
+    async open() {
+        this.reset();
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+
+        if (!fs.existsSync(this.filePath)) return;
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.filePath, 'utf8'),
+            crlfDelay: Infinity
+        });
+
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid NDJSON at ${this.filePath}:${lineNumber}: ${error.message}`);
+            }
+
+            this.replayEntry(entry);
+        }
+    }
+
+    /**
+     * Apply one file entry to the in-memory tables
+     */
+    replayEntry(entry) {
+        if (!this.tables[entry.table]) {
+            throw new Error(`Unknown table in ${this.filePath}: ${entry.table}`);
+        }
+
+        if (entry.update) {
+            super.updateRow(entry.table, entry.id, entry.update);
+            return;
+        }
+
+        const row = { ...entry.row };
+
+        // Export files (MetricsStore.exportToJson) carry JSON columns as objects
+        const jsonColumn = NdjsonAdapter.JSON_COLUMNS[entry.table];
+        if (jsonColumn && typeof row[jsonColumn] !== 'string') {
+            row[jsonColumn] = JSON.stringify(row[jsonColumn] || (jsonColumn === 'matchers' ? [] : {}));
+        }
+
+        super.insertRow(entry.table, row);
+    }
+
+    /**
+     * Add row and append it to the file
+     *
+     * Outside batches the append is kept for written(); a row whose append
+     * fails is removed from memory again.
+     */
+    insertRow(table, row) {
+        const stored = super.insertRow(table, row);
+
+        if (this.batch) {
+            this.batch.push({ table, row: stored });
+        } else {
+            const write = this.appendRows([{ table, row: stored }]);
+            // Failures are reported by written()
+            write.catch(() => {});
+            this.appends.set(`${table}:${stored.id}`, write);
+        }
+
+        return stored;
+    }
+
+    /**
+     * Wait for the append of a row inserted outside a batch, returns its id
+     */
+    async written(table, id) {
+        const key = `${table}:${id}`;
+        const write = this.appends.get(key);
+        this.appends.delete(key);
+
+        await write;
+        return id;
+    }
+
+    /**
+     * Append stored rows, removing them from memory when the append fails
+     */
+    async appendRows(entries) {
+        try {
+            await this.append(entries);
+        } catch (error) {
+            entries.forEach(({ table, row }) => {
+                this.tables[table] = this.tables[table].filter(candidate => candidate !== row);
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Insert batch with a single append
+     */
+    async insertBatch(entries) {
+        this.batch = [];
+
+        try {
+            return await super.insertBatch(entries);
+        } finally {
+            const batch = this.batch;
+            this.batch = null;
+            if (batch.length) await this.appendRows(batch);
+        }
+    }
+
+    /**
+     * Insert metric
+     */
+    async insertMetric(row) {
+        return await this.written('metrics', await super.insertMetric(row));
+    }
+
+    /**
+     * Insert execution time
+     */
+    async insertExecutionTime(row) {
+        return await this.written('execution_times', await super.insertExecutionTime(row));
+    }
+
+    /**
+     * Insert alert
+     */
+    async insertAlert(row) {
+        return await this.written('alerts', await super.insertAlert(row));
+    }
+
+    /**
+     * Insert alert event
+     */
+    async insertAlertEvent(row) {
+        return await this.written('alert_events', await super.insertAlertEvent(row));
+    }
+
+    /**
+     * Insert alert silence
+     */
+    async insertSilence(row) {
+        return await this.written('alert_silences', await super.insertSilence(row));
+    }
+
+    /**
+     * Insert run
+     */
+    async insertRun(row) {
+        return await this.written('runs', await super.insertRun(row));
+    }
+
+    /**
+     * Update row and append the change to the file
+     */
+    async updateRow(table, id, fields) {
+        const updated = await super.updateRow(table, id, fields);
+        if (updated) await this.append([{ table, id, update: fields }]);
+        return updated;
+    }
+
+    /**
+     * Import rows, appending new rows or rewriting the file when rows were replaced
+     */
+    async importRows(table, rows, mode) {
+        this.batch = [];
+        let counts = null;
+
+        try {
+            counts = await super.importRows(table, rows, mode);
+        } finally {
+            const batch = this.batch;
+            this.batch = null;
+
+            if (counts && counts.replaced) {
+                await this.compact();
+            } else if (batch.length) {
+                await this.appendRows(batch);
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Append entries in order
+     */
+    append(entries) {
+        const data = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+        const filePath = this.filePath;
+        return this.enqueue(() => fs.promises.appendFile(filePath, data));
+    }
+
+    /**
+     * Run a file write after pending ones
+     *
+     * A failed write rejects only its own promise; later writes still run.
+     */
+    enqueue(write) {
+        this.writeQueue = this.writeQueue.catch(() => {}).then(write);
+        return this.writeQueue;
+    }
+
+    /**
+     * Delete old rows and compact the file
+     */
+    async deleteBefore(bounds) {
+        await super.deleteBefore(bounds);
+        await this.compact();
+    }
+
+    /**
+     * Rewrite file after pending appends
+     */
+    compact() {
+        return this.enqueue(() => this.rewrite());
+    }
+
+    /**
+     * Rewrite file from in-memory tables
+     */
+    async rewrite() {
+        const entries = [];
+        Object.entries(this.tables).forEach(([table, rows]) => {
+            rows.forEach(row => entries.push({ table, row }));
+        });
+
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(
+            tempPath,
+            entries.map(entry => `${JSON.stringify(entry)}\n`).join('')
+        );
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Wait for pending appends
+     *
+     * Failed appends were reported to their writers.
+     */
+    async close() {
+        await this.writeQueue.catch(() => {});
+    }
+}
+
+// Column holding JSON per table (objects in export files, strings in memory)
+NdjsonAdapter.JSON_COLUMNS = {
+    metrics: 'tags',
+    execution_times: 'attributes',
+    alerts: 'labels',
+    alert_silences: 'matchers',
+    runs: 'host'
+};
+
+module.exports = NdjsonAdapter;
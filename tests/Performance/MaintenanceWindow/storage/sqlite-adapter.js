@@ -0,0 +1,1054 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const DDSketch = require('../dd-sketch');
+const StorageAdapter = require('./storage-adapter');
+const MIGRATIONS = require('./migrations');
+const { matchesValue } = require('../tag-matchers');
+
+const { ROLLUPS, formatTimestamp } = StorageAdapter;
+
+/**
+ * SQLite storage backend
+ *
+ * Keeps 1m/1h/1d rollups with DDSketches up to date on every write and
+ * indexes tags in a normalized metric_tags table. File databases use WAL
+ * journaling (disable with `{ wal: false }`) so readers don't block the
+ * batched writer.
+ *
+ * Writes share one connection, so they run one at a time through a queue:
+ * a write outside a transaction never joins (or is rolled back with)
+ * another caller's open transaction.
+ *
+ * The schema is versioned (see migrations.js). Opening an older database
+ * migrates it unless `{ migrate: false }` is passed; a database from a
+ * newer version is refused.
+ */
+class SqliteAdapter extends StorageAdapter {
+    constructor(dbPath = 'metrics.db', options = {}) {
+        super();
+        this.dbPath = dbPath;
+        this.db = null;
+        this.sketchAccuracy = options.sketchAccuracy || 0.01;
+        this.wal = options.wal !== false;
+        this.autoMigrate = options.migrate !== false;
+        this.rollupQueue = Promise.resolve();
+        this.writeQueue = Promise.resolve();
+        // Set while the current async context holds the write queue
+        this.writeContext = new AsyncLocalStorage();
+    }
+
+    /**
+     * Open database
+     */
+    async open() {
+        await new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        if (this.wal && this.dbPath !== ':memory:') {
+            await this.run('PRAGMA journal_mode = WAL');
+            await this.run('PRAGMA synchronous = NORMAL');
+        }
+
+        const version = await this.getSchemaVersion();
+        const latest = SqliteAdapter.SCHEMA_VERSION;
+
+        if (version > latest) {
+            await this.close();
+            throw new Error(
+                `Database ${this.dbPath} has schema version ${version}, newer than supported version ${latest}`
+            );
+        }
+
+        if (version < latest && this.autoMigrate) {
+            await this.migrate();
+        }
+    }
+
+    /**
+     * Get applied schema version (0 for new or unversioned databases)
+     */
+    async getSchemaVersion() {
+        await this.run(`CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        const row = await this.get('SELECT MAX(version) as version FROM schema_version');
+        return row.version || 0;
+    }
+
+    /**
+     * Apply pending migrations in order ({ dryRun })
+     *
+     * Returns { from, to, applied } where applied lists the migrations run
+     * (or that would run, with dryRun).
+     */
+    async migrate({ dryRun = false } = {}) {
+        const from = await this.getSchemaVersion();
+        const pending = MIGRATIONS.filter(migration => migration.version > from);
+        const applied = [];
+
+        for (const migration of pending) {
+            if (!dryRun) {
+                await this.transaction(async () => {
+                    await migration.up(this);
+                    await this.run(
+                        'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+                        [migration.version, migration.description]
+                    );
+                });
+            }
+
+            applied.push({ version: migration.version, description: migration.description });
+        }
+
+        return {
+            from,
+            to: dryRun || !applied.length ? from : applied[applied.length - 1].version,
+            applied
+        };
+    }
+
+    /**
+     * Insert metric, index its tags and update rollups
+     */
+    async insertMetric(row) {
+        return await this.serialize(async () => {
+            const id = await this.insertRow('metrics', row);
+
+            await this.storeTags(id, row.tags);
+            await this.updateRollups(row);
+
+            return id;
+        });
+    }
+
+    /**
+     * Index metric tags
+     */
+    async storeTags(metricId, tags = {}) {
+        for (const [key, value] of Object.entries(tags || {})) {
+            if (value === null || value === undefined) continue;
+            await this.run(
+                'INSERT OR REPLACE INTO metric_tags (metric_id, key, value) VALUES (?, ?, ?)',
+                [metricId, key, String(value)]
+            );
+        }
+    }
+
+    /**
+     * Add value to the 1m, 1h and 1d rollup buckets it falls into
+     */
+    async updateRollups(row) {
+        const buckets = new Map();
+        this.addToRollups(buckets, row);
+
+        return await this.mergeRollups(buckets);
+    }
+
+    /**
+     * Add metric row to in-memory rollup buckets keyed by tier, metric and bucket start
+     */
+    addToRollups(buckets, row) {
+        const date = new Date(StorageAdapter.toEpoch(row.timestamp) * 1000);
+
+        for (const [resolution, seconds] of Object.entries(ROLLUPS)) {
+            const bucketStart = this.getBucketStart(date, seconds);
+            const key = JSON.stringify([resolution, row.metric_type, row.metric_name, bucketStart]);
+
+            if (!buckets.has(key)) {
+                buckets.set(key, new DDSketch(this.sketchAccuracy));
+            }
+            buckets.get(key).add(row.value);
+        }
+    }
+
+    /**
+     * Merge in-memory rollup buckets into metric_rollups
+     */
+    async mergeRollups(buckets) {
+        // Rollup updates are read-modify-write, so serialize them
+        this.rollupQueue = this.rollupQueue.catch(() => {}).then(async () => {
+            for (const [key, sketch] of buckets) {
+                const [resolution, type, name, bucketStart] = JSON.parse(key);
+                const existing = await this.get(
+                    `SELECT count, sum, min, max, sketch FROM metric_rollups
+                    WHERE resolution = ? AND metric_type = ? AND metric_name = ? AND bucket_start = ?`,
+                    [resolution, type, name, bucketStart]
+                );
+
+                const merged = existing ? DDSketch.fromJSON(existing.sketch).merge(sketch) : sketch;
+
+                await this.run(
+                    `INSERT OR REPLACE INTO metric_rollups
+                        (resolution, metric_type, metric_name, bucket_start, count, sum, min, max, sketch)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        resolution, type, name, bucketStart,
+                        (existing ? existing.count : 0) + sketch.count,
+                        (existing ? existing.sum : 0) + sketch.sum,
+                        existing ? Math.min(existing.min, sketch.min) : sketch.min,
+                        existing ? Math.max(existing.max, sketch.max) : sketch.max,
+                        JSON.stringify(merged)
+                    ]
+                );
+            }
+        });
+
+        return this.rollupQueue;
+    }
+
+    /**
+     * Insert execution time
+     */
+    async insertExecutionTime(row) {
+        return await this.insertRow('execution_times', row);
+    }
+
+    /**
+     * Insert alert
+     */
+    async insertAlert(row) {
+        return await this.insertRow('alerts', row);
+    }
+
+    /**
+     * Insert alert event
+     */
+    async insertAlertEvent(row) {
+        return await this.insertRow('alert_events', row);
+    }
+
+    /**
+     * Insert alert silence
+     */
+    async insertSilence(row) {
+        return await this.insertRow('alert_silences', row);
+    }
+
+    /**
+     * Insert run
+     */
+    async insertRun(row) {
+        return await this.insertRow('runs', row);
+    }
+
+    /**
+     * Insert insert-shaped row into table, returns id
+     */
+    async insertRow(table, row) {
+        const columns = SqliteAdapter.COLUMNS[table];
+        const result = await this.serialize(() => this.run(
+            `INSERT INTO ${table} (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})`,
+            this.toColumnValues(table, row)
+        ));
+
+        return result.lastID;
+    }
+
+    /**
+     * Set stored column values of row by id
+     */
+    async updateRow(table, id, fields) {
+        const columns = SqliteAdapter.COLUMNS[table];
+        if (!columns) throw new Error(`Unknown table: ${table}`);
+
+        const names = Object.keys(fields);
+        names.forEach(name => {
+            if (!columns.includes(name)) throw new Error(`Unknown column for ${table}: ${name}`);
+        });
+
+        const result = await this.serialize(() => this.run(
+            `UPDATE ${table} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+            [...names.map(name => fields[name]), id]
+        ));
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Insert batch in one transaction, merging rollups once per bucket
+     */
+    async insertBatch(entries) {
+        return await this.transaction(async () => {
+            const ids = [];
+            const buckets = new Map();
+
+            for (const { table, row } of entries) {
+                if (table === 'metrics') {
+                    const id = await this.insertRow('metrics', row);
+
+                    await this.storeTags(id, row.tags);
+                    this.addToRollups(buckets, row);
+                    ids.push(id);
+                } else if (StorageAdapter.INSERTS[table]) {
+                    ids.push(await this[StorageAdapter.INSERTS[table]](row));
+                } else {
+                    throw new Error(`Unknown table: ${table}`);
+                }
+            }
+
+            await this.mergeRollups(buckets);
+            return ids;
+        });
+    }
+
+    /**
+     * Import rows keeping ids and timestamps
+     *
+     * Replaced metrics make incremental rollups wrong, so rollups are then
+     * rebuilt from raw metrics.
+     */
+    async importRows(table, rows, mode) {
+        const columns = SqliteAdapter.COLUMNS[table];
+        if (!columns) throw new Error(`Unknown table: ${table}`);
+
+        await this.rollupQueue.catch(() => {});
+
+        return await this.transaction(async () => {
+            const counts = { inserted: 0, skipped: 0, replaced: 0 };
+            const buckets = new Map();
+
+            for (const row of rows) {
+                const keepId = mode !== 'append' && row.id !== undefined && row.id !== null;
+                const names = keepId ? ['id', ...columns] : columns;
+                let verb = 'INSERT';
+
+                if (keepId) {
+                    const existing = await this.get(`SELECT id FROM ${table} WHERE id = ?`, [row.id]);
+
+                    if (existing && mode !== 'overwrite') {
+                        counts.skipped++;
+                        continue;
+                    }
+
+                    if (existing) {
+                        verb = 'INSERT OR REPLACE';
+                        counts.replaced++;
+                    } else {
+                        counts.inserted++;
+                    }
+                } else {
+                    counts.inserted++;
+                }
+
+                const result = await this.run(
+                    `${verb} INTO ${table} (${names.join(', ')})
+                    VALUES (${names.map(() => '?').join(', ')})`,
+                    [...(keepId ? [row.id] : []), ...this.toColumnValues(table, row)]
+                );
+
+                if (table === 'metrics') {
+                    await this.run('DELETE FROM metric_tags WHERE metric_id = ?', [result.lastID]);
+                    await this.storeTags(result.lastID, row.tags);
+                    this.addToRollups(buckets, row);
+                }
+            }
+
+            if (table === 'metrics' && counts.replaced) {
+                await this.replaceRollups();
+            } else {
+                await this.mergeRollups(buckets);
+            }
+
+            return counts;
+        });
+    }
+
+    /**
+     * Column values for insert-shaped row, in COLUMNS order
+     */
+    toColumnValues(table, row) {
+        switch (table) {
+            case 'metrics':
+                return [
+                    row.timestamp, row.metric_type, row.metric_name, row.value, JSON.stringify(row.tags || {}),
+                    row.run_id ?? null
+                ];
+            case 'execution_times':
+                return [
+                    row.timestamp, row.operation, row.duration, row.success ? 1 : 0, row.error_message ?? null,
+                    row.trace_id ?? null, row.span_id ?? null, row.parent_span_id ?? null,
+                    JSON.stringify(row.attributes || {}), row.start_time ?? null, row.run_id ?? null
+                ];
+            case 'alerts':
+                return [
+                    row.timestamp, row.metric_type, row.metric_name, row.threshold, row.actual_value, row.message ?? null,
+                    row.fingerprint ?? null, JSON.stringify(row.labels || {}), row.state || 'firing',
+                    row.last_seen ?? row.timestamp, row.resolved_at ?? null, row.occurrences ?? 1,
+                    row.acknowledged_at ?? null, row.acknowledged_by ?? null
+                ];
+            case 'alert_events':
+                return [
+                    row.timestamp, row.alert_id, row.fingerprint, row.event,
+                    row.value ?? null, row.message ?? null, row.actor ?? null
+                ];
+            case 'alert_silences':
+                return [
+                    row.timestamp, JSON.stringify(row.matchers || []), row.starts_at, row.ends_at,
+                    row.created_by ?? null, row.comment ?? null
+                ];
+            case 'runs':
+                return [
+                    row.timestamp, row.run_id, row.git_sha ?? null, row.branch ?? null, row.host_fingerprint ?? null,
+                    JSON.stringify(row.host || {}), row.config_hash ?? null, row.ended_at ?? null
+                ];
+            default:
+                throw new Error(`Unknown table: ${table}`);
+        }
+    }
+
+    /**
+     * Find metric rows
+     */
+    async findMetrics({ type = null, name = null, since, until, matchers = [], runIds = null }) {
+        const tagFilter = await this.buildTagFilter(matchers);
+        const runFilter = this.buildRunFilter(runIds);
+        const params = [since, until];
+        let query = `
+            SELECT * FROM metrics
+            WHERE timestamp >= ?
+            AND timestamp < ?
+        `;
+
+        if (type) {
+            query += ' AND metric_type = ?';
+            params.push(type);
+        }
+
+        if (name) {
+            query += ' AND metric_name = ?';
+            params.push(name);
+        }
+
+        query += tagFilter.sql + runFilter.sql;
+        params.push(...tagFilter.params, ...runFilter.params);
+        query += ' ORDER BY timestamp ASC';
+
+        return await this.all(query, params);
+    }
+
+    /**
+     * Find execution time rows
+     */
+    async findExecutionTimes({ operation = null, traceId = null, since = null, until = null, runIds = null }) {
+        const conditions = [];
+        const params = [];
+
+        [
+            ['timestamp >= ?', since],
+            ['timestamp < ?', until],
+            ['operation = ?', operation],
+            ['trace_id = ?', traceId]
+        ].forEach(([condition, value]) => {
+            if (value === null || value === undefined) return;
+            conditions.push(condition);
+            params.push(value);
+        });
+
+        if (runIds) {
+            conditions.push(`run_id IN (${runIds.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...runIds);
+        }
+
+        return await this.all(`
+            SELECT * FROM execution_times
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY timestamp ASC, id ASC
+        `, params);
+    }
+
+    /**
+     * Count execution times and good ones
+     */
+    async countExecutionTimes({ operation, since, until, threshold = null, runIds = null }) {
+        const runFilter = this.buildRunFilter(runIds);
+
+        const row = await this.get(`
+            SELECT
+                COUNT(*) as total,
+                COALESCE(SUM(CASE WHEN success = 1 AND (? IS NULL OR duration <= ?) THEN 1 ELSE 0 END), 0) as good
+            FROM execution_times
+            WHERE operation = ?
+            AND timestamp >= ?
+            AND timestamp < ?
+            ${runFilter.sql}
+        `, [threshold, threshold, operation, since, until, ...runFilter.params]);
+
+        return { total: row.total, good: row.good };
+    }
+
+    /**
+     * Find alert rows
+     */
+    async findAlerts({ id = null, type = null, name = null, fingerprint = null, states = null, since = null, until = null }) {
+        const conditions = [];
+        const params = [];
+
+        [
+            ['id = ?', id],
+            ['metric_type = ?', type],
+            ['metric_name = ?', name],
+            ['fingerprint = ?', fingerprint],
+            ['timestamp >= ?', since],
+            ['timestamp < ?', until]
+        ].forEach(([condition, value]) => {
+            if (value === null || value === undefined) return;
+            conditions.push(condition);
+            params.push(value);
+        });
+
+        if (states) {
+            conditions.push(`state IN (${states.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...states);
+        }
+
+        return await this.all(`
+            SELECT * FROM alerts
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY timestamp DESC, id DESC
+        `, params);
+    }
+
+    /**
+     * Find alert event rows
+     */
+    async findAlertEvents({ alertId }) {
+        return await this.all(
+            'SELECT * FROM alert_events WHERE alert_id = ? ORDER BY timestamp ASC, id ASC',
+            [alertId]
+        );
+    }
+
+    /**
+     * Find silence rows
+     */
+    async findSilences({ activeAt = null } = {}) {
+        if (!activeAt) {
+            return await this.all('SELECT * FROM alert_silences ORDER BY starts_at ASC, id ASC');
+        }
+
+        return await this.all(`
+            SELECT * FROM alert_silences
+            WHERE starts_at <= ?
+            AND ends_at > ?
+            ORDER BY starts_at ASC, id ASC
+        `, [activeAt, activeAt]);
+    }
+
+    /**
+     * Find run rows
+     */
+    async findRuns({ runIds = null, branch = null, gitSha = null, hostFingerprint = null, since = null, until = null } = {}) {
+        const conditions = [];
+        const params = [];
+
+        [
+            ['branch = ?', branch],
+            ['git_sha = ?', gitSha],
+            ['host_fingerprint = ?', hostFingerprint],
+            ['timestamp >= ?', since],
+            ['timestamp < ?', until]
+        ].forEach(([condition, value]) => {
+            if (value === null || value === undefined) return;
+            conditions.push(condition);
+            params.push(value);
+        });
+
+        if (runIds) {
+            conditions.push(`run_id IN (${runIds.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...runIds);
+        }
+
+        return await this.all(`
+            SELECT * FROM runs
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY timestamp DESC, id DESC
+        `, params);
+    }
+
+    /**
+     * Aggregate metric values
+     */
+    async aggregateMetrics({ type, name, since, until }) {
+        return await this.get(`
+            SELECT
+                COUNT(*) as count,
+                AVG(value) as average,
+                MIN(value) as minimum,
+                MAX(value) as maximum
+            FROM metrics
+            WHERE metric_type = ?
+            AND metric_name = ?
+            AND timestamp >= ?
+            AND timestamp < ?
+        `, [type, name, since, until]);
+    }
+
+    /**
+     * Find rollup sketches for buckets starting in range
+     */
+    async findSketches({ type, name, since, until, resolution }) {
+        await this.rollupQueue.catch(() => {});
+
+        const rows = await this.all(`
+            SELECT sketch FROM metric_rollups
+            WHERE resolution = ?
+            AND metric_type = ?
+            AND metric_name = ?
+            AND bucket_start >= ?
+            AND bucket_start < ?
+        `, [resolution, type, name, since, until]);
+
+        return rows.map(row => DDSketch.fromJSON(row.sketch));
+    }
+
+    /**
+     * Aggregate time series from rollups or raw samples
+     *
+     * Rollups are not split by tag or run, so matchers, groupBy and runIds
+     * read raw samples.
+     */
+    async aggregateTimeSeries({ type, name, since, until, seconds, resolution = null, matchers = [], groupBy = [], runIds = null }) {
+        if (resolution && !matchers.length && !groupBy.length && !runIds) {
+            await this.rollupQueue.catch(() => {});
+
+            return await this.all(`
+                SELECT
+                    (CAST(strftime('%s', bucket_start) AS INTEGER) / ?) * ? as bucket,
+                    SUM(sum) / SUM(count) as average,
+                    MIN(min) as minimum,
+                    MAX(max) as maximum,
+                    SUM(count) as count
+                FROM metric_rollups
+                WHERE resolution = ?
+                AND metric_type = ?
+                AND metric_name = ?
+                AND bucket_start >= ?
+                AND bucket_start < ?
+                GROUP BY bucket
+                ORDER BY bucket ASC
+            `, [seconds, seconds, resolution, type, name, since, until]);
+        }
+
+        const tagFilter = await this.buildTagFilter(matchers);
+        const runFilter = this.buildRunFilter(runIds);
+        const groups = this.buildGroupColumns(groupBy);
+        const groupNames = groupBy.map((_, i) => `, tag_${i}`).join('');
+
+        const rows = await this.all(`
+            SELECT bucket, average, minimum, maximum, count${groupNames}
+            FROM (
+                SELECT
+                    (CAST(strftime('%s', timestamp) AS INTEGER) / ?) * ? as bucket,
+                    AVG(value) as average,
+                    MIN(value) as minimum,
+                    MAX(value) as maximum,
+                    COUNT(*) as count${groups.columns}
+                FROM metrics
+                WHERE metric_type = ?
+                AND metric_name = ?
+                AND timestamp >= ?
+                AND timestamp < ?
+                ${tagFilter.sql}${runFilter.sql}
+                GROUP BY bucket${groupNames}
+            )
+            ORDER BY ${groupBy.map((_, i) => `tag_${i}, `).join('')}bucket ASC
+        `, [seconds, seconds, ...groups.params, type, name, since, until, ...tagFilter.params, ...runFilter.params]);
+
+        if (!groupBy.length) return rows;
+
+        return rows.map(row => ({
+            bucket: row.bucket,
+            average: row.average,
+            minimum: row.minimum,
+            maximum: row.maximum,
+            count: row.count,
+            labels: this.extractLabels(row, groupBy)
+        }));
+    }
+
+    /**
+     * Bucketed aggregates of every metric
+     */
+    async aggregateMetricSeries({ since, until, seconds, resolution = null, runIds = null }) {
+        if (resolution && !runIds) {
+            await this.rollupQueue.catch(() => {});
+
+            return await this.all(`
+                SELECT
+                    metric_type,
+                    metric_name,
+                    (CAST(strftime('%s', bucket_start) AS INTEGER) / ?) * ? as bucket,
+                    SUM(sum) / SUM(count) as average,
+                    MIN(min) as minimum,
+                    MAX(max) as maximum,
+                    SUM(count) as count
+                FROM metric_rollups
+                WHERE resolution = ?
+                AND bucket_start >= ?
+                AND bucket_start < ?
+                GROUP BY metric_type, metric_name, bucket
+                ORDER BY metric_type, metric_name, bucket ASC
+            `, [seconds, seconds, resolution, since, until]);
+        }
+
+        const runFilter = this.buildRunFilter(runIds);
+
+        return await this.all(`
+            SELECT
+                metric_type,
+                metric_name,
+                (CAST(strftime('%s', timestamp) AS INTEGER) / ?) * ? as bucket,
+                AVG(value) as average,
+                MIN(value) as minimum,
+                MAX(value) as maximum,
+                COUNT(*) as count
+            FROM metrics
+            WHERE timestamp >= ?
+            AND timestamp < ?
+            ${runFilter.sql}
+            GROUP BY metric_type, metric_name, bucket
+            ORDER BY metric_type, metric_name, bucket ASC
+        `, [seconds, seconds, since, until, ...runFilter.params]);
+    }
+
+    /**
+     * List distinct metrics
+     */
+    async listMetrics({ since, until, runIds = null }) {
+        const runFilter = this.buildRunFilter(runIds);
+
+        return await this.all(`
+            SELECT DISTINCT metric_type, metric_name
+            FROM metrics
+            WHERE timestamp >= ?
+            AND timestamp < ?
+            ${runFilter.sql}
+        `, [since, until, ...runFilter.params]);
+    }
+
+    /**
+     * Page of rows ordered by id
+     */
+    async exportRows(table, { since = null, until = null, type = null, name = null, operation = null, run = null, afterId = 0, limit = 1000 } = {}) {
+        if (!SqliteAdapter.COLUMNS[table]) throw new Error(`Unknown table: ${table}`);
+
+        const conditions = ['id > ?'];
+        const params = [afterId];
+        const options = { type, name, operation, run };
+        const filters = Object.entries(StorageAdapter.FILTERS[table] || {})
+            .map(([option, column]) => [`${column} = ?`, options[option]]);
+
+        [['timestamp >= ?', since], ['timestamp < ?', until], ...filters].forEach(([condition, value]) => {
+            if (value === null || value === undefined) return;
+            conditions.push(condition);
+            params.push(value);
+        });
+
+        return await this.all(`
+            SELECT * FROM ${table}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id ASC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    /**
+     * Delete old rows and rollups
+     */
+    async deleteBefore(bounds) {
+        await this.rollupQueue.catch(() => {});
+        await this.serialize(() => this.deleteRowsBefore(bounds));
+    }
+
+    /**
+     * Delete rows and rollups older than the bounds
+     */
+    async deleteRowsBefore({ raw, rollups = {} }) {
+
+        const queries = [
+            'DELETE FROM metrics WHERE timestamp < ?',
+            'DELETE FROM execution_times WHERE timestamp < ?',
+            "DELETE FROM alerts WHERE timestamp < ? AND state = 'resolved'",
+            'DELETE FROM alert_silences WHERE ends_at < ?',
+            `DELETE FROM runs WHERE timestamp < ?
+                AND run_id NOT IN (SELECT run_id FROM metrics WHERE run_id IS NOT NULL)
+                AND run_id NOT IN (SELECT run_id FROM execution_times WHERE run_id IS NOT NULL)`
+        ];
+
+        for (const query of queries) {
+            await this.run(query, [raw]);
+        }
+
+        await this.run('DELETE FROM metric_tags WHERE metric_id NOT IN (SELECT id FROM metrics)');
+        await this.run('DELETE FROM alert_events WHERE alert_id NOT IN (SELECT id FROM alerts)');
+
+        for (const [resolution, bound] of Object.entries(rollups)) {
+            await this.run(
+                'DELETE FROM metric_rollups WHERE resolution = ? AND bucket_start < ?',
+                [resolution, bound]
+            );
+        }
+
+        await this.run('VACUUM');
+    }
+
+    /**
+     * Rebuild rollups from raw metrics (for data stored before rollups)
+     */
+    async rebuildRollups() {
+        await this.rollupQueue.catch(() => {});
+        await this.transaction(() => this.replaceRollups());
+    }
+
+    /**
+     * Replace all rollups with ones computed from raw metrics
+     */
+    async replaceRollups() {
+        const rows = await this.all(`
+            SELECT timestamp, metric_type, metric_name, value
+            FROM metrics
+            ORDER BY timestamp ASC
+        `);
+
+        const buckets = new Map();
+        rows.forEach(row => this.addToRollups(buckets, row));
+
+        await this.run('DELETE FROM metric_rollups');
+        for (const [key, sketch] of buckets) {
+            await this.run(
+                `INSERT INTO metric_rollups
+                    (resolution, metric_type, metric_name, bucket_start, count, sum, min, max, sketch)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [...JSON.parse(key), sketch.count, sketch.sum, sketch.min, sketch.max, JSON.stringify(sketch)]
+            );
+        }
+    }
+
+    /**
+     * Rebuild tag index from the tags column (for data stored before the index)
+     */
+    async rebuildTagIndex() {
+        await this.transaction(() => this.replaceTagIndex());
+    }
+
+    /**
+     * Replace tag index with one built from the tags column
+     */
+    async replaceTagIndex() {
+        const rows = await this.all('SELECT id, tags FROM metrics WHERE tags IS NOT NULL');
+
+        await this.run('DELETE FROM metric_tags');
+        for (const row of rows) {
+            await this.storeTags(row.id, JSON.parse(row.tags || '{}'));
+        }
+    }
+
+    /**
+     * Run callback inside a transaction
+     *
+     * Transactions hold the write queue (see serialize()); one started
+     * inside another joins it.
+     */
+    async transaction(callback) {
+        if (this.writeContext.getStore()) return await callback();
+
+        return await this.serialize(async () => {
+            await this.run('BEGIN TRANSACTION');
+
+            try {
+                const result = await callback();
+                await this.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Run writes once every earlier queued write finished
+     *
+     * Calls made while already holding the queue (from inside a transaction
+     * or another serialized write) run directly.
+     */
+    async serialize(work) {
+        if (this.writeContext.getStore()) return await work();
+
+        const previous = this.writeQueue;
+        let release;
+        this.writeQueue = new Promise(resolve => {
+            release = resolve;
+        });
+
+        await previous;
+
+        try {
+            return await this.writeContext.run(true, work);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Build SQL condition for tag matchers against the metrics table
+     */
+    async buildTagFilter(matchers = []) {
+        const conditions = [];
+        const params = [];
+
+        for (const matcher of matchers) {
+            let values = [matcher.value];
+
+            // SQLite has no REGEXP, so expand regexes to the known tag values
+            if (matcher.regex) {
+                const rows = await this.all(
+                    'SELECT DISTINCT value FROM metric_tags WHERE key = ?',
+                    [matcher.key]
+                );
+                values = rows
+                    .map(row => row.value)
+                    .filter(value => matchesValue({ ...matcher, op: '=~' }, value));
+            }
+
+            const placeholders = values.map(() => '?').join(', ') || 'NULL';
+            const exists = `EXISTS (
+                SELECT 1 FROM metric_tags
+                WHERE metric_tags.metric_id = metrics.id
+                AND metric_tags.key = ?
+                AND metric_tags.value IN (${placeholders})
+            )`;
+
+            const negated = matcher.op === '!=' || matcher.op === '!~';
+            conditions.push(negated ? `NOT ${exists}` : exists);
+            params.push(matcher.key, ...values);
+        }
+
+        return {
+            sql: conditions.map(condition => ` AND ${condition}`).join(''),
+            params
+        };
+    }
+
+    /**
+     * Build SQL condition limiting metrics to runs (null for any run)
+     */
+    buildRunFilter(runIds = null) {
+        if (!runIds) return { sql: '', params: [] };
+
+        return {
+            sql: ` AND run_id IN (${runIds.map(() => '?').join(', ') || 'NULL'})`,
+            params: [...runIds]
+        };
+    }
+
+    /**
+     * Build select columns for group-by tag keys (tag_0, tag_1, ...)
+     */
+    buildGroupColumns(groupBy) {
+        return {
+            columns: groupBy.map((_, i) => `,
+                (SELECT value FROM metric_tags
+                WHERE metric_tags.metric_id = metrics.id AND metric_tags.key = ?) as tag_${i}`).join(''),
+            params: [...groupBy]
+        };
+    }
+
+    /**
+     * Extract group labels from row tag columns
+     */
+    extractLabels(row, groupBy) {
+        const labels = {};
+        groupBy.forEach((key, i) => {
+            labels[key] = row[`tag_${i}`] ?? null;
+        });
+        return labels;
+    }
+
+    /**
+     * Get rollup bucket start
+     */
+    getBucketStart(date, seconds) {
+        return formatTimestamp(new Date(Math.floor(date.getTime() / 1000 / seconds) * seconds * 1000));
+    }
+
+    /**
+     * Run SQL query
+     */
+    async run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Get single row
+     */
+    async get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    /**
+     * Get multiple rows
+     */
+    async all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Close database connection
+     */
+    async close() {
+        if (!this.db) return;
+
+        await this.writeQueue;
+        await this.rollupQueue.catch(() => {});
+        await new Promise((resolve, reject) => {
+            this.db.close(err => (err ? reject(err) : resolve()));
+        });
+        this.db = null;
+    }
+}
+
+// Insertable columns per table, besides id
+SqliteAdapter.COLUMNS = {
+    metrics: ['timestamp', 'metric_type', 'metric_name', 'value', 'tags', 'run_id'],
+    execution_times: [
+        'timestamp', 'operation', 'duration', 'success', 'error_message',
+        'trace_id', 'span_id', 'parent_span_id', 'attributes', 'start_time', 'run_id'
+    ],
+    alerts: [
+        'timestamp', 'metric_type', 'metric_name', 'threshold', 'actual_value', 'message',
+        'fingerprint', 'labels', 'state', 'last_seen', 'resolved_at', 'occurrences',
+        'acknowledged_at', 'acknowledged_by'
+    ],
+    alert_events: ['timestamp', 'alert_id', 'fingerprint', 'event', 'value', 'message', 'actor'],
+    alert_silences: ['timestamp', 'matchers', 'starts_at', 'ends_at', 'created_by', 'comment'],
+    runs: ['timestamp', 'run_id', 'git_sha', 'branch', 'host_fingerprint', 'host', 'config_hash', 'ended_at']
+};
+
+// Schema version this code writes
+SqliteAdapter.SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = SqliteAdapter;
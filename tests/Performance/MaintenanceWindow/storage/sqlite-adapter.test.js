@@ -0,0 +1,57 @@
+const { describe, expect, test, beforeEach, afterEach } = require('@jest/globals');
+const SqliteAdapter = require('./sqlite-adapter');
+
+describe('SqliteAdapter writes', () => {
+    let adapter;
+
+    beforeEach(async () => {
+        adapter = new SqliteAdapter(':memory:');
+        await adapter.open();
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+    });
+
+    const metric = value => ({
+        timestamp: '2024-03-01 10:00:00',
+        metric_type: 'api',
+        metric_name: 'latency',
+        value,
+        tags: { env: 'prod' }
+    });
+
+    test('keep direct writes out of a batch that rolls back', async () => {
+        const batch = adapter.insertBatch([
+            { table: 'metrics', row: metric(1) },
+            { table: 'metrics', row: metric(2) },
+            { table: 'unknown', row: {} }
+        ]);
+
+        // Let the batch open its transaction before writing directly
+        await new Promise(resolve => setImmediate(resolve));
+        const direct = adapter.insertExecutionTime({
+            timestamp: '2024-03-01 10:00:00',
+            operation: 'extend',
+            duration: 12.5,
+            success: true,
+            error_message: null
+        });
+
+        await expect(batch).rejects.toThrow('Unknown table: unknown');
+        await direct;
+
+        expect(await adapter.all('SELECT value FROM metrics')).toEqual([]);
+        expect(await adapter.all('SELECT operation FROM execution_times')).toEqual([{ operation: 'extend' }]);
+    });
+
+    test('nested writes inside a transaction join it', async () => {
+        const ids = await adapter.transaction(async () => [
+            await adapter.insertMetric(metric(1)),
+            await adapter.transaction(() => adapter.insertMetric(metric(2)))
+        ]);
+
+        expect(ids).toHaveLength(2);
+        expect(await adapter.all('SELECT value FROM metrics ORDER BY id')).toEqual([{ value: 1 }, { value: 2 }]);
+    });
+});
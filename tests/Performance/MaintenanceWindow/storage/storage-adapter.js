@@ -0,0 +1,314 @@
+/**
+ * Base class for MetricsStore storage backends
+ *
+ * Adapters persist raw rows and answer the aggregate queries MetricsStore
+ * needs. Timestamps are UTC strings in SQLite's `YYYY-MM-DD HH:MM:SS`
+ * format, so they compare correctly as strings. Queries are bounded by an
+ * inclusive `since` and an exclusive `until`. Tag matchers arrive already
+ * parsed (see tag-matchers.js).
+ */
+class StorageAdapter {
+    /**
+     * Open backend (create files, tables, load data)
+     */
+    async open() {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+
+    /**
+     * Close backend
+     */
+    async close() {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+
+    /**
+     * Insert metric row ({ timestamp, metric_type, metric_name, value, tags, run_id }), returns id
+     */
+    async insertMetric(row) {
+        throw new Error(`${this.constructor.name} does not implement insertMetric()`);
+    }
+
+    /**
+     * Insert execution time row ({ timestamp, operation, duration, success, error_message,
+     * trace_id, span_id, parent_span_id, attributes, start_time, run_id })
+     *
+     * Span and run columns are optional; `attributes` is an object like
+     * metric tags and `start_time` is epoch milliseconds.
+     */
+    async insertExecutionTime(row) {
+        throw new Error(`${this.constructor.name} does not implement insertExecutionTime()`);
+    }
+
+    /**
+     * Insert alert row ({ timestamp, metric_type, metric_name, threshold, actual_value, message,
+     * fingerprint, labels, state, last_seen, resolved_at, occurrences, acknowledged_at, acknowledged_by })
+     *
+     * `labels` is an object like metric tags; lifecycle columns are optional.
+     */
+    async insertAlert(row) {
+        throw new Error(`${this.constructor.name} does not implement insertAlert()`);
+    }
+
+    /**
+     * Insert alert event row ({ timestamp, alert_id, fingerprint, event, value, message, actor })
+     */
+    async insertAlertEvent(row) {
+        throw new Error(`${this.constructor.name} does not implement insertAlertEvent()`);
+    }
+
+    /**
+     * Insert alert silence row ({ timestamp, matchers, starts_at, ends_at, created_by, comment })
+     *
+     * `matchers` is a list of parsed tag matchers ({ key, op, value }).
+     */
+    async insertSilence(row) {
+        throw new Error(`${this.constructor.name} does not implement insertSilence()`);
+    }
+
+    /**
+     * Insert run row ({ timestamp, run_id, git_sha, branch, host_fingerprint, host, config_hash, ended_at })
+     *
+     * `host` is an object describing the machine; `timestamp` is the run start.
+     */
+    async insertRun(row) {
+        throw new Error(`${this.constructor.name} does not implement insertRun()`);
+    }
+
+    /**
+     * Set stored column values of row by id (table, id, fields), returns whether it existed
+     */
+    async updateRow(table, id, fields) {
+        throw new Error(`${this.constructor.name} does not implement updateRow()`);
+    }
+
+    /**
+     * Insert batch of `{ table, row }` entries atomically, returns ids
+     *
+     * Tables are those in StorageAdapter.INSERTS. Adapters may
+     * override this with a faster bulk path.
+     */
+    async insertBatch(entries) {
+        return await this.transaction(async () => {
+            const ids = [];
+
+            for (const { table, row } of entries) {
+                const method = StorageAdapter.INSERTS[table];
+                if (!method) throw new Error(`Unknown table: ${table}`);
+
+                ids.push(await this[method](row));
+            }
+
+            return ids;
+        });
+    }
+
+    /**
+     * Find metric rows ({ type, name, since, until, matchers, runIds }) ordered by timestamp;
+     * type, name and runIds are optional
+     *
+     * Every query taking `runIds` returns only rows of those runs when it is
+     * an array, and rows of any run (or none) when it is null.
+     */
+    async findMetrics(query) {
+        throw new Error(`${this.constructor.name} does not implement findMetrics()`);
+    }
+
+    /**
+     * Find execution time rows ({ operation, traceId, since, until, runIds }) ordered by timestamp;
+     * the time bounds are optional when traceId is given
+     */
+    async findExecutionTimes(query) {
+        throw new Error(`${this.constructor.name} does not implement findExecutionTimes()`);
+    }
+
+    /**
+     * Count execution times ({ operation, since, until, threshold, runIds })
+     *
+     * Returns { total, good } where good runs succeeded and, when
+     * `threshold` is set, took at most that many milliseconds.
+     */
+    async countExecutionTimes(query) {
+        throw new Error(`${this.constructor.name} does not implement countExecutionTimes()`);
+    }
+
+    /**
+     * Find alert rows ({ id, type, name, fingerprint, states, since, until }), newest first;
+     * every filter is optional
+     */
+    async findAlerts(query) {
+        throw new Error(`${this.constructor.name} does not implement findAlerts()`);
+    }
+
+    /**
+     * Find alert event rows ({ alertId }) ordered by timestamp
+     */
+    async findAlertEvents(query) {
+        throw new Error(`${this.constructor.name} does not implement findAlertEvents()`);
+    }
+
+    /**
+     * Find silence rows ({ activeAt }) ordered by start; all silences without activeAt
+     */
+    async findSilences(query) {
+        throw new Error(`${this.constructor.name} does not implement findSilences()`);
+    }
+
+    /**
+     * Find run rows ({ runIds, branch, gitSha, hostFingerprint, since, until }), newest first;
+     * every filter is optional and the time bounds apply to the run start
+     */
+    async findRuns(query) {
+        throw new Error(`${this.constructor.name} does not implement findRuns()`);
+    }
+
+    /**
+     * Count/average/minimum/maximum of metric values ({ type, name, since, until })
+     */
+    async aggregateMetrics(query) {
+        throw new Error(`${this.constructor.name} does not implement aggregateMetrics()`);
+    }
+
+    /**
+     * DDSketches covering metric values ({ type, name, since, until, resolution })
+     */
+    async findSketches(query) {
+        throw new Error(`${this.constructor.name} does not implement findSketches()`);
+    }
+
+    /**
+     * Bucketed metric aggregates
+     * ({ type, name, since, until, seconds, resolution, matchers, groupBy, runIds })
+     *
+     * Returns rows of { bucket, average, minimum, maximum, count } where
+     * `bucket` is the epoch second the bucket starts at, plus `labels`
+     * when grouping. `resolution` names a rollup tier the adapter may use;
+     * rollups are not split by run, so `runIds` reads raw samples.
+     */
+    async aggregateTimeSeries(query) {
+        throw new Error(`${this.constructor.name} does not implement aggregateTimeSeries()`);
+    }
+
+    /**
+     * Bucketed aggregates of every metric in one pass
+     * ({ since, until, seconds, resolution, runIds })
+     *
+     * Returns aggregateTimeSeries() rows plus `metric_type` and
+     * `metric_name`, ordered by metric and bucket.
+     */
+    async aggregateMetricSeries(query) {
+        throw new Error(`${this.constructor.name} does not implement aggregateMetricSeries()`);
+    }
+
+    /**
+     * Distinct metric type/name pairs ({ since, until, runIds })
+     */
+    async listMetrics(query) {
+        throw new Error(`${this.constructor.name} does not implement listMetrics()`);
+    }
+
+    /**
+     * Page of raw rows ordered by id, for export
+     * (table, { since, until, type, name, operation, run, afterId, limit })
+     *
+     * `type`/`name`/`operation`/`run` only filter tables listed in StorageAdapter.FILTERS.
+     */
+    async exportRows(table, query) {
+        throw new Error(`${this.constructor.name} does not implement exportRows()`);
+    }
+
+    /**
+     * Import rows keeping their ids and timestamps (table, rows, mode)
+     *
+     * Rows use the insert* shapes plus `id`. Rows whose id already exists are
+     * skipped with mode 'skip' and replaced with 'overwrite'; 'append' drops
+     * the ids and inserts every row. Returns { inserted, skipped, replaced }.
+     */
+    async importRows(table, rows, mode) {
+        throw new Error(`${this.constructor.name} does not implement importRows()`);
+    }
+
+    /**
+     * Delete rows older than the given bounds ({ raw, rollups: { tier: bound } })
+     *
+     * Open alerts are kept, with their events, until resolved; silences go
+     * once they have ended, runs once none of their rows are left.
+     */
+    async deleteBefore(bounds) {
+        throw new Error(`${this.constructor.name} does not implement deleteBefore()`);
+    }
+
+    /**
+     * Run callback atomically where the backend supports it
+     */
+    async transaction(callback) {
+        return await callback();
+    }
+
+    /**
+     * Applied schema version; null for adapters without a versioned schema
+     */
+    async getSchemaVersion() {
+        return null;
+    }
+
+    /**
+     * Apply pending schema migrations ({ dryRun }), returns { from, to, applied }
+     */
+    async migrate() {
+        const version = await this.getSchemaVersion();
+        return { from: version, to: version, applied: [] };
+    }
+
+    /**
+     * Rebuild derived rollups; adapters that aggregate on the fly have none
+     */
+    async rebuildRollups() {}
+
+    /**
+     * Rebuild derived tag index; adapters that match tags on the fly have none
+     */
+    async rebuildTagIndex() {}
+}
+
+// Rollup resolutions in seconds
+StorageAdapter.ROLLUPS = {
+    '1m': 60,
+    '1h': 3600,
+    '1d': 86400
+};
+
+// Insert method for each table accepted by insertBatch()
+StorageAdapter.INSERTS = {
+    metrics: 'insertMetric',
+    execution_times: 'insertExecutionTime',
+    alerts: 'insertAlert',
+    alert_events: 'insertAlertEvent',
+    alert_silences: 'insertSilence',
+    runs: 'insertRun'
+};
+
+// Export filter option -> column, per table
+StorageAdapter.FILTERS = {
+    metrics: { type: 'metric_type', name: 'metric_name', run: 'run_id' },
+    execution_times: { operation: 'operation', run: 'run_id' },
+    alerts: { type: 'metric_type', name: 'metric_name' },
+    runs: { run: 'run_id' }
+};
+
+/**
+ * Convert stored timestamp to epoch seconds
+ */
+StorageAdapter.toEpoch = timestamp => Math.floor(Date.parse(`${timestamp.replace(' ', 'T')}Z`) / 1000);
+
+/**
+ * Parse stored timestamp as date
+ */
+StorageAdapter.toDate = timestamp => new Date(StorageAdapter.toEpoch(timestamp) * 1000);
+
+/**
+ * Format date as stored timestamp
+ */
+StorageAdapter.formatTimestamp = date => date.toISOString().slice(0, 19).replace('T', ' ');
+
+module.exports = StorageAdapter;
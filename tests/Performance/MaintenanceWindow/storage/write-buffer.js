@@ -0,0 +1,113 @@
+/**
+ * Write buffer for batched inserts
+ *
+ * Rows are queued as `{ table, row }` entries and handed to `write` in one
+ * batch once `batchSize` entries are queued or the oldest entry is
+ * `flushInterval` ms old. Once `maxPending` entries are waiting, `push`
+ * blocks until they are written (backpressure). A failed batch is dropped
+ * and its error is thrown from the next `push` or `flush` call.
+ */
+class WriteBuffer {
+    constructor(write, options = {}) {
+        this.write = write;
+        this.batchSize = options.batchSize || 500;
+        this.flushInterval = options.flushInterval ?? 1000;
+        this.maxPending = Math.max(options.maxPending || 10000, this.batchSize);
+        this.entries = [];
+        this.timer = null;
+        this.inFlight = 0;
+        this.flushing = Promise.resolve();
+        this.error = null;
+    }
+
+    /**
+     * Number of queued entries
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Number of entries queued or being written
+     */
+    get pending() {
+        return this.entries.length + this.inFlight;
+    }
+
+    /**
+     * Queue row for insertion
+     */
+    async push(table, row) {
+        this.throwPendingError();
+
+        while (this.pending >= this.maxPending) {
+            await this.flush();
+        }
+
+        this.entries.push({ table, row });
+
+        if (this.entries.length >= this.batchSize) {
+            this.flushInBackground();
+        } else {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Write queued entries as one batch, after batches already in flight
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const batch = this.entries.splice(0, this.entries.length);
+        this.inFlight += batch.length;
+
+        const written = this.flushing
+            .then(() => batch.length && this.write(batch))
+            .finally(() => {
+                this.inFlight -= batch.length;
+            });
+        this.flushing = written.catch(() => {});
+
+        await written;
+        this.throwPendingError();
+    }
+
+    /**
+     * Start age-based flush timer
+     */
+    schedule() {
+        if (this.timer || !this.flushInterval) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flushInBackground();
+        }, this.flushInterval);
+
+        // Don't keep the process alive just for the timer; close() flushes
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Flush without waiting, keeping the error for the next caller
+     */
+    flushInBackground() {
+        this.flush().catch(error => {
+            this.error = this.error || error;
+        });
+    }
+
+    /**
+     * Throw error from a failed background flush
+     */
+    throwPendingError() {
+        if (!this.error) return;
+
+        const error = this.error;
+        this.error = null;
+        throw error;
+    }
+}
+
+module.exports = WriteBuffer;
@@ -0,0 +1,65 @@
+const { describe, expect, test } = require('@jest/globals');
+const WriteBuffer = require('./write-buffer');
+
+const recorder = (delay = 0) => {
+    const batches = [];
+    const write = async (entries) => {
+        if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+        batches.push(entries.map(entry => entry.row.value));
+    };
+    return { batches, write };
+};
+
+describe('WriteBuffer', () => {
+    test('flushes when batch size is reached', async () => {
+        const { batches, write } = recorder();
+        const buffer = new WriteBuffer(write, { batchSize: 3, flushInterval: null });
+
+        for (let i = 1; i <= 4; i++) {
+            await buffer.push('metrics', { value: i });
+        }
+        await buffer.flushing;
+
+        expect(batches).toEqual([[1, 2, 3]]);
+        expect(buffer.size).toBe(1);
+
+        await buffer.flush();
+        expect(batches).toEqual([[1, 2, 3], [4]]);
+    });
+
+    test('flushes when oldest entry reaches flush interval', async () => {
+        const { batches, write } = recorder();
+        const buffer = new WriteBuffer(write, { batchSize: 100, flushInterval: 20 });
+
+        await buffer.push('metrics', { value: 1 });
+        await buffer.push('metrics', { value: 2 });
+        expect(batches).toEqual([]);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(batches).toEqual([[1, 2]]);
+    });
+
+    test('blocks producers once max pending entries are queued', async () => {
+        const { batches, write } = recorder(10);
+        const buffer = new WriteBuffer(write, { batchSize: 2, maxPending: 4, flushInterval: null });
+
+        for (let i = 1; i <= 20; i++) {
+            await buffer.push('metrics', { value: i });
+            expect(buffer.pending).toBeLessThanOrEqual(4);
+        }
+        await buffer.flush();
+
+        expect(batches.flat()).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+    });
+
+    test('reports background flush errors to the next caller', async () => {
+        const buffer = new WriteBuffer(async () => {
+            throw new Error('disk full');
+        }, { batchSize: 1, flushInterval: null });
+
+        await buffer.push('metrics', { value: 1 });
+        await new Promise(resolve => setImmediate(resolve));
+
+        await expect(buffer.push('metrics', { value: 2 })).rejects.toThrow('disk full');
+    });
+});
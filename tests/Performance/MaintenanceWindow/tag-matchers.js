@@ -0,0 +1,102 @@
+/**
+ * Tag matcher parsing and evaluation
+ *
+ * Matchers follow the Prometheus label matcher syntax:
+ *   env=prod, env!=staging, operation=~extend.*, operation!~cleanup.*
+ * Regular expressions are anchored and must match the whole value.
+ */
+const MATCHER_PATTERN = /^\s*([A-Za-z_][\w.-]*)\s*(=~|!~|!=|=)\s*"?(.*?)"?\s*$/;
+
+/**
+ * Parse matchers from strings ("env=prod"), objects ({ env: 'prod' })
+ * or already parsed matchers
+ */
+function parseTagMatchers(input) {
+    if (!input) return [];
+
+    if (!Array.isArray(input)) {
+        if (typeof input === 'string') {
+            return parseTagMatchers(input.split(',').filter(part => part.trim()));
+        }
+
+        return Object.entries(input).map(([key, value]) => createMatcher(key, '=', String(value)));
+    }
+
+    return input.map(matcher => {
+        if (typeof matcher !== 'string') {
+            return createMatcher(matcher.key, matcher.op || '=', matcher.value);
+        }
+
+        const matches = matcher.match(MATCHER_PATTERN);
+        if (!matches) throw new Error(`Invalid tag matcher: ${matcher}`);
+
+        const [_, key, op, value] = matches;
+        return createMatcher(key, op, value);
+    });
+}
+
+/**
+ * Create matcher object
+ */
+function createMatcher(key, op, value) {
+    if (!['=', '!=', '=~', '!~'].includes(op)) {
+        throw new Error(`Invalid tag matcher operator: ${op}`);
+    }
+
+    const matcher = { key, op, value };
+
+    if (op === '=~' || op === '!~') {
+        try {
+            matcher.regex = new RegExp(`^(?:${value})$`);
+        } catch (error) {
+            throw new Error(`Invalid tag matcher regex for ${key}: ${error.message}`);
+        }
+    }
+
+    return matcher;
+}
+
+/**
+ * Check single value against matcher (undefined means tag is absent)
+ */
+function matchesValue(matcher, value) {
+    switch (matcher.op) {
+        case '=':
+            return value === matcher.value;
+        case '!=':
+            return value !== matcher.value;
+        case '=~':
+            return value !== undefined && matcher.regex.test(value);
+        case '!~':
+            return value === undefined || !matcher.regex.test(value);
+    }
+
+    return false;
+}
+
+/**
+ * Check tags object against all matchers
+ */
+function matchesTags(tags, matchers) {
+    const normalized = tags || {};
+    return matchers.every(matcher => {
+        const value = normalized[matcher.key];
+        return matchesValue(matcher, value === undefined ? undefined : String(value));
+    });
+}
+
+/**
+ * Normalize group-by input ("env,region" or ['env', 'region'])
+ */
+function parseGroupBy(groupBy) {
+    if (!groupBy) return [];
+    const keys = Array.isArray(groupBy) ? groupBy : String(groupBy).split(',');
+    return keys.map(key => key.trim()).filter(Boolean);
+}
+
+module.exports = {
+    parseTagMatchers,
+    matchesValue,
+    matchesTags,
+    parseGroupBy
+};
@@ -0,0 +1,47 @@
+const { describe, expect, test } = require('@jest/globals');
+const { parseTagMatchers, matchesTags, parseGroupBy } = require('./tag-matchers');
+
+describe('Tag matchers', () => {
+    describe('Parsing', () => {
+        test('parses all operators', () => {
+            const matchers = parseTagMatchers(['env=prod', 'region!=eu', 'operation=~extend.*', 'host!~"db-.*"']);
+
+            expect(matchers.map(m => [m.key, m.op, m.value])).toEqual([
+                ['env', '=', 'prod'],
+                ['region', '!=', 'eu'],
+                ['operation', '=~', 'extend.*'],
+                ['host', '!~', 'db-.*']
+            ]);
+        });
+
+        test('parses comma separated string and plain objects', () => {
+            expect(parseTagMatchers('env=prod, region=us')).toHaveLength(2);
+            expect(parseTagMatchers({ env: 'prod' })).toEqual([{ key: 'env', op: '=', value: 'prod' }]);
+        });
+
+        test('rejects invalid matchers', () => {
+            expect(() => parseTagMatchers(['env'])).toThrow(/Invalid tag matcher/);
+            expect(() => parseTagMatchers(['env=~('])).toThrow(/Invalid tag matcher regex/);
+        });
+    });
+
+    describe('Matching', () => {
+        const tags = { env: 'prod', operation: 'extendEnd' };
+
+        test('anchors regular expressions', () => {
+            expect(matchesTags(tags, parseTagMatchers(['operation=~extend']))).toBe(false);
+            expect(matchesTags(tags, parseTagMatchers(['operation=~extend.*']))).toBe(true);
+        });
+
+        test('negative matchers accept missing tags', () => {
+            expect(matchesTags(tags, parseTagMatchers(['region!=eu']))).toBe(true);
+            expect(matchesTags(tags, parseTagMatchers(['region!~eu.*']))).toBe(true);
+            expect(matchesTags(tags, parseTagMatchers(['region=~eu.*']))).toBe(false);
+        });
+    });
+
+    test('normalizes group-by keys', () => {
+        expect(parseGroupBy('env, region')).toEqual(['env', 'region']);
+        expect(parseGroupBy(null)).toEqual([]);
+    });
+});
@@ -145,6 +145,13 @@ class TestHelpers {
         }
     }
 
+    /**
+     * Deterministic noise in [-1, 1) for sample i
+     */
+    static noise(i) {
+        return ((i * 7919) % 200) / 100 - 1;
+    }
+
     /**
      * Run validation test
      */
@@ -0,0 +1,79 @@
+// Relative range units (same calendar rules as SQLite date modifiers)
+const UNITS = {
+    h: 'hours',
+    d: 'days',
+    w: 'weeks',
+    m: 'months',
+    y: 'years'
+};
+
+/**
+ * Resolve time range to absolute ISO `{ start, end }`
+ *
+ * Accepts a relative range ('24h', '7d', '2w', '3m', '1y') ending at `now`,
+ * or `{ start, end }` with ISO timestamps or Dates; `end` defaults to `now`.
+ * The result is itself a valid time range, so passing it back in gives the
+ * same window.
+ */
+function resolveTimeRange(timeRange, now = new Date()) {
+    if (timeRange && typeof timeRange === 'object') {
+        const start = parseTimestamp(timeRange.start, 'start');
+        const end = timeRange.end === undefined || timeRange.end === null
+            ? new Date(now.getTime())
+            : parseTimestamp(timeRange.end, 'end');
+
+        if (start.getTime() >= end.getTime()) {
+            throw new Error('Invalid time range: start must be before end');
+        }
+
+        return { start: start.toISOString(), end: end.toISOString() };
+    }
+
+    const matches = String(timeRange).match(/^(\d+)([hdwmy])$/);
+    if (!matches) throw new Error('Invalid time range format');
+
+    const [_, value, unit] = matches;
+    const amount = Number(value);
+    const start = new Date(now.getTime());
+
+    switch (UNITS[unit]) {
+        case 'hours':
+            start.setTime(start.getTime() - amount * 3600 * 1000);
+            break;
+        case 'days':
+            start.setTime(start.getTime() - amount * 86400 * 1000);
+            break;
+        case 'weeks':
+            start.setTime(start.getTime() - amount * 604800 * 1000);
+            break;
+        case 'months':
+            start.setUTCMonth(start.getUTCMonth() - amount);
+            break;
+        case 'years':
+            start.setUTCFullYear(start.getUTCFullYear() - amount);
+            break;
+    }
+
+    return { start: start.toISOString(), end: now.toISOString() };
+}
+
+/**
+ * Parse ISO timestamp or Date
+ */
+function parseTimestamp(value, field) {
+    if (value === undefined || value === null || value === '') {
+        throw new Error(`Invalid time range: missing ${field}`);
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid time range ${field}: ${value}`);
+    }
+
+    return date;
+}
+
+module.exports = {
+    UNITS,
+    resolveTimeRange
+};
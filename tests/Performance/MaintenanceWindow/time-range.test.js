@@ -0,0 +1,42 @@
+const { describe, expect, test } = require('@jest/globals');
+const { resolveTimeRange } = require('./time-range');
+
+describe('resolveTimeRange', () => {
+    const now = new Date('2024-03-31T12:00:00.000Z');
+
+    test('resolves relative ranges back from now', () => {
+        expect(resolveTimeRange('24h', now)).toEqual({
+            start: '2024-03-30T12:00:00.000Z',
+            end: '2024-03-31T12:00:00.000Z'
+        });
+        expect(resolveTimeRange('2w', now).start).toBe('2024-03-17T12:00:00.000Z');
+        expect(resolveTimeRange('1m', now).start).toBe('2024-03-02T12:00:00.000Z');
+    });
+
+    test('resolves absolute ranges', () => {
+        expect(resolveTimeRange({
+            start: '2024-03-01T00:00:00+02:00',
+            end: new Date('2024-03-08T00:00:00Z')
+        }, now)).toEqual({
+            start: '2024-02-29T22:00:00.000Z',
+            end: '2024-03-08T00:00:00.000Z'
+        });
+        expect(resolveTimeRange({ start: '2024-03-30T00:00:00Z' }, now).end).toBe(now.toISOString());
+    });
+
+    test('resolved ranges resolve to themselves', () => {
+        const range = resolveTimeRange('7d', now);
+
+        expect(resolveTimeRange(range, new Date())).toEqual(range);
+    });
+
+    test('rejects invalid ranges', () => {
+        expect(() => resolveTimeRange('7x', now)).toThrow('Invalid time range format');
+        expect(() => resolveTimeRange({ end: '2024-03-01T00:00:00Z' }, now)).toThrow('missing start');
+        expect(() => resolveTimeRange({ start: 'yesterday' }, now)).toThrow('Invalid time range start');
+        expect(() => resolveTimeRange({
+            start: '2024-03-02T00:00:00Z',
+            end: '2024-03-01T00:00:00Z'
+        }, now)).toThrow('start must be before end');
+    });
+});
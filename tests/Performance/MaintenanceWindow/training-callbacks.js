@@ -0,0 +1,150 @@
+/**
+ * Training callbacks for TensorFlow.js model.fit()
+ *
+ * Applies `validation.earlyStoping` and `validation.learningRateSchedule`
+ * from config/hyperparameters.js:
+ *
+ * - early stopping: training stops once the monitored metric has not
+ *   improved by more than `minDelta` for `patience` epochs, and the weights
+ *   of the best epoch are restored at the end
+ * - reduce-LR-on-plateau: the learning rate is multiplied by `factor`, down
+ *   to `minLR`, once the monitored metric has not improved for `patience`
+ *   epochs
+ * - time-based decay: with `decay`, each epoch runs at lr / (1 + decay * epoch)
+ *
+ * Callbacks only use model.getWeights()/setWeights(), model.stopTraining
+ * and model.optimizer.learningRate. They record what happened in `log`:
+ * { epochs, stoppedEpoch, bestEpoch, best, restoredBestWeights,
+ *   learningRates } with 1-based epochs, `stoppedEpoch` null when all
+ * epochs ran, and the learning rate of every epoch.
+ */
+const DEFAULTS = {
+    monitor: 'val_loss',
+    minDelta: 0,
+    mode: 'min'
+};
+
+/**
+ * Tracks the best value of a monitored metric
+ */
+function createMonitor({ monitor, minDelta, mode }) {
+    const sign = mode === 'max' ? -1 : 1;
+    let best = null;
+
+    return {
+        // Returns true when `logs` improved on the best value
+        update(logs) {
+            const value = logs?.[monitor];
+            if (value === undefined || value === null) return null;
+
+            if (best === null || sign * (best - value) > minDelta) {
+                best = value;
+                return true;
+            }
+
+            return false;
+        },
+        get best() {
+            return best;
+        }
+    };
+}
+
+/**
+ * Set an optimizer's learning rate
+ *
+ * tfjs SGD and momentum optimizers apply a cached scalar that only
+ * setLearningRate() updates; the others read `learningRate` every step.
+ */
+function setLearningRate(optimizer, learningRate) {
+    if (typeof optimizer.setLearningRate === 'function') {
+        optimizer.setLearningRate(learningRate);
+    } else {
+        optimizer.learningRate = learningRate;
+    }
+}
+
+/**
+ * Create model.fit() callbacks and their training log
+ *
+ * Options: `earlyStopping` and `learningRateSchedule` (config sections,
+ * omitted to disable), `learningRate` (the optimizer's initial rate),
+ * `decay` and `onEpochEnd(epoch, logs, learningRate)` for progress output.
+ */
+function createTrainingCallbacks(model, options = {}) {
+    const earlyStopping = options.earlyStopping && { ...DEFAULTS, ...options.earlyStopping };
+    const schedule = options.learningRateSchedule && { ...DEFAULTS, ...options.learningRateSchedule };
+    const decay = options.decay || 0;
+    const stopMonitor = earlyStopping && createMonitor(earlyStopping);
+    const plateauMonitor = schedule && createMonitor(schedule);
+
+    const log = {
+        epochs: 0,
+        stoppedEpoch: null,
+        bestEpoch: null,
+        best: null,
+        restoredBestWeights: false,
+        learningRates: []
+    };
+    let baseLearningRate = options.learningRate ?? model.optimizer.learningRate;
+    let learningRate = baseLearningRate;
+    let bestWeights = null;
+    let stopWait = 0;
+    let plateauWait = 0;
+
+    const disposeBestWeights = () => {
+        if (bestWeights) bestWeights.forEach(weight => weight.dispose());
+        bestWeights = null;
+    };
+
+    const callbacks = {
+        onEpochBegin: async (epoch) => {
+            learningRate = baseLearningRate / (1 + decay * epoch);
+            setLearningRate(model.optimizer, learningRate);
+            log.learningRates.push(learningRate);
+        },
+
+        onEpochEnd: async (epoch, logs) => {
+            log.epochs = epoch + 1;
+            if (options.onEpochEnd) options.onEpochEnd(epoch, logs, learningRate);
+
+            if (stopMonitor) {
+                const improved = stopMonitor.update(logs);
+                if (improved) {
+                    stopWait = 0;
+                    log.bestEpoch = epoch + 1;
+                    log.best = stopMonitor.best;
+                    disposeBestWeights();
+                    bestWeights = model.getWeights().map(weight => weight.clone());
+                } else if (improved === false && ++stopWait >= earlyStopping.patience) {
+                    log.stoppedEpoch = epoch + 1;
+                    model.stopTraining = true;
+                }
+            }
+
+            if (plateauMonitor) {
+                const improved = plateauMonitor.update(logs);
+                if (improved) {
+                    plateauWait = 0;
+                } else if (improved === false && ++plateauWait >= schedule.patience) {
+                    baseLearningRate = Math.max(baseLearningRate * schedule.factor, schedule.minLR ?? 0);
+                    plateauWait = 0;
+                }
+            }
+        },
+
+        onTrainEnd: async () => {
+            if (bestWeights && log.bestEpoch !== log.epochs) {
+                model.setWeights(bestWeights);
+                log.restoredBestWeights = true;
+            }
+            disposeBestWeights();
+        }
+    };
+
+    return { callbacks, log };
+}
+
+module.exports = {
+    createTrainingCallbacks
+};
@@ -0,0 +1,92 @@
+const { describe, expect, test } = require('@jest/globals');
+const { createTrainingCallbacks } = require('./training-callbacks');
+
+// Stand-in for a tf.LayersModel whose only weight is the epoch it was trained to
+const createModel = () => {
+    const model = {
+        epoch: 0,
+        stopTraining: false,
+        optimizer: { learningRate: 0.01 },
+        getWeights: () => [{ value: model.epoch, clone() { return { ...this }; }, dispose() {} }],
+        setWeights: ([weight]) => {
+            model.epoch = weight.value;
+        }
+    };
+    return model;
+};
+
+// Run callbacks the way model.fit() does, with val_loss per epoch
+const fit = async (model, callbacks, losses) => {
+    for (let epoch = 0; epoch < losses.length && !model.stopTraining; epoch++) {
+        await callbacks.onEpochBegin(epoch);
+        model.epoch = epoch + 1;
+        await callbacks.onEpochEnd(epoch, { loss: losses[epoch], val_loss: losses[epoch] });
+    }
+    await callbacks.onTrainEnd();
+};
+
+describe('createTrainingCallbacks', () => {
+    test('stops early and restores the best weights', async () => {
+        const model = createModel();
+        const { callbacks, log } = createTrainingCallbacks(model, {
+            earlyStopping: { monitor: 'val_loss', minDelta: 0.001, patience: 3 }
+        });
+
+        // Improvements after epoch 4 are below minDelta
+        await fit(model, callbacks, [1, 0.5, 0.3, 0.2, 0.1995, 0.25, 0.3, 0.1, 0.05]);
+
+        expect(log).toMatchObject({ epochs: 7, stoppedEpoch: 7, bestEpoch: 4, best: 0.2, restoredBestWeights: true });
+        expect(model.epoch).toBe(4);
+    });
+
+    test('runs every epoch while the metric improves', async () => {
+        const model = createModel();
+        const { callbacks, log } = createTrainingCallbacks(model, { earlyStopping: { patience: 2 } });
+
+        await fit(model, callbacks, [1, 0.9, 0.8]);
+
+        expect(log).toMatchObject({ epochs: 3, stoppedEpoch: null, bestEpoch: 3, restoredBestWeights: false });
+        expect(model.epoch).toBe(3);
+    });
+
+    test('reduces the learning rate on plateaus and records its history', async () => {
+        const model = createModel();
+        const { callbacks, log } = createTrainingCallbacks(model, {
+            learningRateSchedule: { monitor: 'val_loss', factor: 0.1, patience: 2, minLR: 0.00005 },
+            learningRate: 0.01
+        });
+
+        await fit(model, callbacks, [1, 1, 1, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5]);
+
+        const rounded = log.learningRates.map(rate => Number(rate.toPrecision(6)));
+        expect(rounded).toEqual([0.01, 0.01, 0.01, 0.001, 0.001, 0.001, 0.0001, 0.0001, 0.00005, 0.00005]);
+        expect(model.optimizer.learningRate).toBeCloseTo(0.00005, 10);
+    });
+
+    test('updates the rate SGD optimizers apply', async () => {
+        const model = createModel();
+        // Like tfjs SGDOptimizer: steps use the scalar cached by setLearningRate()
+        model.optimizer = {
+            learningRate: 0.1,
+            applied: 0.1,
+            setLearningRate(learningRate) {
+                this.learningRate = learningRate;
+                this.applied = learningRate;
+            }
+        };
+        const { callbacks } = createTrainingCallbacks(model, { learningRate: 0.1, decay: 1 });
+
+        await fit(model, callbacks, [1, 0.9, 0.8, 0.7]);
+
+        expect(model.optimizer.applied).toBeCloseTo(0.1 / 4, 10);
+    });
+
+    test('applies time-based decay', async () => {
+        const model = createModel();
+        const { callbacks, log } = createTrainingCallbacks(model, { learningRate: 0.1, decay: 0.5 });
+
+        await fit(model, callbacks, [1, 0.9, 0.8]);
+
+        expect(log.learningRates).toEqual([0.1, 0.1 / 1.5, 0.1 / 2]);
+    });
+});
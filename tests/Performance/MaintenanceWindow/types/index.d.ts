@@ -3,7 +3,8 @@
  */
 
 // Common Types
-export type TimeRange = '1h' | '6h' | '12h' | '24h' | '7d' | '30d';
+// Relative ('24h', '7d', '2w', '3m', '1y') or absolute range, see time-range.js
+export type TimeRange = `${number}${'h' | 'd' | 'w' | 'm' | 'y'}` | { start: string | Date; end: string | Date };
 export type MetricType = 'accuracy' | 'performance' | 'stability' | 'reliability';
 export type Priority = 'low' | 'medium' | 'high';
 export type ViewType = 'chart' | 'table' | 'grid' | 'heatmap';
@@ -96,20 +97,67 @@ export interface Bottleneck {
 
 // Model Types
 export interface ModelOptimizer {
-    optimizeModel(type: string, name: string, timeRange?: TimeRange): Promise<OptimizationResults>;
+    optimizeModel(
+        type: string,
+        name: string,
+        timeRange?: TimeRange,
+        strategy?: SearchStrategy,
+        options?: RandomSearchOptions | BayesianSearchOptions
+    ): Promise<OptimizationResults>;
     gridSearch(trainData: number[], validData: number[]): Promise<GridSearchResults>;
+    randomSearch(trainData: number[], validData: number[], options?: RandomSearchOptions): Promise<OptimizationResults>;
+    bayesianSearch(trainData: number[], validData: number[], options?: BayesianSearchOptions): Promise<OptimizationResults>;
     evaluateModel(trainData: number[], validData: number[], params: ModelParameters): Promise<number>;
 }
 
+export type SearchStrategy = 'grid' | 'random' | 'bayesian';
+
+export interface RandomSearchOptions {
+    trials?: number;
+    seed?: number;
+}
+
+export interface BayesianSearchOptions {
+    iterations?: number;
+    initPoints?: number;
+    explorationFactor?: number;
+    seed?: number;
+}
+
 export interface OptimizationResults {
+    strategy?: SearchStrategy;
     optimal: ModelParameters;
     improvement: number;
     allResults: GridSearchResults[];
+    history?: SearchTrial[];
+}
+
+export interface SearchTrial {
+    trial: number;
+    params: ModelParameters;
+    loss: number;
+    /** Lowest finite loss up to this trial, null while every trial failed */
+    best: number | null;
+    acquisition?: 'random' | 'ei';
+    training?: TrainingLog;
 }
 
 export interface GridSearchResults {
     params: ModelParameters;
     loss: number;
+    training?: TrainingLog;
+}
+
+export interface TrainingLog {
+    /** Epochs run */
+    epochs: number;
+    /** Epoch early stopping ended training at, null when all epochs ran */
+    stoppedEpoch: number | null;
+    bestEpoch: number | null;
+    best: number | null;
+    restoredBestWeights: boolean;
+    /** Learning rate of every epoch */
+    learningRates: number[];
 }
 
 export interface ModelParameters {